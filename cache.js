@@ -0,0 +1,128 @@
+// cache.js - Persistenter Scrape-Cache als JSON-Lines-Datei mit TTL.
+// Jede Zeile ist ein Eintrag { a2v, source, fetchedAt, record } oder ein Löschvermerk { a2v, deleted: true }.
+// Beim Start wird die Datei eingelesen (letzter Eintrag gewinnt), danach wird nur noch angehängt.
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE = process.env.CACHE_FILE || path.join(__dirname, 'data', 'scrape-cache.jsonl');
+const CACHE_TTL_HOURS = Number(process.env.CACHE_TTL_HOURS ?? 24 * 7); // 0 = kein Ablauf
+
+function isErrorResult(record) {
+  return !record || String(record.Status || '').startsWith('Fehler');
+}
+
+class ScrapeCache {
+  constructor({ file = CACHE_FILE, ttlHours = CACHE_TTL_HOURS } = {}) {
+    this.file = file;
+    this.ttlMs = Number(ttlHours) > 0 ? Number(ttlHours) * 3600 * 1000 : 0;
+    this.entries = new Map(); // a2v -> { a2v, source, fetchedAt, record }
+    this._staleLines = 0;     // überschriebene/gelöschte Zeilen → Anlass für compact()
+    this._load();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { this._staleLines++; continue; }
+      if (!e?.a2v) continue;
+      if (this.entries.has(e.a2v)) this._staleLines++;
+      if (e.deleted) this.entries.delete(e.a2v);
+      else this.entries.set(e.a2v, e);
+    }
+    if (this._staleLines > this.entries.size) this.compact();
+  }
+
+  _append(obj) {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(obj) + '\n');
+  }
+
+  isExpired(entry, now = Date.now()) {
+    if (!this.ttlMs) return false;
+    return now - Date.parse(entry.fetchedAt) > this.ttlMs;
+  }
+
+  // Map-kompatible Schnittstelle für den Scraper: abgelaufene Einträge gelten als nicht vorhanden
+  has(a2v) {
+    const e = this.entries.get(a2v);
+    return !!e && !this.isExpired(e);
+  }
+
+  get(a2v) {
+    return this.has(a2v) ? this.entries.get(a2v).record : undefined;
+  }
+
+  getEntry(a2v) {
+    const e = this.entries.get(a2v);
+    return e ? { ...e, expired: this.isExpired(e) } : null;
+  }
+
+  // Fehlerergebnisse werden nie gespeichert, damit sie beim nächsten Lauf erneut abgefragt werden
+  set(a2v, record) {
+    if (isErrorResult(record)) return false;
+    const entry = { a2v, source: record.Status || null, fetchedAt: new Date().toISOString(), record };
+    if (this.entries.has(a2v)) this._staleLines++;
+    this.entries.set(a2v, entry);
+    this._append(entry);
+    return true;
+  }
+
+  delete(a2v) {
+    if (!this.entries.has(a2v)) return false;
+    this.entries.delete(a2v);
+    this._staleLines++;
+    this._append({ a2v, deleted: true });
+    return true;
+  }
+
+  // Eintrag samt Sprachvarianten ("A2V…@en,de", siehe sources/mymobase.js) löschen
+  deleteVariants(a2v) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if ((key === a2v || key.startsWith(a2v + '@')) && this.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  list({ offset = 0, limit = 100, q = '' } = {}) {
+    const needle = String(q || '').trim().toUpperCase();
+    const all = [...this.entries.values()]
+      .filter(e => !needle || e.a2v.includes(needle))
+      .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+    return {
+      total: all.length,
+      entries: all.slice(offset, offset + limit).map(e => ({
+        a2v: e.a2v, source: e.source, fetchedAt: e.fetchedAt, expired: this.isExpired(e)
+      }))
+    };
+  }
+
+  // Alle bzw. nur abgelaufene Einträge entfernen; Datei wird anschließend neu geschrieben
+  purge({ expiredOnly = false } = {}) {
+    let removed = 0;
+    for (const [a2v, e] of this.entries) {
+      if (!expiredOnly || this.isExpired(e)) { this.entries.delete(a2v); removed++; }
+    }
+    this.compact();
+    return removed;
+  }
+
+  compact() {
+    this._staleLines = 0;
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + '.tmp';
+    const body = [...this.entries.values()].map(e => JSON.stringify(e) + '\n').join('');
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, this.file);
+  }
+
+  get size() { return this.entries.size; }
+}
+
+module.exports = { ScrapeCache, isErrorResult };
@@ -0,0 +1,143 @@
+// classification.js - Materialklassifizierung (MyMobase-Text) → fünfstelliger Fert./Prüfhinweis-Code,
+// z.B. "Schweißteil relevant, nicht Gussteil relevant" → "MIT/J/N/N/N". Die Zuordnung steht als Tabelle in
+// classification.config.json (Kategorien, Signalwörter, feste Texte) und lässt sich ohne Code-Änderung erweitern.
+
+const fs = require('fs');
+const path = require('path');
+const { foldText } = require('./similarity');
+
+const CLASSIFICATION_FILE = process.env.CLASSIFICATION_FILE || path.join(__dirname, 'classification.config.json');
+
+/**
+ * Tabelle laden und für den Vergleich vorbereiten (Muster und Texte wie die Eingabe normalisiert).
+ * Wirft bei fehlenden Pflichtangaben einen Fehler mit Dateinamen.
+ */
+function loadClassification(file = CLASSIFICATION_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const fail = (msg) => { throw new Error(`Klassifizierungstabelle ${file}: ${msg}`); };
+  if (!Array.isArray(raw.categories) || !raw.categories.length) fail('"categories" fehlt.');
+  for (const k of ['relevant', 'notRelevant', 'partial', 'default']) if (!raw.flags?.[k]) fail(`"flags.${k}" fehlt.`);
+  for (const k of ['none', 'relevant']) if (!raw.format?.[k]) fail(`"format.${k}" fehlt.`);
+  const words = (list) => new Set((list || []).map(foldText));
+  return {
+    separator: raw.format.separator || '/',
+    head: raw.format,
+    flags: raw.flags,
+    categories: raw.categories.map(c => {
+      if (!c.key || !Array.isArray(c.patterns)) fail(`Kategorie ohne "key"/"patterns".`);
+      return { key: c.key, label: c.label || c.key, patterns: c.patterns.map(foldText), words: words(c.words) };
+    }),
+    words: { notRelevant: words(raw.words?.notRelevant), partial: words(raw.words?.partial), relevant: words(raw.words?.relevant) },
+    conjunctions: words(raw.conjunctions),
+    contrasts: words(raw.contrasts),
+    texts: new Map(Object.entries(raw.texts || {}).map(([text, code]) => [foldText(text), code]))
+  };
+}
+
+let defaultTable = null;
+function getClassification() {
+  if (!defaultTable) defaultTable = loadClassification();
+  return defaultTable;
+}
+
+// "schmiederelevant" → Kategorie- und Relevanzwort in einem (nur längere Relevanzwörter, nicht "ja")
+const isRelevanceCompound = (w, relevant) => [...relevant].some(r => r.length >= 6 && w.length > r.length && w.endsWith(r));
+
+// Teilsatz → { categories: [key], flag, relevance } (flag null, wenn kein Signalwort vorkommt;
+// relevance: "relevant" o.ä. steht im Teil – nur dann gilt ein Teil ohne Kategorie, z.B. "nicht relevant").
+// Kategorie-Muster treffen Wortteile ("kleb" in "Klebeteil"), Kategorie-Wörter nur ganze Wörter ("glue", nicht "Glühen")
+function readPiece(words, table) {
+  const categories = table.categories
+    .filter(c => words.some(w => c.words.has(w) || c.patterns.some(p => w.includes(p))))
+    .map(c => c.key);
+  let flag = null;
+  if (words.some(w => table.words.notRelevant.has(w))) flag = table.flags.notRelevant;
+  else if (words.some(w => table.words.partial.has(w))) flag = table.flags.partial;
+  const relevance = words.some(w => table.words.relevant.has(w) || isRelevanceCompound(w, table.words.relevant));
+  if (!flag && relevance) flag = table.flags.relevant;
+  return { categories, flag, relevance };
+}
+
+// Text ist bereits ein Code ("OHNE/N/N/N/N", Leerzeichen egal) → { code, flags }
+function readCode(text, table) {
+  const parts = String(text).replace(/\s+/g, '').toUpperCase().split(table.separator);
+  if (parts.length !== table.categories.length + 1) return null;
+  const [head, ...values] = parts;
+  const allowed = [table.flags.relevant, table.flags.notRelevant, table.flags.partial].map(f => f.toUpperCase());
+  if (![table.head.none, table.head.relevant].map(h => h.toUpperCase()).includes(head)) return null;
+  if (!values.every(v => allowed.includes(v))) return null;
+  return { code: parts.join(table.separator), flags: Object.fromEntries(table.categories.map((c, i) => [c.key, values[i]])) };
+}
+
+/**
+ * Klassifizierungstext zuordnen → { code, flags: { key: J/N/T }, source, unknown }.
+ * source: 'Tabelle' (fester Text), 'Code' (Text ist schon ein Code), 'Regel' (aus Kategorien und Signalwörtern)
+ * oder null (nicht zuordenbar, code '').
+ * unknown: Textteile ohne Kategorie und Signalwort – für den Bericht unbekannter Formulierungen.
+ *
+ * Regeln: Der Text wird an Satzzeichen und Bindewörtern ("und", "oder", "and", …) geteilt. Ein Teil mit Signalwort
+ * (nicht/teilweise/relevant) gilt für seine Kategorien und für vorangehende Teile ohne Signalwort
+ * ("Schweiß- und Klebeteil relevant"); ein Signalwort ohne Kategorie gilt für alle ("nicht relevant").
+ * Eine Verneinung gilt für die ganze Aufzählung danach bis zum nächsten Teil mit eigenem Signalwort
+ * ("Not relevant for welding, casting or forging"); steht in ihrem Teil noch kein "relevant", schließt auch das
+ * "relevant" am Ende der Aufzählung sie nicht auf ("Kein Schweiß-, Guss- oder Schmiedeteil relevant").
+ * ";", Zeilenwechsel und Gegensatzwörter ("aber", "but") beenden eine Aufzählung. Kategorien ohne Signalwort
+ * sind J – außer der Text enthält eine Verneinung, dann N. Nicht erwähnte Kategorien erhalten flags.default.
+ */
+function classifyMaterial(text, table = getClassification()) {
+  const empty = { code: '', flags: {}, source: null, unknown: [] };
+  if (text == null || String(text).trim() === '') return empty;
+  const fixed = table.texts.get(foldText(text));
+  if (fixed) return { code: fixed, flags: {}, source: 'Tabelle', unknown: [] };
+  const asCode = readCode(text, table);
+  if (asCode) return { ...asCode, source: 'Code', unknown: [] };
+
+  const flags = {};
+  const unknown = [];
+  let pending = [];
+  let understood = false;
+  let negated = false;
+  let negation = null; // laufende verneinte Aufzählung: { open } (open = Verneinung noch ohne "relevant")
+  for (const sentence of String(text).split(/[;\n|]+/)) {
+    negation = null;
+    for (const clause of sentence.split(',')) {
+      const words = foldText(clause).split(' ').filter(Boolean);
+      // an Bindewörtern teilen; ein Gegensatzwort beginnt einen neuen Teil außerhalb der Aufzählung
+      const pieces = [{ words: [], contrast: false }];
+      for (const w of words) {
+        if (table.conjunctions.has(w)) pieces.push({ words: [], contrast: false });
+        else if (table.contrasts.has(w)) pieces.push({ words: [], contrast: true });
+        else pieces[pieces.length - 1].words.push(w);
+      }
+      for (const piece of pieces) {
+        if (piece.contrast) negation = null;
+        if (!piece.words.length) continue;
+        let { categories, flag, relevance } = readPiece(piece.words, table);
+        if (!categories.length && !(flag && relevance)) { unknown.push(piece.words.join(' ')); continue; }
+        understood = true;
+        if (!flag && negation) {
+          for (const key of categories) flags[key] = table.flags.notRelevant;
+          continue;
+        }
+        if (flag === table.flags.relevant && negation?.open) flag = table.flags.notRelevant;
+        pending.push(...categories);
+        if (!flag) continue;
+        const targets = pending.length ? pending : table.categories.map(c => c.key);
+        for (const key of targets) flags[key] = flag;
+        pending = [];
+        negation = flag === table.flags.notRelevant ? { open: !relevance } : null;
+        if (negation) negated = true;
+      }
+    }
+  }
+  // "Schweißteil" ohne Zusatz; steht irgendwo eine Verneinung, lieber N als ein falsches J
+  for (const key of pending) flags[key] = negated ? table.flags.notRelevant : table.flags.relevant;
+  if (!understood) return { ...empty, unknown };
+
+  for (const c of table.categories) if (!flags[c.key]) flags[c.key] = table.flags.default;
+  const values = table.categories.map(c => flags[c.key]);
+  const head = values.every(v => v === table.flags.notRelevant) ? table.head.none : table.head.relevant;
+  return { code: [head, ...values].join(table.separator), flags, source: 'Regel', unknown };
+}
+
+module.exports = { classifyMaterial, loadClassification, getClassification, CLASSIFICATION_FILE };
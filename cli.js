@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+// cli.js - Produktcheck ohne Server, z.B. als nächtlicher Cron-Job:
+//   npx produktcheck input.xlsx -o output.xlsx [Optionen]
+// Exit-Code: 0 = keine Abweichungen, 1 = Abweichungen gefunden (siehe --fail-on), 2 = Aufruf-/Eingabefehler, 3 = Laufzeitfehler
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ExcelJS = require('exceljs');
+
+const { SiemensProductScraper, parseLocales } = require('./scraper');
+const { ScrapeCache } = require('./cache');
+const { SourceRouter } = require('./sources');
+const { MappingError, loadProfile, mapWorkbook } = require('./mapping');
+const { FIELDS, TOLERANCE_FIELDS, DIMENSION_MODES, resolveTolerances, resolveDimensionMode } = require('./compare');
+const { processWorkbook, SCRAPE_CONCURRENCY } = require('./workbook');
+const { processWorkbookStream, scanWorkbook } = require('./stream');
+const { LAYOUTS, resolveLayout, resolveBanners } = require('./layout');
+const { formatFetchStats } = require('./summary');
+const { readRun, formatChangesSummary, DiffError } = require('./diff');
+const { buildCorrectionFile, selectCorrections, CORRECTION_FORMATS } = require('./corrections');
+const { DecisionStore } = require('./decisions');
+
+const EXIT = { ok: 0, findings: 1, usage: 2, error: 3 };
+// Welche Status einen Lauf als fehlgeschlagen markieren
+const FAIL_ON = {
+  mismatch: ['mismatch'],
+  missing: ['mismatch', 'missing', 'unit'],
+  never: []
+};
+
+const USAGE = `Aufruf: produktcheck <eingabe.xlsx> [Optionen]
+
+Optionen:
+  -o, --output <datei>        Ausgabedatei (Standard: <eingabe>_verarbeitet.xlsx)
+  -c, --concurrency <n>       Parallele Abfragen (Standard: ${SCRAPE_CONCURRENCY})
+  -p, --profile <name>        Mapping-Profil aus profiles/
+  -t, --tolerance <regel>     Toleranz je Feld, z.B. gewicht.pct=2, laenge.abs=1 oder kurztext.sim=0.8 (mehrfach möglich)
+                              Felder: ${TOLERANCE_FIELDS.join(', ')}
+      --dimension-mode <m>    Maßvergleich: ${DIMENSION_MODES.join(' | ')}
+      --layout <l>            Ausgabe-Layout: ${LAYOUTS.join(' | ')} (Standard: Vorgabe des Profils)
+      --banner <bereich=text> Banner über der Tabelle, z.B. "B1:X1=Stammdaten" (mehrfach möglich;
+                              Spalten der Eingabe, ersetzt die Banner des Profils)
+      --no-banners            Keine Banner setzen
+  -l, --locale <kette>        Sprache(n) der MyMobase-Seiten mit Fallback, z.B. en oder en,de
+      --cache <datei>         Pfad der Cache-Datei (Standard: CACHE_FILE bzw. data/scrape-cache.jsonl)
+      --cache-only            Nichts abrufen, nur Cache-Einträge vergleichen
+      --sources <datei>       Quellen-Konfiguration (Standard: SOURCES_FILE bzw. sources.config.json)
+      --force                 Cache ignorieren und alle Produkte neu abrufen
+      --decisions <datei>     Prüfentscheidungen (Standard: DECISIONS_FILE bzw. data/decisions.jsonl);
+                              "Web falsch"/"akzeptiert" zählen nicht als Abweichung
+      --no-decisions          Gespeicherte Prüfentscheidungen nicht übernehmen
+      --fail-on <stufe>       Exit-Code 1 bei: mismatch (Standard) | missing (auch fehlende Werte) | never
+      --previous <datei>      Frühere Ausgabe derselben Mappe → Blatt "Änderungen" in der Ausgabe
+      --changes <datei.json>  Änderungsbericht zusätzlich als JSON speichern (nur mit --previous)
+      --stream                Große Mappen zeilenweise verarbeiten (gleichbleibender Speicherbedarf;
+                              ohne --previous und --corrections)
+      --corrections <datei>   Korrekturdatei für die SAP-Massenpflege (.csv oder .xlsx)
+      --correction-fields <f> Nur diese Felder, z.B. gewicht,laenge (Standard: alle)
+      --correction-status <s> Nur diese Status, z.B. mismatch,tolerance (Standard: mismatch)
+  -q, --quiet                 Keine Fortschrittsausgabe
+  -h, --help                  Diese Hilfe
+
+Exit-Codes: 0 = ok, 1 = Abweichungen gefunden, 2 = Aufruf-/Eingabefehler, 3 = Laufzeitfehler`;
+
+class UsageError extends Error {}
+
+// "B1:X1=Text" → { range: 'B1:X1', text: 'Text' }; ohne --banner/--no-banners gilt das Profil (undefined)
+function parseBanners(list, none) {
+  if (none) {
+    if (list?.length) throw new UsageError('--banner und --no-banners schließen sich aus.');
+    return [];
+  }
+  if (!list?.length) return undefined;
+  return list.map(rule => {
+    const i = rule.indexOf('=');
+    if (i < 1) throw new UsageError(`Ungültiges Banner "${rule}" (Format: bereich=text, z.B. B1:X1=Stammdaten).`);
+    return { range: rule.slice(0, i).trim(), text: rule.slice(i + 1).trim() };
+  });
+}
+
+// "gewicht.pct=2" → { gewicht: { pct: 2 } }
+function parseTolerances(list = []) {
+  const out = {};
+  for (const rule of list) {
+    const m = /^(\w+)\.(abs|pct|sim)=(.+)$/.exec(rule);
+    if (!m) throw new UsageError(`Ungültige Toleranz "${rule}" (Format: feld.abs=wert, feld.pct=wert oder feld.sim=0…1).`);
+    (out[m[1]] = out[m[1]] || {})[m[2]] = m[3].replace(',', '.');
+  }
+  return out;
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output:           { type: 'string', short: 'o' },
+      concurrency:      { type: 'string', short: 'c' },
+      profile:          { type: 'string', short: 'p' },
+      tolerance:        { type: 'string', short: 't', multiple: true },
+      'dimension-mode': { type: 'string' },
+      layout:           { type: 'string' },
+      banner:           { type: 'string', multiple: true },
+      'no-banners':     { type: 'boolean' },
+      locale:           { type: 'string', short: 'l' },
+      cache:            { type: 'string' },
+      'cache-only':     { type: 'boolean' },
+      sources:          { type: 'string' },
+      force:            { type: 'boolean' },
+      decisions:        { type: 'string' },
+      'no-decisions':   { type: 'boolean' },
+      'fail-on':        { type: 'string' },
+      previous:         { type: 'string' },
+      changes:          { type: 'string' },
+      corrections:      { type: 'string' },
+      'correction-fields': { type: 'string' },
+      'correction-status': { type: 'string' },
+      stream:           { type: 'boolean' },
+      quiet:            { type: 'boolean', short: 'q' },
+      help:             { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError('Genau eine Eingabedatei angeben.');
+  const input = positionals[0];
+  const concurrency = values.concurrency != null ? Number(values.concurrency) : SCRAPE_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new UsageError(`Ungültige Parallelität "${values.concurrency}".`);
+  const failOn = values['fail-on'] || 'mismatch';
+  if (!FAIL_ON[failOn]) throw new UsageError(`Unbekannter Wert für --fail-on "${failOn}" (erlaubt: ${Object.keys(FAIL_ON).join(', ')}).`);
+  if (values.force && values['cache-only']) throw new UsageError('--force und --cache-only schließen sich aus.');
+  if (values.changes && !values.previous) throw new UsageError('--changes braucht --previous.');
+  if (values.decisions && values['no-decisions']) throw new UsageError('--decisions und --no-decisions schließen sich aus.');
+  if (values.stream && (values.previous || values.corrections)) throw new UsageError('--stream geht nicht mit --previous oder --corrections.');
+  const correctionFormat = values.corrections ? path.extname(values.corrections).slice(1).toLowerCase() : null;
+  if (correctionFormat != null && !CORRECTION_FORMATS.includes(correctionFormat)) {
+    throw new UsageError(`--corrections: Dateiendung .${CORRECTION_FORMATS.join(' oder .')} erwartet.`);
+  }
+  const correctionSelection = { fields: values['correction-fields'], statuses: values['correction-status'] };
+  selectCorrections([], correctionSelection); // Auswahl früh prüfen (wirft bei unbekannten Feldern/Status)
+  const parsed = path.parse(input);
+  return {
+    input,
+    output: values.output || path.join(parsed.dir, `${parsed.name}_verarbeitet.xlsx`),
+    concurrency,
+    profile: values.profile,
+    tolerances: parseTolerances(values.tolerance),
+    dimensionMode: values['dimension-mode'],
+    layout: values.layout,
+    banners: parseBanners(values.banner, values['no-banners']),
+    locales: values.locale ? parseLocales(values.locale) : null,
+    cacheFile: values.cache,
+    cacheOnly: !!values['cache-only'],
+    sourcesFile: values.sources,
+    force: !!values.force,
+    decisionsFile: values['no-decisions'] ? null : values.decisions,
+    failOn,
+    previous: values.previous,
+    changesFile: values.changes,
+    corrections: values.corrections ? { file: values.corrections, format: correctionFormat, ...correctionSelection } : null,
+    stream: !!values.stream,
+    quiet: !!values.quiet
+  };
+}
+
+function printStats(stats, log) {
+  log('Feld                     grün  toleranz  ähnlich  rot  fehlt  einheit  geklärt');
+  for (const { key, label } of FIELDS.filter(f => stats.fields[f.key])) {
+    const c = stats.fields[key];
+    log(`${label.padEnd(24)} ${String(c.match).padStart(5)} ${String(c.tolerance).padStart(9)} ${String(c.similar).padStart(8)} ${String(c.mismatch).padStart(4)} ${String(c.missing).padStart(6)} ${String(c.unit).padStart(8)} ${String(c.decided).padStart(8)}`);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let opts;
+  try { opts = parseCli(argv); }
+  catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT.usage;
+  }
+  if (opts.help) { console.log(USAGE); return EXIT.ok; }
+  const log = opts.quiet ? () => {} : (msg) => console.error(msg);
+
+  // Eingabe, Profil und Optionen prüfen, bevor irgendetwas abgerufen wird
+  // (--stream: Spaltenerkennung in einem eigenen Lesedurchlauf, die Mappe wird nie ganz geladen)
+  const wb = opts.stream ? null : new ExcelJS.Workbook();
+  let profile, mapping, scan, tolerances, dimensionMode, layout, banners, sources, previous;
+  try {
+    sources = opts.sourcesFile ? SourceRouter.fromConfig(opts.sourcesFile) : undefined;
+    profile = loadProfile(opts.profile);
+    try {
+      if (opts.stream) {
+        sources = sources || SourceRouter.fromConfig();
+        scan = await scanWorkbook(opts.input, { profile, sources });
+        mapping = scan.mapping;
+      } else {
+        await wb.xlsx.readFile(opts.input);
+      }
+    } catch (e) {
+      if (e instanceof MappingError) throw e;
+      throw new UsageError(`Excel-Datei konnte nicht gelesen werden: ${e.message}`);
+    }
+    mapping = mapping || mapWorkbook(wb, profile);
+    tolerances = resolveTolerances(profile, opts.tolerances);
+    dimensionMode = resolveDimensionMode(profile, opts.dimensionMode);
+    layout = resolveLayout(profile, opts.layout);
+    banners = resolveBanners(profile, opts.banners);
+    if (opts.previous) {
+      const old = new ExcelJS.Workbook();
+      try { await old.xlsx.readFile(opts.previous); }
+      catch (e) { throw new UsageError(`Vorheriges Ergebnis konnte nicht gelesen werden: ${e.message}`); }
+      try { previous = readRun(old, profile); }
+      catch (e) { throw new DiffError(`Vorheriges Ergebnis: ${e.message}`); }
+    }
+  } catch (e) {
+    console.error(e.message);
+    if (e instanceof MappingError && e.report) {
+      for (const s of e.report.sheets || []) if (s.missing.length) console.error(`  Blatt "${s.sheet}": fehlt ${s.missing.join(', ')}`);
+    }
+    return EXIT.usage;
+  }
+
+  const cache = opts.cacheFile ? new ScrapeCache({ file: opts.cacheFile }) : undefined;
+  // Prüfentscheidungen aus der Ergebnisansicht (dieselbe Datei wie der Server), mit --no-decisions keine
+  const decisions = opts.decisionsFile === null ? null : new DecisionStore(opts.decisionsFile ? { file: opts.decisionsFile } : {});
+  const scraper = new SiemensProductScraper({ cache, sources });
+  const controller = new AbortController();
+  const onSignal = () => controller.abort();
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  try {
+    log(`Profil "${profile.name}", ${mapping.sheets.length} Blatt/Blätter, Layout ${layout}, Maßvergleich ${dimensionMode}${opts.locales ? `, Sprache ${opts.locales.join(' → ')}` : ''}${opts.cacheOnly ? ', nur Cache' : ''}`);
+    if (mapping.skipped?.length) log(`Ohne Produktnummern übersprungen: ${mapping.skipped.join(', ')}`);
+    const options = {
+      scraper,
+      concurrency: opts.concurrency,
+      profile,
+      mapping,
+      tolerances,
+      dimensionMode,
+      layout,
+      banners,
+      signal: controller.signal,
+      force: opts.force,
+      cacheOnly: opts.cacheOnly,
+      locales: opts.locales,
+      previous,
+      decisions,
+      filename: path.basename(opts.input),
+      onRows: ({ rows: n, total }) => log(`${n} Produktzeilen, ${total} eindeutige Produktnummern`),
+      onProgress: ({ a2v, result, cached, done, total }) => log(`[${done}/${total}] ${a2v} ${cached ? '(Cache)' : result?.Status || ''}`)
+    };
+    let stats, rows, codes, changes;
+    if (opts.stream) {
+      options.onRows({ rows: scan.rows, total: scan.total });
+      ({ stats, rows, codes, changes } = await processWorkbookStream(opts.input, opts.output, { ...options, formats: scan.formats }));
+    } else {
+      let buffer;
+      ({ buffer, stats, rows, codes, changes } = await processWorkbook(wb, options));
+      await fs.promises.writeFile(opts.output, buffer);
+    }
+    log(`Ergebnis: ${opts.output}`);
+    if (!opts.quiet) printStats(stats, log);
+    if (stats.fetch.requests) log(`Web-Abrufe: ${formatFetchStats(stats.fetch)}`);
+    for (const [text, n] of Object.entries(stats.classification)) log(`Unbekannter Klassifizierungstext (${n}×): ${text}`);
+    if (changes) {
+      log(`Änderungen: ${formatChangesSummary(changes.summary)}`);
+      if (opts.changesFile) await fs.promises.writeFile(opts.changesFile, JSON.stringify(changes, null, 2));
+    }
+    if (opts.corrections) {
+      const { file: target, ...options } = opts.corrections;
+      const file = await buildCorrectionFile(rows, { ...options, codes });
+      await fs.promises.writeFile(target, file.buffer);
+      const { material, value, decision } = file.skipped;
+      log(`Korrekturdatei: ${target} (${file.count} Korrekturen; übersprungen: ${material} ohne Materialnummer, ${value} ohne verwertbaren Web-Wert, ${decision} per Prüfentscheidung)`);
+    }
+
+    const failing = FAIL_ON[opts.failOn];
+    if (!rows) { // --stream: nur Zählungen je Feld
+      const badValues = Object.values(stats.fields).reduce((n, counts) => n + failing.reduce((m, s) => m + counts[s], 0), 0);
+      if (badValues) {
+        log(`${badValues} Feldwert(e) mit Abweichungen (--fail-on ${opts.failOn}).`);
+        return EXIT.findings;
+      }
+      return EXIT.ok;
+    }
+    const badRows = rows.filter(r => Object.values(r.fields).some(s => failing.includes(s))).length;
+    if (badRows) {
+      log(`${badRows} Zeile(n) mit Abweichungen (--fail-on ${opts.failOn}).`);
+      return EXIT.findings;
+    }
+    return EXIT.ok;
+  } catch (e) {
+    if (controller.signal.aborted) { console.error('Abgebrochen.'); return EXIT.error; }
+    console.error(`Fehler: ${e.message}`);
+    return EXIT.error;
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await scraper.close().catch(() => {});
+  }
+}
+
+if (require.main === module) {
+  main().then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseCli, EXIT };
@@ -0,0 +1,335 @@
+// compare.js - Vergleichslogik DB-Wert ↔ Web-Wert, unabhängig von Excel.
+// Wird vom Excel-Pfad (workbook.js processWorkbook) und von POST /api/compare gemeinsam genutzt.
+
+const {
+  toNumber,
+  withinTolerance,
+  parseWeight,
+  normWeightUnit,
+  weightToKg,
+  parseDimensionsToLBH,
+  matchDimensions,
+  normPartNo,
+  parsePartNumbers,
+  normalizeNCode
+} = require('./utils');
+const { textSimilarity } = require('./similarity');
+const { FIELD_REGISTRY, FIELD_BY_KEY } = require('./fields');
+
+const WEIGHT_TOL_PCT = Number(process.env.WEIGHT_TOL_PCT || 0); // 0 = strikt
+const TEXT_SIMILARITY = Number(process.env.TEXT_SIMILARITY ?? 0.85); // Schwelle für "ähnlich", 0 = aus
+
+// Verglichene Felder in Ausgabe-Reihenfolge (Feldregister fields.js); die Originalspalten liefert das Mapping-Profil
+const FIELDS = FIELD_REGISTRY.map(({ key, label }) => ({ key, label }));
+
+// 'similar' = Text ähnlich (Schwelle erreicht), 'missing' = DB- oder Web-Wert fehlt, 'unit' = Gewichtseinheit unklar,
+// 'decided' = per Prüfentscheidung geklärt ("Web falsch" / "akzeptierte Abweichung", vergibt workbook.js)
+const STATUSES = ['match', 'tolerance', 'similar', 'mismatch', 'missing', 'unit', 'decided'];
+const keysWhere = (test) => FIELD_REGISTRY.filter(test).map(f => f.key);
+const NUMERIC_TOLERANCE_FIELDS = keysWhere(f => f.type === 'weight' || f.type === 'length'); // abs / pct
+const SIMILARITY_FIELDS = keysWhere(f => f.similarity);                                     // sim (0…1)
+const TOLERANCE_FIELDS = [...NUMERIC_TOLERANCE_FIELDS, ...SIMILARITY_FIELDS];
+const DIMENSION_KEYS = Object.fromEntries(FIELD_REGISTRY.filter(f => f.dimension).map(f => [f.key, f.dimension]));
+const DIMENSION_NAMES = { L: 'Länge', B: 'Breite', H: 'Höhe' };
+const DIMENSION_MODES = ['ordered', 'sorted']; // ordered = Web-Reihenfolge L×B×H, sorted = reihenfolgeunabhängig
+const TOLERANCE_UNITS = { weight: 'kg', length: 'mm' };
+// Alle Maße kommen aus demselben Web-Attribut (Abmessung)
+const DIMENSION_WEB_FIELD = FIELD_REGISTRY.find(f => f.type === 'length')?.web.field || null;
+
+// -------- Einzelvergleiche ----------
+function hasValue(v){ return v!==null && v!==undefined && v!=='' && String(v).trim()!==''; }
+function normText(s){ return String(s ?? '').trim().toLowerCase().replace(/\s+/g,' '); }
+function eqText(a,b){
+  if (a==null||b==null) return false;
+  return normText(a)===normText(b);
+}
+function eqPart(a,b){ return normPartNo(a)===normPartNo(b); }
+function eqN(a,b){ return normalizeNCode(a)===normalizeNCode(b); }
+// Zahlenvergleich: 'match' (exakt), 'tolerance' (innerhalb tol = { abs, pct }) oder 'mismatch'
+function cmpNumber(exNum, webNum, tol){
+  if (exNum==null || webNum==null) return 'mismatch';
+  if (Math.abs(exNum - webNum) < 1e-9) return 'match';
+  return withinTolerance(exNum, webNum, tol) ? 'tolerance' : 'mismatch';
+}
+// Gewicht: beide Seiten über weightToKg in kg; ohne erkennbare Einheit (DB oder Web) → 'unit'
+function cmpWeight(exS, dbUnit, webVal, tol){
+  const w = parseWeight(webVal);
+  if (w.value==null) return null;
+  if (!w.unit || !dbUnit) return { status: 'unit', webKg: null, dbKg: null, web: w };
+  const webKg = weightToKg(w.value, w.unit);
+  const dbKg = weightToKg(toNumber(exS), dbUnit);
+  return { status: cmpNumber(dbKg, webKg, tol), webKg, dbKg, web: w };
+}
+function cmpDimension(exVal, webDimText, dimType, tol){
+  const d = parseDimensionsToLBH(webDimText);
+  const webVal = (dimType==='L')?d.L:(dimType==='B')?d.B:d.H;
+  return cmpNumber(toNumber(exVal), webVal, tol);
+}
+
+// Scrape-Feld nur verwenden, wenn tatsächlich etwas gefunden wurde
+function webField(v) {
+  return hasValue(v) && v !== 'Nicht gefunden' ? v : null;
+}
+
+// -------- Optionen ----------
+function resolveDimensionMode(profile, requested) {
+  const mode = requested || profile?.dimensionMode || 'ordered';
+  if (!DIMENSION_MODES.includes(mode)) throw new Error(`Unbekannter Maß-Modus "${mode}" (erlaubt: ${DIMENSION_MODES.join(', ')}).`);
+  return mode;
+}
+
+/**
+ * Toleranzen je Feld zusammenführen: Standard (WEIGHT_TOL_PCT, TEXT_SIMILARITY) < Profil (tolerances) < Anfrage.
+ * Ergebnis: { gewicht: { abs, pct }, laenge: {...}, ..., kurztext: { sim }, werkstoff: { sim } };
+ * sim ist die Ähnlichkeitsschwelle (0…1, 0 = nur exakter Vergleich). Ungültige Angaben werfen einen Fehler.
+ */
+function resolveTolerances(profile, override) {
+  const out = {};
+  for (const key of NUMERIC_TOLERANCE_FIELDS) out[key] = { abs: 0, pct: FIELD_BY_KEY[key].type === 'weight' ? WEIGHT_TOL_PCT : 0 };
+  for (const key of SIMILARITY_FIELDS) out[key] = { sim: TEXT_SIMILARITY };
+  for (const source of [profile?.tolerances, override]) {
+    if (!source) continue;
+    for (const [key, tol] of Object.entries(source)) {
+      if (!TOLERANCE_FIELDS.includes(key)) throw new Error(`Toleranz für unbekanntes Feld "${key}" (erlaubt: ${TOLERANCE_FIELDS.join(', ')}).`);
+      const kinds = SIMILARITY_FIELDS.includes(key) ? ['sim'] : ['abs', 'pct'];
+      for (const k of Object.keys(tol || {})) {
+        if (!kinds.includes(k)) throw new Error(`Ungültige Toleranzart ${key}.${k} (erlaubt: ${kinds.join(', ')}).`);
+      }
+      for (const k of kinds) {
+        if (tol?.[k] == null) continue;
+        const n = Number(tol[k]);
+        if (!Number.isFinite(n) || n < 0 || (k === 'sim' && n > 1)) throw new Error(`Ungültige Toleranz ${key}.${k}: ${tol[k]}`);
+        out[key][k] = n;
+      }
+    }
+  }
+  return out;
+}
+
+// -------- Erläuterungen ----------
+const STATUS_LABELS = {
+  match: 'Grün – exakt gleich',
+  tolerance: 'Gelbgrün – Abweichung innerhalb der Toleranz',
+  similar: 'Gelb – Text ähnlich (Ähnlichkeit über der Schwelle)',
+  mismatch: 'Rot – normalisierte Werte ungleich',
+  missing: 'Orange – Wert fehlt',
+  unit: 'Lila – Gewichtseinheit nicht erkennbar',
+  decided: 'Grau – per Prüfentscheidung geklärt (Web falsch oder akzeptierte Abweichung)'
+};
+// Status → Farbname der Web-Zelle, Farbname → Füllfarbe (ARGB) in der Ausgabemappe
+const STATUS_COLORS = { match: 'green', tolerance: 'lime', similar: 'yellow', mismatch: 'red', missing: 'orange', unit: 'purple', decided: 'grey' };
+const FILL_COLORS = {
+  green:  'FFD5F4E6', // hellgrün
+  red:    'FFFDEAEA', // hellrot
+  orange: 'FFFFEAA7', // hellorange
+  purple: 'FFE4DFEC', // helllila (Einheit unklar)
+  lime:   'FFE5F5B5', // hellgelbgrün (innerhalb Toleranz)
+  yellow: 'FFFFF2CC', // hellgelb (Text ähnlich)
+  grey:   'FFE7E6E6', // hellgrau (Prüfentscheidung)
+  dbBlue: 'FFE6F3FF', // hellblau (Label DB)
+  webBlue:'FFCCE7FF'  // noch helleres Blau (Label Web)
+};
+const RULES = {
+  text: 'Text: Vergleich ohne Groß-/Kleinschreibung, Leerraum zusammengefasst.',
+  similar: 'Sonst Ähnlichkeit nach Umlaut-/Satzzeichen-Normalisierung und Synonymen (Präfix, Zeichen oder Wörter).',
+  part: 'Artikelnummer: Großbuchstaben, ohne Leerzeichen, "-", "/" und "_"; mehrere Web-Nummern: Treffer, wenn die DB-Nummer darunter ist.',
+  code: 'Code: beide Seiten normalisiert verglichen.',
+  weight: 'Gewicht: DB-Einheit (GEWEI) und Web-Einheit nach kg umgerechnet.',
+  dimOrdered: 'Maße: Web-Text als Länge × Breite × Höhe gelesen (zwei Zahlen: Ø × Höhe), in mm.',
+  dimSorted: 'Maße: reihenfolgeunabhängig zugeordnet (kleinste Gesamtabweichung), in mm.'
+};
+
+function formatSimilarity(tol) {
+  return tol?.sim ? `${RULES.similar} Schwelle: ${Math.round(tol.sim * 100)} %.` : 'Ähnlichkeit: aus.';
+}
+
+function formatTolerance(tol, unit) {
+  if (!tol || (!tol.abs && !tol.pct)) return 'Toleranz: keine.';
+  return `Toleranz: ±${tol.abs || 0} ${unit} bzw. ±${tol.pct || 0} %.`;
+}
+
+// Kommentar für die Web-Zellen: welche Web-Zahl welchem DB-Maß zugeordnet wurde
+function describeDimensionMatch(webText, dbDims, match) {
+  const lines = [`Reihenfolgeunabhängiger Vergleich für Web „${String(webText).trim()}“:`];
+  for (const dim of ['L', 'B', 'H']) {
+    const m = match[dim];
+    const db = dbDims[dim] != null ? dbDims[dim] : '–';
+    lines.push(`${DIMENSION_NAMES[dim]} (DB ${db}) ← ${m ? `${m.value} (${m.label})` : 'keine Web-Zahl'}`);
+  }
+  return lines.join('\n');
+}
+
+// Notiztext zu einem Feldergebnis aus compareRecord
+function buildComparisonNote(result) {
+  const { status, hasDb, hasWeb } = result;
+  const lines = [`Status: ${STATUS_LABELS[status]}`];
+  if (status === 'missing') lines.push(hasDb ? 'Kein Web-Wert gefunden.' : 'DB-Wert ist leer.');
+  if (result.rule) lines.push(`Regel: ${result.rule}`);
+  lines.push(`Web roh: ${hasValue(result.raw) ? `„${String(result.raw).trim()}“` : '–'}`);
+  if (hasDb && result.dbNorm != null) lines.push(`DB normalisiert: ${result.dbNorm}`);
+  if (hasWeb && result.webNorm != null) lines.push(`Web normalisiert: ${result.webNorm}`);
+  if (result.locale) lines.push(`Sprache der Webseite: ${result.locale}`);
+  if (result.extra) lines.push(result.extra);
+  return lines.join('\n');
+}
+
+// -------- Vergleichsarten (type im Feldregister) ----------
+// Jede Funktion bekommt das Feld, den DB-Wert, den Web-Rohwert und den Kontext des Datensatzes und trägt
+// Erläuterungen in info ein; Rückgabe { webValue, status, numFmt } (webValue null = kein Web-Wert)
+const COMPARATORS = {
+  text(field, dbValue, raw, { tolerances }, info) {
+    const tol = tolerances[field.key];
+    info.rule = field.rule || (field.similarity ? `${RULES.text} ${formatSimilarity(tol)}` : RULES.text);
+    const webValue = webField(raw);
+    let status = 'mismatch';
+    if (webValue) { info.dbNorm = normText(dbValue); info.webNorm = normText(webValue); }
+    if (webValue && eqText(dbValue || '', webValue)) status = 'match';
+    else if (webValue && hasValue(dbValue) && field.similarity && tol?.sim) {
+      const sim = textSimilarity(dbValue, webValue);
+      info.score = sim.score;
+      info.dbNorm = sim.a; info.webNorm = sim.b;
+      info.extra = `Ähnlichkeit: ${Math.round(sim.score * 100)} % (${sim.method})`;
+      if (sim.score >= tol.sim) status = 'similar';
+    }
+    return { webValue, status };
+  },
+
+  part(field, dbValue, raw, ctx, info) {
+    info.rule = field.rule || RULES.part;
+    info.partNumbers = parsePartNumbers(webField(raw));
+    if (!info.partNumbers.length) return { webValue: null, status: 'mismatch' };
+    info.dbNorm = normPartNo(dbValue); info.webNorm = info.partNumbers.map(normPartNo).join(', ');
+    info.matched = hasValue(dbValue) ? info.partNumbers.find(p => eqPart(dbValue, p)) || null : null;
+    if (info.partNumbers.length > 1) {
+      info.extra = info.matched
+        ? `Treffer: ${info.matched} (${info.partNumbers.length} Web-Nummern)`
+        : `Keine der ${info.partNumbers.length} Web-Nummern passt.`;
+    }
+    return { webValue: info.partNumbers.join(', '), status: info.matched ? 'match' : 'mismatch' };
+  },
+
+  // parse(Web-Text) → { code, unknown }; unknown = nicht zuordenbare Textteile (Bericht in der Zusammenfassung)
+  code(field, dbValue, raw, ctx, info) {
+    info.rule = field.rule || RULES.code;
+    if (!webField(raw)) return { webValue: null, status: 'mismatch' };
+    const parsed = field.parse(raw) || {};
+    const code = parsed.code ? field.normalize(parsed.code) : null;
+    if (parsed.unknown?.length) info.unknown = parsed.unknown;
+    if (!code) {
+      info.extra = `Text „${String(raw).trim()}“ lässt sich keinem Code zuordnen.`;
+      return { webValue: null, status: 'mismatch' };
+    }
+    info.dbNorm = hasValue(dbValue) ? field.normalize(dbValue) : null;
+    info.webNorm = code;
+    if (info.unknown) info.extra = `Nicht zugeordnet: ${info.unknown.map(u => `"${u}"`).join(', ')}`;
+    return { webValue: code, status: hasValue(dbValue) && info.dbNorm === code ? 'match' : 'mismatch' };
+  },
+
+  // DB-Einheit aus GEWEI bzw. Profil-Vorgabe weightUnit
+  weight(field, dbValue, raw, { db, tolerances, weightUnit }, info) {
+    const tol = tolerances[field.key];
+    info.rule = `${RULES.weight} ${formatTolerance(tol, TOLERANCE_UNITS.weight)}`;
+    if (!webField(raw)) return { webValue: null, status: 'mismatch' };
+    const dbUnit = normWeightUnit(db.gewichtseinheit) || normWeightUnit(weightUnit);
+    const w = cmpWeight(dbValue, dbUnit, raw, tol);
+    if (!w) return { webValue: null, status: 'mismatch' };
+    info.dbNorm = dbUnit ? `${toNumber(dbValue)} ${dbUnit} → ${w.dbKg} kg` : `${toNumber(dbValue)} (Einheit unbekannt)`;
+    info.webNorm = w.web.unit ? `${w.web.value} ${w.web.unit} → ${w.webKg} kg` : `${w.web.value} (Einheit unbekannt)`;
+    return {
+      webValue: w.webKg != null ? w.webKg : String(raw).trim(),
+      status: w.status,
+      numFmt: w.webKg != null ? 'General" kg"' : null
+    };
+  },
+
+  // dimMatch: reihenfolgeunabhängige Zuordnung des Datensatzes (sonst null)
+  length(field, dbValue, raw, { tolerances, dimMatch, dimNote }, info) {
+    const tol = tolerances[field.key];
+    info.rule = `${dimMatch ? RULES.dimSorted : RULES.dimOrdered} ${formatTolerance(tol, TOLERANCE_UNITS.length)}`;
+    if (!webField(raw)) return { webValue: null, status: 'mismatch' };
+    let webValue = null, status = 'mismatch';
+    if (dimMatch) {
+      const m = dimMatch[field.dimension];
+      info.extra = dimNote;
+      if (m) { webValue = m.value; status = cmpNumber(toNumber(dbValue), m.value, tol); }
+    } else {
+      const d = parseDimensionsToLBH(raw);
+      if (d[field.dimension] != null) { webValue = d[field.dimension]; status = cmpDimension(dbValue, raw, field.dimension, tol); }
+    }
+    if (webValue != null) { info.dbNorm = `${toNumber(dbValue)} mm`; info.webNorm = `${webValue} mm`; }
+    return { webValue, status };
+  }
+};
+
+// -------- Datensatzvergleich ----------
+/**
+ * Einen DB-Datensatz mit dem Scrape-Ergebnis vergleichen; wie, bestimmt das Feldregister (fields.js).
+ * db:  { kurztext, artikelnummer, ..., gewicht, gewichtseinheit, laenge, breite, hoehe, ... } (Schlüssel wie im Register)
+ * web: Ergebnis von scraper.scrapeOne (Produkttitel, Gewicht, Abmessung, ...)
+ * options: { keys (zu vergleichende Felder, Standard alle), tolerances, dimensionMode, weightUnit (Vorgabe ohne GEWEI) }
+ * Liefert { key: { status, dbValue, webValue, numFmt, hasDb, hasWeb, raw, dbNorm, webNorm, rule, extra, score, unknown, partNumbers, matched, locale } };
+ * score ist die Text-Ähnlichkeit (0…1) für Felder mit similarity, wenn die Texte nicht exakt gleich sind.
+ * unknown sind die nicht zuordenbaren Teile des Web-Texts bei Code-Feldern (Fert./Prüfhinweis, sonst null).
+ * partNumbers/matched: alle Web-Nummern eines part-Felds und die zur DB-Nummer passende (sonst null).
+ * locale ist die Sprache der Seite, aus der der Web-Wert stammt (web.Sprachen, sonst null).
+ * status ist null, wenn weder DB- noch Web-Wert vorhanden sind.
+ */
+function compareRecord(db = {}, web = {}, { keys, tolerances, dimensionMode = 'ordered', weightUnit } = {}) {
+  tolerances = tolerances || resolveTolerances();
+  keys = keys || FIELDS.map(f => f.key);
+  web = web || {};
+  const out = {};
+
+  // Reihenfolge-unabhängiger Maßvergleich: einmal pro Datensatz zuordnen
+  let dimMatch = null, dimNote = null;
+  const dimText = DIMENSION_WEB_FIELD && webField(web[DIMENSION_WEB_FIELD]);
+  if (dimensionMode === 'sorted' && dimText) {
+    const dbDims = { L: null, B: null, H: null };
+    for (const key of keys) if (DIMENSION_KEYS[key]) dbDims[DIMENSION_KEYS[key]] = toNumber(db[key]);
+    dimMatch = matchDimensions(dbDims, dimText);
+    dimNote = describeDimensionMatch(dimText, dbDims, dimMatch);
+  }
+  const ctx = { db, tolerances, weightUnit, dimMatch, dimNote };
+
+  for (const key of keys) {
+    const field = FIELD_BY_KEY[key];
+    if (!field) throw new Error(`Unbekanntes Vergleichsfeld "${key}".`);
+    const dbValue = db[key] ?? null;
+    const raw = web[field.web.field];
+    // Erläuterung: Rohwert, normalisierte Werte, Regel
+    const info = { raw, dbNorm: null, webNorm: null, rule: null, extra: null, score: null, unknown: null, partNumbers: null, matched: null };
+    const { webValue = null, numFmt = null, status: compared } = COMPARATORS[field.type](field, dbValue, raw, ctx, info);
+
+    const hasDb = hasValue(dbValue);
+    const hasWeb = webValue !== null;
+    let status = compared;
+    if (!hasDb && !hasWeb) status = null;
+    else if (!hasDb || !hasWeb) status = 'missing';
+    const locale = web.Sprachen?.[field.web.field] || null;
+    out[key] = { status, dbValue, webValue, numFmt, hasDb, hasWeb, locale, ...info };
+  }
+  return out;
+}
+
+module.exports = {
+  FIELDS,
+  STATUSES,
+  STATUS_LABELS,
+  STATUS_COLORS,
+  FILL_COLORS,
+  TOLERANCE_FIELDS,
+  SIMILARITY_FIELDS,
+  DIMENSION_MODES,
+  compareRecord,
+  buildComparisonNote,
+  resolveTolerances,
+  resolveDimensionMode,
+  hasValue,
+  normText,
+  eqText,
+  eqPart,
+  eqN,
+  cmpNumber,
+  cmpWeight,
+  cmpDimension
+};
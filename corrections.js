@@ -0,0 +1,141 @@
+// corrections.js - Korrekturvorschläge für die SAP-Massenpflege (LSMW/MM17): ausgewählte Abweichungen
+// als CSV oder XLSX mit Materialnummer, Feldcode (Code-Zeile der Eingabe), altem und vorgeschlagenem Wert.
+// Vorgeschlagen wird der normalisierte Web-Wert (Gewicht in der DB-Einheit, Maße in mm); bei mehreren
+// Web-Herstellartikelnummern gibt es keinen eindeutigen Vorschlag.
+
+const ExcelJS = require('exceljs');
+const { FIELDS, STATUSES, STATUS_LABELS } = require('./compare');
+const { FIELD_BY_KEY } = require('./fields');
+const { weightToKg, normWeightUnit } = require('./utils');
+const { toCsv } = require('./csv');
+
+const CORRECTION_FORMATS = ['csv', 'xlsx'];
+const DEFAULT_STATUSES = ['mismatch'];
+
+// Spalten der Korrekturdatei: die ersten vier sind die Pflichtangaben für die Massenpflege
+const COLUMNS = [
+  ['material', 'Material'],
+  ['code', 'Feldcode'],
+  ['oldValue', 'Alter Wert'],
+  ['newValue', 'Neuer Wert'],
+  ['unit', 'Einheit'],
+  ['a2v', 'A2V'],
+  ['field', 'Feld'],
+  ['status', 'Status'],
+  ['sheet', 'Blatt'],
+  ['row', 'Zeile']
+];
+
+class CorrectionError extends Error {}
+
+const round = (n) => Number(n.toPrecision(12));
+
+/**
+ * Vorgeschlagenen SAP-Wert aus einem Feldergebnis von compareRecord ableiten.
+ * unit: DB-Gewichtseinheit (GEWEI bzw. Profil-Vorgabe). null, wenn es keinen verlässlichen Web-Wert gibt.
+ */
+function proposeValue(key, result, { unit } = {}) {
+  if (!result?.hasWeb) return null;
+  const value = result.webValue;
+  if (result.partNumbers?.length > 1) return null; // welche der Nummern richtig ist, entscheidet die Fachabteilung
+  const { type } = FIELD_BY_KEY[key] || {};
+  if (type === 'weight') {
+    const u = normWeightUnit(unit);
+    return typeof value === 'number' && u ? round(value / weightToKg(1, u)) : null;
+  }
+  if (type === 'length') return typeof value === 'number' ? round(value) : null;
+  return String(value).trim() || null;
+}
+
+// "gewicht,laenge" bzw. Array → geprüfte Liste; leer = Vorgabe
+function parseSelection(value, allowed, fallback, what) {
+  const list = (Array.isArray(value) ? value : String(value ?? '').split(',')).map(s => String(s).trim()).filter(Boolean);
+  const unknown = list.filter(v => !allowed.includes(v));
+  if (unknown.length) throw new CorrectionError(`Unbekannte ${what}: ${unknown.join(', ')} (erlaubt: ${allowed.join(', ')})`);
+  return list.length ? list : fallback;
+}
+
+/**
+ * Korrekturen aus den Zeilenergebnissen von processWorkbook auswählen.
+ * rows: [{ sheet, row, a2v, material, fields: { key: status }, values: { key: { db, proposed, unit, decision } } }]
+ * codes: { Blatt: { key: Feldcode } }; fields/statuses: Auswahl (Standard: alle Felder, nur "mismatch").
+ * Felder mit der Prüfentscheidung "Web falsch" oder "akzeptierte Abweichung" werden nicht vorgeschlagen.
+ * Liefert { corrections: [...], skipped: { material, value, decision } }.
+ */
+function selectCorrections(rows, { codes = {}, fields, statuses } = {}) {
+  fields = parseSelection(fields, FIELDS.map(f => f.key), FIELDS.map(f => f.key), 'Felder');
+  statuses = parseSelection(statuses, STATUSES, DEFAULT_STATUSES, 'Status');
+  const labelOf = Object.fromEntries(FIELDS.map(f => [f.key, f.label]));
+  const corrections = [];
+  const skipped = { material: 0, value: 0, decision: 0 };
+
+  for (const r of rows) {
+    for (const key of fields) {
+      const status = r.fields[key];
+      if (!statuses.includes(status)) continue;
+      const v = r.values?.[key] || {};
+      if (v.decision && v.decision.decision !== 'db') { skipped.decision++; continue; }
+      if (!r.material) { skipped.material++; continue; }
+      if (v.proposed == null) { skipped.value++; continue; }
+      corrections.push({
+        material: r.material,
+        code: codes[r.sheet]?.[key] || key.toUpperCase(),
+        oldValue: v.db ?? '',
+        newValue: v.proposed,
+        unit: v.unit || '',
+        a2v: r.a2v,
+        field: labelOf[key],
+        status: STATUS_LABELS[status],
+        sheet: r.sheet,
+        row: r.row
+      });
+    }
+  }
+  return { corrections, skipped };
+}
+
+// CSV für LSMW: Semikolon, Dezimalkomma (deutsches SAP-Format)
+function correctionsToCsv(corrections) {
+  const rows = corrections.map(c => Object.fromEntries(COLUMNS.map(([key, header]) => {
+    const v = c[key];
+    return [header, typeof v === 'number' && key !== 'row' ? String(v).replace('.', ',') : v];
+  })));
+  return '\uFEFF' + toCsv(rows, COLUMNS.map(([, header]) => header));
+}
+
+// XLSX mit einem Blatt "Korrekturen" (Zahlen bleiben Zahlen)
+async function correctionsToXlsx(corrections) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Korrekturen');
+  ws.columns = COLUMNS.map(([key, header]) => ({ header, key, width: key === 'field' ? 24 : 16 }));
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  for (const c of corrections) ws.addRow(c);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/**
+ * Korrekturdatei erzeugen → { buffer, contentType, extension, count, skipped }
+ * options: { format: 'csv' | 'xlsx', codes, fields, statuses }
+ */
+async function buildCorrectionFile(rows, { format = 'xlsx', ...options } = {}) {
+  if (!CORRECTION_FORMATS.includes(format)) throw new CorrectionError(`Unbekanntes Format "${format}" (erlaubt: ${CORRECTION_FORMATS.join(', ')})`);
+  const { corrections, skipped } = selectCorrections(rows, options);
+  const buffer = format === 'csv'
+    ? Buffer.from(correctionsToCsv(corrections), 'utf8')
+    : await correctionsToXlsx(corrections);
+  const contentType = format === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  return { buffer, contentType, extension: format, count: corrections.length, skipped };
+}
+
+module.exports = {
+  proposeValue,
+  selectCorrections,
+  correctionsToCsv,
+  correctionsToXlsx,
+  buildCorrectionFile,
+  CorrectionError,
+  CORRECTION_FORMATS
+};
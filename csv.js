@@ -0,0 +1,69 @@
+// csv.js - Minimaler CSV-Leser/-Schreiber für die JSON/CSV-Schnittstellen (RFC 4180, Trennzeichen ; , oder Tab).
+
+// Trennzeichen aus der Kopfzeile raten: das häufigste außerhalb von Anführungszeichen
+function detectDelimiter(text) {
+  const counts = { ';': 0, ',': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch]++;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n ? best : ';';
+}
+
+// Liefert Zeilen als Arrays von Strings
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (quoted) throw new Error('CSV: Anführungszeichen nicht geschlossen.');
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * CSV-Text mit Kopfzeile in Objekte umwandeln: [{ Kopf: Wert, ... }, ...]
+ * delimiter: fest vorgeben oder aus der Kopfzeile erkennen lassen
+ */
+function parseCsv(text, { delimiter } = {}) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const rows = parseRows(text, delimiter || detectDelimiter(text));
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+// Text, den Excel beim Öffnen als Formel ausführen würde (=, +, -, @, Tab, CR am Anfang), bekommt ein ' davor –
+// die Werte stammen teils von Webseiten. Reine Zahlen ("-0,5") bleiben unverändert.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+([.,]\d+)?$/;
+
+function escapeField(v, delimiter) {
+  if (v == null) return '';
+  let s = String(v);
+  if (FORMULA_START.test(s) && !PLAIN_NUMBER.test(s)) s = `'${s}`;
+  return s.includes('"') || s.includes(delimiter) || /[\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Objekte als CSV; columns legt Reihenfolge und Kopfzeile fest
+function toCsv(rows, columns, { delimiter = ';' } = {}) {
+  const lines = [columns.map(c => escapeField(c, delimiter)).join(delimiter)];
+  for (const row of rows) lines.push(columns.map(c => escapeField(row[c], delimiter)).join(delimiter));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
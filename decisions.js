@@ -0,0 +1,111 @@
+// decisions.js - Prüfentscheidungen aus der Ergebnisansicht ("DB falsch", "Web falsch", "akzeptierte Abweichung").
+// Gespeichert als JSON-Lines-Datei wie der Scrape-Cache (letzter Eintrag gewinnt, Löschvermerk { id, deleted: true }).
+// Eine Entscheidung gilt für genau eine Kombination aus A2V, Feld, DB-Wert und Web-Wert und wird in späteren
+// Läufen automatisch übernommen; ändert sich einer der Werte, muss neu entschieden werden.
+
+const fs = require('fs');
+const path = require('path');
+const { FIELDS } = require('./compare');
+
+const DECISIONS_FILE = process.env.DECISIONS_FILE || path.join(__dirname, 'data', 'decisions.jsonl');
+
+const DECISIONS = { db: 'DB falsch', web: 'Web falsch', accepted: 'akzeptierte Abweichung' };
+const MAX_COMMENT = 1000;
+
+class DecisionError extends Error {}
+
+// Werte wie in der Ergebnisansicht: Text, Leerraum zusammengefasst
+const normValue = (v) => String(v ?? '').replace(/\s+/g, ' ').trim();
+
+function decisionId(a2v, field, db, web) {
+  return JSON.stringify([String(a2v || '').trim().toUpperCase(), field, normValue(db), normValue(web)]);
+}
+
+// Zeile für den Zellkommentar: "Prüfentscheidung: DB falsch – Zeichnung geändert (M. Muster, 2024-05-02)"
+function formatDecision(entry) {
+  const by = [entry.reviewer, entry.decidedAt?.slice(0, 10)].filter(Boolean).join(', ');
+  return `Prüfentscheidung: ${DECISIONS[entry.decision]}${entry.comment ? ` – ${entry.comment}` : ''}${by ? ` (${by})` : ''}`;
+}
+
+// Zeilenergebnisse (processWorkbook) mit dem aktuellen Stand der Entscheidungen – für Ansicht und Korrekturdatei,
+// damit Entscheidungen aus der Ansicht sofort gelten
+function applyDecisions(rows, store) {
+  return rows.map(r => ({
+    ...r,
+    values: Object.fromEntries(Object.entries(r.values || {}).map(([key, v]) => [key, { ...v, decision: store.lookup(r.a2v, key, v.db, v.web) }]))
+  }));
+}
+
+class DecisionStore {
+  constructor({ file = DECISIONS_FILE } = {}) {
+    this.file = file;
+    this.entries = new Map(); // id -> { id, a2v, field, db, web, decision, comment, reviewer, decidedAt }
+    this._load();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      if (!e?.id) continue;
+      if (e.deleted) this.entries.delete(e.id);
+      else this.entries.set(e.id, e);
+    }
+  }
+
+  _append(obj) {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(obj) + '\n');
+  }
+
+  // Entscheidung zur Wertekombination oder null
+  lookup(a2v, field, db, web) {
+    return this.entries.get(decisionId(a2v, field, db, web)) || null;
+  }
+
+  /**
+   * Entscheidung speichern bzw. ersetzen: { a2v, field, db, web, decision (db|web|accepted), comment, reviewer }.
+   * Wirft DecisionError bei unvollständigen oder unbekannten Angaben.
+   */
+  set({ a2v, field, db, web, decision, comment, reviewer } = {}) {
+    if (!String(a2v || '').trim()) throw new DecisionError('A2V fehlt.');
+    if (!FIELDS.some(f => f.key === field)) throw new DecisionError(`Unbekanntes Feld "${field}".`);
+    if (!DECISIONS[decision]) throw new DecisionError(`Unbekannte Entscheidung "${decision}" (erlaubt: ${Object.keys(DECISIONS).join(', ')}).`);
+    if (comment != null && String(comment).length > MAX_COMMENT) throw new DecisionError(`Kommentar zu lang (max. ${MAX_COMMENT} Zeichen).`);
+    const id = decisionId(a2v, field, db, web);
+    const entry = {
+      id,
+      a2v: String(a2v).trim().toUpperCase(),
+      field,
+      db: normValue(db),
+      web: normValue(web),
+      decision,
+      comment: normValue(comment) || null,
+      reviewer: normValue(reviewer) || null,
+      decidedAt: new Date().toISOString()
+    };
+    this.entries.set(id, entry);
+    this._append(entry);
+    return entry;
+  }
+
+  delete(id) {
+    if (!this.entries.has(id)) return false;
+    this.entries.delete(id);
+    this._append({ id, deleted: true });
+    return true;
+  }
+
+  list({ a2v, field } = {}) {
+    return [...this.entries.values()]
+      .filter(e => (!a2v || e.a2v === String(a2v).trim().toUpperCase()) && (!field || e.field === field))
+      .sort((a, b) => b.decidedAt.localeCompare(a.decidedAt));
+  }
+
+  get size() { return this.entries.size; }
+}
+
+module.exports = { DecisionStore, DecisionError, DECISIONS, DECISIONS_FILE, decisionId, formatDecision, applyDecisions };
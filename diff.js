@@ -0,0 +1,271 @@
+// diff.js - Änderungsbericht zwischen zwei Läufen derselben Mappe. Gelesen werden die verarbeiteten
+// Ausgaben (DB-/Web-Wert-Zellen und die Füllfarbe der Web-Zelle als Status); verglichen werden Zeilen
+// (neu/entfallen), Statuswechsel je Feld und geänderte Web- bzw. DB-Werte.
+
+const { FIELDS, STATUS_COLORS, FILL_COLORS } = require('./compare');
+const { detectColumns, cellText } = require('./mapping');
+const { SUMMARY_SHEET } = require('./summary');
+const { LONG_HEADERS } = require('./layout');
+
+const CHANGES_SHEET = 'Änderungen';
+
+// Füllfarbe (ARGB) → Status
+const STATUS_OF_FILL = Object.fromEntries(Object.entries(STATUS_COLORS).map(([status, color]) => [FILL_COLORS[color], status]));
+// Rangfolge für "besser"/"schlechter"; fehlend und Einheit unklar gelten als gleich schlecht
+const STATUS_RANK = { match: 0, decided: 1, tolerance: 1, similar: 1, missing: 2, unit: 2, mismatch: 3 };
+const STATUS_SHORT = { match: 'grün', tolerance: 'gelbgrün', similar: 'gelb', mismatch: 'rot', missing: 'orange', unit: 'lila', decided: 'grau' };
+const TRENDS = { better: 'besser', worse: 'schlechter', changed: 'geändert', same: 'gleich' };
+
+class DiffError extends Error {}
+
+function statusOfCell(cell) {
+  const fill = cell.fill;
+  return fill?.type === 'pattern' ? STATUS_OF_FILL[fill.fgColor?.argb] || null : null;
+}
+
+/**
+ * Verarbeitete Ausgabe einlesen → { sheets: { Blatt: [{ row, key, material, a2v, fields: { key: { status, db, web } } }] } }.
+ * Alle Layouts (layout.js): side-by-side je Originalblatt; separate und long über das Blatt "Web-Vergleich",
+ * dort zählen Blatt und Zeile des Originals – so lassen sich auch Läufe mit verschiedenen Layouts vergleichen.
+ * Zeilen werden über die Materialnummer erkannt, sonst über die Produktnummer (Wiederholungen mit "#2", "#3" …).
+ * Wirft DiffError, wenn kein Blatt eine Vergleichstabelle enthält.
+ */
+function readRun(wb, profile) {
+  const labelRow = profile.rows.header + 1;
+  const entries = []; // { sheet, row, material, a2v, fields } in Lesereihenfolge
+  let found = false;
+  for (const ws of wb.worksheets) {
+    if (ws.name === SUMMARY_SHEET || ws.name === CHANGES_SHEET) continue;
+    if (isLongSheet(ws)) { found = true; entries.push(...readLongSheet(ws)); continue; }
+    const { columns } = detectColumns(ws, profile);
+    const pairs = FIELDS.filter(f => columns[f.key]).map(f => {
+      const dbIndex = ws.getColumn(columns[f.key]).number;
+      return { ...f, dbCol: dbIndex, webCol: dbIndex + 1 };
+    }).filter(p => cellText(ws.getRow(labelRow).getCell(p.dbCol).value) === 'DB-Wert'
+      && cellText(ws.getRow(labelRow).getCell(p.webCol).value) === 'Web-Wert');
+    if (!pairs.length || !columns.a2v) continue;
+    found = true;
+    // Layout separate: Spalten A/B nennen Blatt und Zeile des Originals
+    const header = ws.getRow(profile.rows.header);
+    const separate = cellText(header.getCell(1).value) === 'Blatt' && cellText(header.getCell(2).value) === 'Zeile';
+
+    const last = ws.lastRow?.number || 0;
+    for (let r = labelRow + 1; r <= last; r++) {
+      const row = ws.getRow(r);
+      const a2v = cellText(row.getCell(columns.a2v).value).trim().toUpperCase();
+      const material = columns.material ? cellText(row.getCell(columns.material).value).trim() : '';
+      if (!material && !a2v) continue;
+      const fields = {};
+      for (const p of pairs) {
+        const web = row.getCell(p.webCol);
+        fields[p.key] = { status: statusOfCell(web), db: cellText(row.getCell(p.dbCol).value), web: cellText(web.value) };
+      }
+      entries.push({
+        sheet: separate ? cellText(row.getCell(1).value) : ws.name,
+        row: separate ? Number(cellText(row.getCell(2).value)) || r : r,
+        material: material || null,
+        a2v: a2v || null,
+        fields
+      });
+    }
+  }
+  if (!found) {
+    throw new DiffError('Keine verarbeitete Vergleichstabelle gefunden (Zeile "DB-Wert"/"Web-Wert" fehlt).');
+  }
+
+  const sheets = {};
+  const seen = new Map(); // Blatt → Material/A2V → Anzahl
+  for (const { sheet, row, material, a2v, fields } of entries) {
+    const base = material || a2v;
+    const counts = seen.get(sheet) || seen.set(sheet, new Map()).get(sheet);
+    const n = (counts.get(base) || 0) + 1;
+    counts.set(base, n);
+    (sheets[sheet] = sheets[sheet] || []).push({ row, key: n > 1 ? `${base}#${n}` : base, material, a2v, fields });
+  }
+  return { sheets };
+}
+
+// Layout long: Zeile 1 entspricht LONG_HEADERS
+function isLongSheet(ws) {
+  return LONG_HEADERS.every((h, i) => cellText(ws.getRow(1).getCell(i + 1).value) === h);
+}
+
+// Langformat → eine Eintragung je Blatt und Zeile des Originals (aufeinanderfolgende Feldzeilen zusammengefasst)
+function readLongSheet(ws) {
+  const keyOf = Object.fromEntries(FIELDS.map(f => [f.label, f.key]));
+  const col = Object.fromEntries(LONG_HEADERS.map((h, i) => [h, i + 1]));
+  const entries = [];
+  let current = null;
+  const last = ws.lastRow?.number || 0;
+  for (let r = 2; r <= last; r++) {
+    const row = ws.getRow(r);
+    const key = keyOf[cellText(row.getCell(col.Feld).value)];
+    if (!key) continue;
+    const sheet = cellText(row.getCell(col.Blatt).value);
+    const origin = Number(cellText(row.getCell(col.Zeile).value));
+    if (!current || current.sheet !== sheet || current.row !== origin) {
+      const a2v = cellText(row.getCell(col['Produkt-ID']).value).trim().toUpperCase();
+      const material = cellText(row.getCell(col.Material).value).trim();
+      current = { sheet, row: origin, material: material || null, a2v: a2v || null, fields: {} };
+      entries.push(current);
+    }
+    const web = row.getCell(col['Web-Wert']);
+    current.fields[key] = { status: statusOfCell(web), db: cellText(row.getCell(col['DB-Wert']).value), web: cellText(web.value) };
+  }
+  return entries;
+}
+
+function trendOf(from, to) {
+  if (from === to) return 'same';
+  if (from == null || to == null) return 'changed';
+  const d = STATUS_RANK[to] - STATUS_RANK[from];
+  return d < 0 ? 'better' : d > 0 ? 'worse' : 'changed';
+}
+
+/**
+ * Zwei eingelesene Läufe (readRun) vergleichen.
+ * Liefert { summary, added, removed, changed } – changed: je Zeile die Felder mit Statuswechsel
+ * oder geändertem Web-/DB-Wert, inkl. Entwicklung (besser/schlechter/geändert/gleich) und Ursache (DB/Web).
+ */
+function diffRuns(previous, current) {
+  const labelOf = Object.fromEntries(FIELDS.map(f => [f.key, f.label]));
+  const added = [], removed = [], changed = [];
+  const transitions = {};
+  const fieldCounts = { better: 0, worse: 0, changed: 0, webChanged: 0, dbChanged: 0 };
+  let previousRows = 0, currentRows = 0;
+  const ref = ({ row, key, material, a2v }, sheet) => ({ sheet, row, key, material, a2v });
+
+  for (const sheet of new Set([...Object.keys(previous.sheets), ...Object.keys(current.sheets)])) {
+    const before = new Map((previous.sheets[sheet] || []).map(r => [r.key, r]));
+    const after = new Map((current.sheets[sheet] || []).map(r => [r.key, r]));
+    previousRows += before.size;
+    currentRows += after.size;
+    for (const [key, r] of after) if (!before.has(key)) added.push(ref(r, sheet));
+    for (const [key, r] of before) if (!after.has(key)) removed.push(ref(r, sheet));
+
+    for (const [key, now] of after) {
+      const old = before.get(key);
+      if (!old) continue;
+      const fields = [];
+      for (const f of FIELDS) {
+        const a = old.fields[f.key], b = now.fields[f.key];
+        if (!a && !b) continue;
+        const from = a?.status ?? null, to = b?.status ?? null;
+        const webChanged = (a?.web ?? '') !== (b?.web ?? '');
+        const dbChanged = (a?.db ?? '') !== (b?.db ?? '');
+        if (from === to && !webChanged) continue;
+        const trend = trendOf(from, to);
+        if (trend !== 'same') {
+          fieldCounts[trend]++;
+          const t = `${from || 'leer'}→${to || 'leer'}`;
+          transitions[t] = (transitions[t] || 0) + 1;
+        }
+        if (webChanged) fieldCounts.webChanged++;
+        if (dbChanged) fieldCounts.dbChanged++;
+        fields.push({
+          key: f.key,
+          label: labelOf[f.key],
+          from,
+          to,
+          trend: TRENDS[trend],
+          cause: dbChanged && webChanged ? 'DB+Web' : dbChanged ? 'DB' : webChanged ? 'Web' : 'Regel',
+          dbBefore: a?.db ?? null,
+          dbAfter: b?.db ?? null,
+          webBefore: a?.web ?? null,
+          webAfter: b?.web ?? null
+        });
+      }
+      if (fields.length) changed.push({ ...ref(now, sheet), previousRow: old.row, fields });
+    }
+  }
+
+  return {
+    summary: {
+      rows: { previous: previousRows, current: currentRows, added: added.length, removed: removed.length, changed: changed.length },
+      fields: fieldCounts,
+      transitions
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+// Einzeiler für CLI und Log, z.B. "2 neue, 1 entfallene, 3 geänderte Zeilen; Felder: 4 besser, 1 schlechter, 2 Web-Werte geändert"
+function formatChangesSummary({ rows, fields }) {
+  return `${rows.added} neue, ${rows.removed} entfallene, ${rows.changed} geänderte Zeilen; ` +
+    `Felder: ${fields.better} besser, ${fields.worse} schlechter, ${fields.webChanged} Web-Werte geändert`;
+}
+
+/**
+ * Blatt "Änderungen" anhängen: Kennzahlen, Statuswechsel (von → nach) und eine Zeile je geändertem Feld,
+ * neuer oder entfallener Zeile. fill(ws, addr, farbname) färbt Status wie im Vergleichsblatt.
+ */
+function addChangesSheet(wb, changes, { fill } = {}) {
+  const ws = wb.addWorksheet(CHANGES_SHEET);
+  ws.columns = [{ width: 16 }, { width: 8 }, { width: 16 }, { width: 18 }, { width: 24 }, { width: 14 }, { width: 14 }, { width: 12 }, { width: 10 }, { width: 22 }, { width: 22 }, { width: 22 }, { width: 22 }];
+  const bold = { bold: true };
+  const paint = (addr, status) => { if (status && fill) fill(ws, addr, STATUS_COLORS[status]); };
+  let r = 1;
+
+  ws.getCell(`A${r}`).value = 'Änderungen gegenüber dem vorherigen Lauf';
+  ws.getCell(`A${r}`).font = { bold: true, size: 14 };
+  r += 2;
+
+  const { rows, fields, transitions } = changes.summary;
+  const info = [
+    ['Zeilen vorher / jetzt', `${rows.previous} / ${rows.current}`],
+    ['Neue Zeilen', rows.added],
+    ['Entfallene Zeilen', rows.removed],
+    ['Zeilen mit Änderungen', rows.changed],
+    ['Felder besser', fields.better],
+    ['Felder schlechter', fields.worse],
+    ['Web-Wert geändert', fields.webChanged],
+    ['DB-Wert geändert', fields.dbChanged]
+  ];
+  for (const [k, v] of info) {
+    ws.getCell(`A${r}`).value = k;
+    ws.getCell(`A${r}`).font = bold;
+    ws.getCell(`C${r}`).value = v;
+    r++;
+  }
+  r++;
+
+  ['Status vorher', 'Status jetzt', 'Anzahl'].forEach((h, i) => { ws.getRow(r).getCell(i + 1).value = h; });
+  ws.getRow(r).font = bold;
+  r++;
+  for (const [t, n] of Object.entries(transitions).sort((a, b) => b[1] - a[1])) {
+    const [from, to] = t.split('→');
+    ws.getCell(`A${r}`).value = STATUS_SHORT[from] || from;
+    ws.getCell(`B${r}`).value = STATUS_SHORT[to] || to;
+    ws.getCell(`C${r}`).value = n;
+    paint(`A${r}`, STATUS_SHORT[from] && from);
+    paint(`B${r}`, STATUS_SHORT[to] && to);
+    r++;
+  }
+  if (!Object.keys(transitions).length) ws.getCell(`A${r++}`).value = 'Keine Statuswechsel.';
+  r++;
+
+  const headers = ['Blatt', 'Zeile', 'Material', 'A2V', 'Feld', 'Status vorher', 'Status jetzt', 'Entwicklung', 'Ursache', 'DB vorher', 'DB jetzt', 'Web vorher', 'Web jetzt'];
+  headers.forEach((h, i) => { ws.getRow(r).getCell(i + 1).value = h; });
+  ws.getRow(r).font = bold;
+  ws.views = [{ state: 'frozen', ySplit: r }];
+  r++;
+  const link = (sheet, row) => ({ text: String(row), hyperlink: `#'${sheet.replace(/'/g, "''")}'!A${row}` });
+  const put = (values) => { ws.getRow(r).values = values; return r++; };
+
+  for (const x of changes.changed) {
+    for (const f of x.fields) {
+      const at = put([x.sheet, link(x.sheet, x.row), x.material, x.a2v, f.label, STATUS_SHORT[f.from] || '', STATUS_SHORT[f.to] || '', f.trend, f.cause, f.dbBefore, f.dbAfter, f.webBefore, f.webAfter]);
+      paint(`F${at}`, f.from);
+      paint(`G${at}`, f.to);
+      if (f.trend === 'besser') ws.getCell(`H${at}`).font = { color: { argb: 'FF1E7B34' }, bold: true };
+      if (f.trend === 'schlechter') ws.getCell(`H${at}`).font = { color: { argb: 'FFC0392B' }, bold: true };
+    }
+  }
+  for (const x of changes.added) put([x.sheet, link(x.sheet, x.row), x.material, x.a2v, '', '', '', 'neue Zeile']);
+  for (const x of changes.removed) put([x.sheet, x.row, x.material, x.a2v, '', '', '', 'entfallen']);
+  return ws;
+}
+
+module.exports = { readRun, diffRuns, addChangesSheet, formatChangesSummary, DiffError, CHANGES_SHEET };
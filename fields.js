@@ -0,0 +1,176 @@
+// fields.js - Feldregister: jedes verglichene Feld an einer Stelle beschrieben.
+// Ein Eintrag nennt Schlüssel und Bezeichnung, die DB-Spalte (Header-Texte/SAP-Codes als Vorgabe für Profile ohne
+// eigene Regel), das Web-Attribut im gemeinsamen Datensatzformat samt Suchbegriffen je Sprache für die technischen
+// Daten, die Vergleichsart und ggf. einen Parser. Daraus ergeben sich die Extraktion (sources/mymobase.js,
+// sources/catalog.js), der Vergleich (compare.js) und die DB/Web-Spalten der Ausgabe (workbook.js).
+//
+// Vergleichsarten (type):
+//   text   – ohne Groß-/Kleinschreibung, mit similarity: true zusätzlich Text-Ähnlichkeit (Toleranz "sim")
+//   part   – Artikelnummern, mehrere Web-Werte; Treffer, wenn der DB-Wert darunter ist
+//   code   – Web-Text über parse auf einen Code abgebildet, beide Seiten mit normalize verglichen
+//   weight – Gewicht in kg (Toleranz "abs"/"pct")
+//   length – Maß in mm aus der Abmessung, dimension = L/B/H (Toleranz "abs"/"pct")
+
+const { parsePartNumbers, normalizeNCode } = require('./utils');
+const { classifyMaterial } = require('./classification');
+const COUNTRIES = require('./countries.json');
+
+const FIELD_TYPES = ['text', 'part', 'code', 'weight', 'length'];
+
+// -------- Parser ----------
+// "RoHS-konform" / "compliant" → ja, "nicht konform" → nein, "ausgenommen" / "exempt" → ausgenommen; sonst null
+function parseCompliance(value) {
+  const t = String(value ?? '').trim().toLowerCase();
+  if (!t) return { code: null };
+  if (/ausgenommen|exempt|befreit|nicht relevant|not applicable|^n\/a$/.test(t)) return { code: 'ausgenommen' };
+  if (/^(nein|no|n|false|0)$|(nicht|not|non)[\s-]*(rohs|reach)?[\s-]*(konform|compliant|erfüllt)/.test(t)) return { code: 'nein' };
+  if (/konform|compliant|erfüllt|fulfilled|\b(ja|yes|true)\b|^[jyx1]$/.test(t)) return { code: 'ja' };
+  return { code: null };
+}
+
+// countries.json führt alle zugewiesenen ISO-3166-1-alpha-2-Codes (mit Namen, soweit bekannt); andere
+// Zweibuchstaben-Angaben wie "XX" oder "EU" gelten nicht als Land
+const ISO_COUNTRY_CODES = new Set(Object.keys(COUNTRIES));
+
+// Name oder Code eines Landes → ISO-Code (countries.json), "Made in Germany" → DE; sonst null
+const COUNTRY_NAMES = new Map(Object.entries(COUNTRIES).flatMap(([code, names]) => names.map(n => [n.toLowerCase(), code])));
+function countryCode(value) {
+  const t = String(value ?? '').trim().toLowerCase()
+    .replace(/^(made in|hergestellt in)\s+/, '')
+    .replace(/[.()]/g, '')
+    .replace(/\s+/g, ' ');
+  if (!t) return null;
+  if (COUNTRY_NAMES.has(t)) return COUNTRY_NAMES.get(t);
+  return ISO_COUNTRY_CODES.has(t.toUpperCase()) ? t.toUpperCase() : null;
+}
+
+const complianceCode = (v) => parseCompliance(v).code || String(v ?? '').trim().toLowerCase();
+const countryOrText = (v) => countryCode(v) || String(v ?? '').trim().toUpperCase();
+
+// -------- Web-Attribute ----------
+// keys: Suchbegriffe je Sprache – jede Alternative ist eine Liste von Teilstrings, "!x" schließt Schlüssel mit x aus;
+// catalog: übliche Spaltennamen in Katalogdateien; fromProduct: Ersatzwert aus dem initialData-Produkt
+const partNumberList = (v) => parsePartNumbers(v).join(', ');
+const ABMESSUNG = {
+  field: 'Abmessung',
+  keys: {
+    de: [['abmessung'], ['abmess'], ['maße'], ['größe'], ['länge'], ['breite'], ['höhe']],
+    en: [['dimension'], ['size'], ['measure'], ['length'], ['width'], ['height']]
+  },
+  catalog: ['Abmessung', 'Abmessungen', 'dimensions']
+};
+
+// -------- Register ----------
+const FIELD_REGISTRY = [
+  {
+    key: 'kurztext', label: 'Material-Kurztext', type: 'text', similarity: true,
+    db: { headers: ['Materialkurztext', 'Material-Kurztext', 'Kurztext', 'Materialbezeichnung'], codes: ['MAKTX'] },
+    web: { field: 'Produkttitel', catalog: ['Produkttitel', 'kurztext', 'Materialkurztext', 'Bezeichnung', 'title', 'name'] }
+  },
+  {
+    key: 'artikelnummer', label: 'Herstellartikelnummer', type: 'part',
+    db: { headers: ['Her.-Artikelnummer', 'Herstellartikelnummer', 'Herstellerartikelnummer', 'Hersteller-Teilenummer'], codes: ['MFRPN'] },
+    web: {
+      field: 'Weitere Artikelnummer',
+      keys: {
+        de: [['weitere', 'artikelnummer'], ['herstellerartikelnummer']],
+        en: [['additional', 'material', 'number'], ['manufacturer', 'part', 'number'], ['part', 'number']]
+      },
+      catalog: ['Weitere Artikelnummer', 'artikelnummer', 'Herstellartikelnummer', 'partNumber'],
+      fromProduct: (p) => partNumberList(p.additionalMaterialNumbers) || partNumberList(p.baseProductAdditionalMaterialNumbers)
+    }
+  },
+  {
+    key: 'pruefhinweis', label: 'Fert./Prüfhinweis', type: 'code',
+    parse: (v) => classifyMaterial(v), normalize: normalizeNCode,
+    rule: 'Materialklassifizierung → Fert./Prüfhinweis-Code, ohne Leerzeichen.',
+    db: { headers: ['Fert./Prüfhinweis', 'Fertigungs-/Prüfhinweis', 'Prüfhinweis'], codes: ['FERTH'] },
+    web: {
+      field: 'Materialklassifizierung',
+      keys: { de: [['materialklassifizierung'], ['material', 'klass']], en: [['material', 'classification'], ['material', 'class']] },
+      catalog: ['Materialklassifizierung', 'classification'],
+      fromProduct: (p) => p.materialClassification
+    }
+  },
+  {
+    key: 'werkstoff', label: 'Werkstoff', type: 'text', similarity: true,
+    db: { headers: ['Werkstoff', 'Grundwerkstoff'], codes: ['WRKST'] },
+    web: { field: 'Werkstoff', keys: { de: [['werkstoff']], en: [['material', '!class', '!number']] }, catalog: ['Werkstoff', 'material'] }
+  },
+  {
+    key: 'gewicht', label: 'Nettogewicht', type: 'weight',
+    db: { headers: ['Nettogewicht', 'Netto-Gewicht'], codes: ['NTGEW'] },
+    web: {
+      field: 'Gewicht',
+      keys: { de: [['nettogewicht'], ['gewicht']], en: [['net', 'weight'], ['weight']] },
+      catalog: ['Gewicht', 'Nettogewicht', 'weight'],
+      fromProduct: (p, { decimalComma }) => typeof p.weight === 'number' ? `${decimalComma ? String(p.weight).replace('.', ',') : p.weight} kg` : null
+    }
+  },
+  { key: 'laenge', label: 'Länge', type: 'length', dimension: 'L', db: { headers: ['Länge'], codes: ['LAENG'] }, web: ABMESSUNG },
+  { key: 'breite', label: 'Breite', type: 'length', dimension: 'B', db: { headers: ['Breite'], codes: ['BREIT'] }, web: ABMESSUNG },
+  { key: 'hoehe',  label: 'Höhe',   type: 'length', dimension: 'H', db: { headers: ['Höhe'], codes: ['HOEHE'] }, web: ABMESSUNG },
+  {
+    key: 'oberflaeche', label: 'Oberfläche', type: 'text', similarity: true,
+    db: { headers: ['Oberfläche', 'Oberflächenbehandlung', 'Oberflächenschutz'] },
+    web: {
+      field: 'Oberfläche',
+      keys: { de: [['oberfläche'], ['beschichtung']], en: [['surface'], ['coating'], ['finish']] },
+      catalog: ['Oberfläche', 'Oberflächenbehandlung', 'surface']
+    }
+  },
+  {
+    key: 'norm', label: 'Norm', type: 'part',
+    rule: 'Norm: Großbuchstaben, ohne Leerzeichen, "-", "/" und "_"; mehrere Web-Normen: Treffer, wenn die DB-Norm darunter ist.',
+    db: { headers: ['Norm', 'Normbezeichnung'], codes: ['NORMT'], exact: true },
+    web: {
+      field: 'Norm',
+      keys: { de: [['norm', '!normal'], ['standard']], en: [['standard'], ['norm', '!normal']] },
+      catalog: ['Norm', 'Normbezeichnung', 'standard']
+    }
+  },
+  {
+    key: 'rohs', label: 'RoHS', type: 'code',
+    parse: parseCompliance, normalize: complianceCode,
+    rule: 'RoHS: ja / nein / ausgenommen aus dem Text (z.B. "konform", "compliant", "nicht konform", "exempt").',
+    db: { headers: ['RoHS', 'RoHS-Status', 'RoHS-konform'] },
+    web: { field: 'RoHS', keys: { de: [['rohs']], en: [['rohs']] }, catalog: ['RoHS'] }
+  },
+  {
+    key: 'reach', label: 'REACH', type: 'code',
+    parse: parseCompliance, normalize: complianceCode,
+    rule: 'REACH: ja / nein / ausgenommen aus dem Text (z.B. "konform", "compliant", "nicht konform", "exempt").',
+    db: { headers: ['REACH', 'REACH-Status', 'REACH-konform'] },
+    web: { field: 'REACH', keys: { de: [['reach']], en: [['reach']] }, catalog: ['REACH'] }
+  },
+  {
+    key: 'ursprungsland', label: 'Ursprungsland', type: 'code',
+    parse: (v) => ({ code: countryCode(v) }), normalize: countryOrText,
+    rule: 'Land: ISO-Code aus Code oder Name (Deutschland/Germany → DE).',
+    db: { headers: ['Ursprungsland', 'Herkunftsland', 'Land der Herkunft'], codes: ['HERKL'] },
+    web: {
+      field: 'Ursprungsland',
+      keys: { de: [['ursprungsland'], ['herkunftsland'], ['ursprung']], en: [['country', 'origin'], ['origin']] },
+      catalog: ['Ursprungsland', 'Herkunftsland', 'country of origin', 'origin']
+    }
+  }
+];
+
+const FIELD_BY_KEY = Object.fromEntries(FIELD_REGISTRY.map(f => [f.key, f]));
+
+// Web-Attribute ohne Doppelte (Abmessung gilt für drei Felder), in Register-Reihenfolge
+const WEB_ATTRIBUTES = [...new Map(FIELD_REGISTRY.map(f => [f.web.field, f.web])).values()];
+
+// Vorgaben für Profil-Spalten (mapping.js): Felder ohne eigene Regel im Profil sind optional
+function defaultColumns() {
+  return Object.fromEntries(FIELD_REGISTRY.map(({ key, label, db }) => [key, { label, ...db, required: false }]));
+}
+
+// Register beim Laden prüfen – ein Tippfehler soll sofort auffallen, nicht erst im Vergleich
+for (const f of FIELD_REGISTRY) {
+  if (!FIELD_TYPES.includes(f.type)) throw new Error(`Feldregister: unbekannte Vergleichsart "${f.type}" bei "${f.key}".`);
+  if (f.type === 'code' && (!f.parse || !f.normalize)) throw new Error(`Feldregister: "${f.key}" braucht parse und normalize.`);
+  if (f.type === 'length' && !['L', 'B', 'H'].includes(f.dimension)) throw new Error(`Feldregister: "${f.key}" braucht dimension (L/B/H).`);
+}
+
+module.exports = { FIELD_REGISTRY, FIELD_BY_KEY, FIELD_TYPES, WEB_ATTRIBUTES, defaultColumns, parseCompliance, countryCode };
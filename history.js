@@ -0,0 +1,120 @@
+// history.js - Laufhistorie der Excel-Verarbeitung: Eingabe, Ausgabe, Einstellungen und Zähler je Lauf.
+// Ein Lauf liegt als Verzeichnis RUNS_DIR/<id>/ mit input.xlsx, output.xlsx und run.json vor. run.json wird
+// zuletzt geschrieben; Verzeichnisse ohne run.json (unterbrochenes Speichern) räumt prune() mit weg.
+// Läufe, die älter als RUNS_RETENTION_DAYS sind, werden gelöscht (0 = unbegrenzt aufbewahren).
+
+const fs = require('fs');
+const path = require('path');
+const { STATUSES } = require('./compare');
+
+const RUNS_DIR = process.env.RUNS_DIR || path.join(__dirname, 'data', 'runs');
+const RUNS_RETENTION_DAYS = Number(process.env.RUNS_RETENTION_DAYS ?? 90);
+
+const RUN_FILES = { input: 'input.xlsx', output: 'output.xlsx' };
+const META_FILE = 'run.json';
+
+// Job-IDs (UUID) – schützt die Pfade vor "../" aus der URL
+const validId = (id) => /^[\w-]{1,64}$/.test(String(id || ''));
+
+// Feldstatus über alle Felder summiert: { match: 12, mismatch: 3, … }
+function statusTotals(fields = {}) {
+  const totals = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  for (const counts of Object.values(fields)) {
+    for (const s of STATUSES) totals[s] += counts?.[s] || 0;
+  }
+  return totals;
+}
+
+class RunStore {
+  constructor({ dir = RUNS_DIR, retentionDays = RUNS_RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.retentionMs = Number(retentionDays) > 0 ? Number(retentionDays) * 24 * 3600 * 1000 : 0;
+  }
+
+  _path(id, name = '') { return path.join(this.dir, id, name); }
+
+  /**
+   * Fertigen Lauf ablegen.
+   * input: Pfad der hochgeladenen Datei; output: Puffer oder Pfad der Ergebnisdatei;
+   * meta: { filename, profile, streaming, settings, counts, stats, changes, createdAt, finishedAt }.
+   * Gibt den gespeicherten Eintrag zurück.
+   */
+  async save(id, { input, output, ...meta }) {
+    if (!validId(id)) throw new Error(`Ungültige Lauf-ID "${id}".`);
+    const dir = this._path(id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    try {
+      await fs.promises.copyFile(input, path.join(dir, RUN_FILES.input));
+      if (Buffer.isBuffer(output)) await fs.promises.writeFile(path.join(dir, RUN_FILES.output), output);
+      else await fs.promises.copyFile(output, path.join(dir, RUN_FILES.output));
+      const entry = {
+        id,
+        filename: meta.filename || null,
+        profile: meta.profile || null,
+        streaming: !!meta.streaming,
+        createdAt: meta.createdAt || new Date().toISOString(),
+        finishedAt: meta.finishedAt || new Date().toISOString(),
+        settings: meta.settings || {},
+        counts: meta.counts || {},
+        statuses: statusTotals(meta.stats?.fields),
+        stats: meta.stats || null,
+        changes: meta.changes || null
+      };
+      await fs.promises.writeFile(path.join(dir, META_FILE), JSON.stringify(entry, null, 2));
+      return entry;
+    } catch (e) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      throw e;
+    }
+  }
+
+  get(id) {
+    if (!validId(id)) return null;
+    try { return JSON.parse(fs.readFileSync(this._path(id, META_FILE), 'utf8')); }
+    catch { return null; }
+  }
+
+  // Alle Läufe, neueste zuerst
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(id => this.get(id))
+      .filter(Boolean)
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  }
+
+  // Pfad von Eingabe bzw. Ausgabe eines Laufs oder null
+  file(id, kind) {
+    if (!RUN_FILES[kind] || !this.get(id)) return null;
+    const file = this._path(id, RUN_FILES[kind]);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  delete(id) {
+    if (!this.get(id)) return false;
+    fs.rmSync(this._path(id), { recursive: true, force: true });
+    return true;
+  }
+
+  // Abgelaufene und unvollständige Läufe löschen; gibt die Anzahl zurück
+  prune(now = Date.now()) {
+    if (!fs.existsSync(this.dir)) return 0;
+    let removed = 0;
+    for (const id of fs.readdirSync(this.dir)) {
+      const entry = this.get(id);
+      const expired = entry && this.retentionMs && now - new Date(entry.finishedAt).getTime() > this.retentionMs;
+      // unvollständig = ohne run.json und nicht gerade erst angelegt (Speichern läuft evtl. noch)
+      let incomplete = false;
+      if (!entry) {
+        try { incomplete = now - fs.statSync(this._path(id)).mtimeMs > 60 * 60 * 1000; }
+        catch { continue; }
+      }
+      if (!expired && !incomplete) continue;
+      fs.rmSync(this._path(id), { recursive: true, force: true });
+      removed++;
+    }
+    return removed;
+  }
+}
+
+module.exports = { RunStore, RUNS_DIR, RUNS_RETENTION_DAYS, statusTotals };
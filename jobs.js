@@ -0,0 +1,134 @@
+// jobs.js - In-Memory-Jobverwaltung für die asynchrone Excel-Verarbeitung.
+// Ein Job kapselt Zähler, Fortschritts-Events (für SSE) und das fertige Ergebnis.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000); // fertige Jobs 1h aufbewahren
+
+const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+class Job extends EventEmitter {
+  constructor(id, meta = {}) {
+    super();
+    this.setMaxListeners(0); // beliebig viele SSE-Clients
+    this.id = id;
+    this.meta = meta;
+    this.state = 'queued';   // queued | running | done | failed | cancelled
+    this.phase = null;       // reading | scraping | writing
+    this.counts = { rows: 0, total: 0, scraped: 0, failed: 0, cacheHits: 0 };
+    this.error = null;
+    this.result = null;      // { buffer, filename } oder { file, filename } (Streaming: Ergebnis als temporäre Datei)
+    this.stats = null;       // Vergleichsstatistik aus processWorkbook
+    this.changes = null;     // Änderungsbericht (nur mit vorherigem Ergebnis)
+    this.rows = null;        // Zeilenergebnisse (Ergebnisansicht, Korrekturdatei)
+    this.codes = null;       // SAP-Feldcodes je Blatt
+    this.createdAt = new Date();
+    this.finishedAt = null;
+    this.controller = new AbortController();
+  }
+
+  get signal() { return this.controller.signal; }
+  get finished() { return FINAL_STATES.includes(this.state); }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.emit('status', this.toJSON());
+  }
+
+  // Fortschritt pro A2V (kommt aus scraper.scrapeMany)
+  progress({ a2v, result, cached }) {
+    this.counts.scraped++;
+    if (cached) this.counts.cacheHits++;
+    const failed = String(result?.Status || '').startsWith('Fehler');
+    if (failed) this.counts.failed++;
+    this.emit('progress', { a2v, status: result?.Status || null, cached: !!cached, failed, counts: { ...this.counts } });
+  }
+
+  finish(state, payload = {}) {
+    if (this.finished) return;
+    this.state = state;
+    this.finishedAt = new Date();
+    if (payload.result) this.result = payload.result;
+    if (payload.error) this.error = payload.error;
+    this.emit(state, this.toJSON());
+    this.emit('end');
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      state: this.state,
+      phase: this.phase,
+      counts: { ...this.counts },
+      filename: this.meta.filename || null,
+      profile: this.meta.profile || null,
+      streaming: !!this.meta.streaming,
+      error: this.error,
+      stats: this.stats,
+      changes: this.changes ? this.changes.summary : null,
+      createdAt: this.createdAt.toISOString(),
+      finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+      hasResult: !!this.result
+    };
+  }
+}
+
+class JobManager {
+  constructor({ ttlMs = JOB_TTL_MS } = {}) {
+    this.jobs = new Map();
+    this.ttlMs = ttlMs;
+    this._timer = setInterval(() => this.cleanup(), Math.min(ttlMs, 5 * 60 * 1000));
+    this._timer.unref();
+  }
+
+  create(meta) {
+    const job = new Job(crypto.randomUUID(), meta);
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  get(id) { return this.jobs.get(id) || null; }
+
+  // Noch nicht abgeschlossene Jobs (z.B. für das geordnete Beenden)
+  active() { return [...this.jobs.values()].filter(j => !j.finished); }
+
+  // Führt fn(job) im Hintergrund aus; Rückgabewert von fn ist das Job-Ergebnis. fn sollte job.signal vor dem
+  // Speichern prüfen; endet fn trotz Abbruch regulär, wird das Ergebnis verworfen (Streaming-Ausgabe gelöscht)
+  run(job, fn) {
+    job.state = 'running';
+    job.emit('status', job.toJSON());
+    Promise.resolve()
+      .then(() => fn(job))
+      .then(result => {
+        if (!job.signal.aborted) return job.finish('done', { result });
+        if (result?.file) fs.rm(result.file, { force: true }, () => {});
+        job.finish('cancelled');
+      })
+      .catch(err => {
+        if (job.signal.aborted) return job.finish('cancelled');
+        console.error(`Job ${job.id} fehlgeschlagen:`, err);
+        job.finish('failed', { error: err.message });
+      });
+    return job;
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || job.finished) return job;
+    job.controller.abort();
+    job.finish('cancelled');
+    return job;
+  }
+
+  cleanup(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (!job.finished || now - job.finishedAt.getTime() <= this.ttlMs) continue;
+      if (job.result?.file) fs.rm(job.result.file, { force: true }, () => {});
+      this.jobs.delete(id);
+    }
+  }
+}
+
+module.exports = { JobManager, Job };
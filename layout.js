@@ -0,0 +1,125 @@
+// layout.js - Ausgabe-Layouts und Banner (Zeile 1) der Vergleichsmappe.
+//   side-by-side – rechts neben jeder DB-Spalte eine Web-Spalte im Originalblatt (Standard)
+//   separate     – Originalblätter unverändert, DB/Web-Paare im eigenen Blatt "Web-Vergleich"
+//   long         – Originalblätter unverändert, "Web-Vergleich" mit einer Zeile je Produktzeile und Feld
+// Banner sind verbundene Bereiche mit Text über den Header-Zeilen (nur side-by-side), z.B.
+// { "range": "B1:X1", "text": "DB AG SAP R/3 K MARA Stammdaten" }; Vorgabe aus dem Profil, je Lauf überschreibbar.
+// Bereiche beziehen sich auf die Spalten der Eingabe und werden erst beim Umbau auf die Ausgabe verschoben.
+
+const { FIELDS } = require('./compare');
+
+const LAYOUTS = ['side-by-side', 'separate', 'long'];
+const LAYOUT_LABELS = {
+  'side-by-side': 'DB/Web nebeneinander im Original',
+  separate: 'Original unverändert + Blatt „Web-Vergleich“',
+  long: 'Original unverändert + Langformat (Zeile je Feld)'
+};
+const COMPARE_SHEET = 'Web-Vergleich';
+// Spalten des Langformats (Zeile 1)
+const LONG_HEADERS = ['Blatt', 'Zeile', 'Produkt-ID', 'Material', 'Feld', 'Feldcode', 'DB-Wert', 'Web-Wert', 'Status'];
+
+function resolveLayout(profile, requested) {
+  const layout = requested || profile?.layout || 'side-by-side';
+  if (!LAYOUTS.includes(layout)) throw new Error(`Unbekanntes Layout "${layout}" (erlaubt: ${LAYOUTS.join(', ')}).`);
+  return layout;
+}
+
+// Spaltennummer ab 1 ↔ Buchstabe (1 → A, 27 → AA); auch für den Umbau der Spalten in workbook.js
+function getColumnLetter(index) {
+  let result = '';
+  while (index > 0) {
+    index--;
+    result = String.fromCharCode(65 + (index % 26)) + result;
+    index = Math.floor(index / 26);
+  }
+  return result;
+}
+function getColumnIndex(letter) {
+  let index = 0;
+  for (let i = 0; i < letter.length; i++) {
+    index = index * 26 + (letter.charCodeAt(i) - 64);
+  }
+  return index;
+}
+
+// "B1:AF1" → { c1, r1, c2, r2 } (Spaltennummern ab 1) oder null
+function parseRange(range) {
+  const m = /^([A-Z]{1,3})(\d+)(?::([A-Z]{1,3})(\d+))?$/.exec(String(range ?? '').trim().toUpperCase());
+  if (!m) return null;
+  const [c1, r1] = [getColumnIndex(m[1]), Number(m[2])];
+  const [c2, r2] = m[3] ? [getColumnIndex(m[3]), Number(m[4])] : [c1, r1];
+  return { c1: Math.min(c1, c2), r1: Math.min(r1, r2), c2: Math.max(c1, c2), r2: Math.max(r1, r2) };
+}
+
+// Überschneiden sich zwei Bereiche aus parseRange?
+const overlaps = (a, b) => a.c1 <= b.c2 && b.c1 <= a.c2 && a.r1 <= b.r2 && b.r1 <= a.r2;
+
+/**
+ * Banner eines Laufs: override (Liste aus Anfrage/CLI) < profile.banners < keine, in Spalten der Eingabe.
+ * Bereiche müssen über der Code- und Header-Zeile liegen und dürfen sich nicht überschneiden;
+ * ungültige Angaben werfen einen Fehler. Liefert [{ range, text }] in Großbuchstaben.
+ */
+function resolveBanners(profile, override) {
+  const list = override ?? profile?.banners ?? [];
+  if (!Array.isArray(list)) throw new Error('Banner: Liste von { range, text } erwartet.');
+  const firstHeaderRow = Math.min(profile?.rows?.code ?? 2, profile?.rows?.header ?? 3);
+  const out = [];
+  const areas = [];
+  list.forEach((banner, i) => {
+    const area = parseRange(banner?.range);
+    if (!area) throw new Error(`Banner ${i + 1}: Bereich "${banner?.range ?? ''}" ungültig (z.B. "B1:X1").`);
+    if (area.r2 >= firstHeaderRow) throw new Error(`Banner ${i + 1}: Bereich "${banner.range}" muss über Zeile ${firstHeaderRow} (Code-/Header-Zeile) liegen.`);
+    if (areas.some(a => overlaps(a, area))) {
+      throw new Error(`Banner ${i + 1}: Bereich "${banner.range}" überschneidet sich mit einem anderen Banner.`);
+    }
+    areas.push(area);
+    out.push({ range: String(banner.range).trim().toUpperCase(), text: String(banner.text ?? '') });
+  });
+  return out;
+}
+
+// Banner an ihrer Position in der Ausgabe (side-by-side): shift = Spaltennummer Eingabe → Ausgabe (structure.shift).
+// Ein Bereich wächst um die eingefügten Web-Spalten und reicht bis vor die Ausgabespalte der nächsten Eingabespalte,
+// "B1:X1" der MARA-Vorlage wird so zu "B1:AF1"
+function placeBanners(banners, shift) {
+  return banners.map(({ range, text }) => {
+    const a = parseRange(range);
+    const [c1, c2] = [shift(a.c1), shift(a.c2 + 1) - 1];
+    const single = c1 === c2 && a.r1 === a.r2;
+    return { range: single ? `${getColumnLetter(c1)}${a.r1}` : `${getColumnLetter(c1)}${a.r1}:${getColumnLetter(c2)}${a.r2}`, text };
+  });
+}
+
+// Banner setzen: vorhandene Verbindung lösen, neu verbinden, Text zentriert; die Füllung der ersten Zelle bleibt
+function applyBanners(ws, banners = []) {
+  for (const { range, text } of banners) {
+    const first = range.split(':')[0];
+    const fill = ws.getCell(first).fill;
+    if (range.includes(':')) {
+      try { ws.unMergeCells(range); } catch {}
+      ws.mergeCells(range);
+    }
+    const cell = ws.getCell(first);
+    cell.value = text;
+    if (fill) cell.fill = fill;
+    cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+  }
+}
+
+/**
+ * Spalten des Blatts "Web-Vergleich" (Layout separate) vor dem Einfügen der Web-Spalten: A = Blatt, B = Zeile,
+ * danach Produkt-ID, Materialnummer, die übrigen Profilspalten und die Vergleichsfelder – jeweils nur, wenn sie
+ * in mindestens einem Blatt erkannt wurden. Liefert { keys, columns: { key: Buchstabe } }.
+ */
+function separateColumns(mapping, profile) {
+  const fieldKeys = new Set(FIELDS.map(f => f.key));
+  const order = ['a2v', 'material', ...Object.keys(profile.columns).filter(k => !fieldKeys.has(k)), ...fieldKeys];
+  const keys = [...new Set(order)].filter(key => mapping.sheets.some(s => s.columns[key]));
+  return { keys, columns: Object.fromEntries(keys.map((key, i) => [key, getColumnLetter(i + 3)])) };
+}
+
+module.exports = {
+  LAYOUTS, LAYOUT_LABELS, COMPARE_SHEET, LONG_HEADERS,
+  resolveLayout, resolveBanners, placeBanners, applyBanners, parseRange, overlaps, separateColumns,
+  getColumnLetter, getColumnIndex
+};
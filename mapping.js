@@ -0,0 +1,177 @@
+// mapping.js - Spaltenerkennung über Header-Texte und benannte Mapping-Profile (profiles/*.json).
+// Ein Profil beschreibt, in welchen Zeilen Codes/Header stehen und woran jede Spalte zu erkennen ist.
+
+const fs = require('fs');
+const path = require('path');
+const { defaultColumns } = require('./fields');
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = process.env.DEFAULT_PROFILE || 'mara-standard';
+
+class MappingError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'MappingError';
+    this.report = report;
+  }
+}
+
+// "Her.-Artikelnummer" -> "herartikelnummer", "Höhe" -> "hoehe"
+function normHeader(s) {
+  return String(s ?? '').toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+// Zellwert als Text (RichText, Hyperlink und Formeln berücksichtigen)
+function cellText(v) {
+  if (v == null) return '';
+  if (typeof v === 'object') {
+    if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+    if (v.text != null) return cellText(v.text);
+    if (v.result != null) return String(v.result);
+    return '';
+  }
+  return String(v);
+}
+
+function loadProfile(name, dir = PROFILES_DIR) {
+  const safe = String(name || DEFAULT_PROFILE).replace(/[^a-zA-Z0-9_-]/g, '');
+  const file = path.join(dir, `${safe}.json`);
+  if (!fs.existsSync(file)) throw new MappingError(`Mapping-Profil "${safe}" nicht gefunden.`, null);
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const rows = profile.rows || {};
+  profile.name = safe;
+  // Felder des Registers, die das Profil nicht selbst beschreibt, mit dessen Vorgaben (optional) erkennen
+  profile.columns = { ...profile.columns };
+  for (const [key, spec] of Object.entries(defaultColumns())) if (!profile.columns[key]) profile.columns[key] = spec;
+  profile.rows = {
+    code: rows.code ?? 2,
+    header: rows.header ?? 3,
+    firstData: rows.firstData ?? (rows.header ?? 3) + 1
+  };
+  return profile;
+}
+
+function listProfiles(dir = PROFILES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => {
+      const name = f.replace(/\.json$/, '');
+      try { return { name, label: loadProfile(name, dir).label || name, default: name === DEFAULT_PROFILE }; }
+      catch { return null; }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Spalten eines Worksheets anhand des Profils bestimmen.
+ * Reihenfolge: feste Spalte (column) → exakter Header-Text → exakter Code (Zeile rows.code)
+ * → Header enthält Suchbegriff (nicht mit exact: true) → Inhalt passt auf valuePattern (z.B. "^A2V").
+ * Liefert { sheet, columns: { key: 'C', ... }, matchedBy, missing: [label, ...], hasIds } –
+ * hasIds: die Produkt-ID-Spalte (a2v) ist erkannt und hat mindestens einen Wert in den Datenzeilen.
+ */
+function detectColumns(ws, profile) {
+  const { code: codeRow, header: headerRow, firstData } = profile.rows;
+  const lastCol = ws.columnCount || ws.getRow(headerRow).cellCount || 0;
+  const headers = [];
+  for (let c = 1; c <= lastCol; c++) {
+    headers.push({
+      col: c,
+      letter: ws.getColumn(c).letter,
+      header: normHeader(cellText(ws.getRow(headerRow).getCell(c).value)),
+      code: normHeader(cellText(ws.getRow(codeRow).getCell(c).value))
+    });
+  }
+
+  const specs = Object.entries(profile.columns || {});
+  const columns = {};
+  const matchedBy = {};
+  const used = new Set();
+  const assign = (key, h, how) => { columns[key] = h.letter; matchedBy[key] = how; used.add(h.col); };
+  const free = () => headers.filter(h => !used.has(h.col));
+
+  for (const [key, spec] of specs) {
+    if (!spec.column) continue;
+    const h = headers.find(x => x.letter === String(spec.column).toUpperCase());
+    if (h) assign(key, h, 'column');
+  }
+  const passes = [
+    ['header', (spec, h) => (spec.headers || []).some(t => normHeader(t) === h.header)],
+    ['code',   (spec, h) => (spec.codes || []).some(t => normHeader(t) === h.code)],
+    ['header~', (spec, h) => !spec.exact && (spec.headers || []).some(t => normHeader(t).length >= 4 && h.header.includes(normHeader(t)))]
+  ];
+  for (const [how, test] of passes) {
+    for (const [key, spec] of specs) {
+      if (columns[key]) continue;
+      const h = free().find(x => test(spec, x));
+      if (h) assign(key, h, how);
+    }
+  }
+
+  // Letzter Versuch: die Spalte, deren Werte am häufigsten zum Muster passen
+  const last = ws.lastRow?.number || 0;
+  for (const [key, spec] of specs) {
+    if (columns[key] || !spec.valuePattern) continue;
+    const re = new RegExp(spec.valuePattern, 'i');
+    let best = null, bestHits = 0;
+    for (const h of free()) {
+      let hits = 0;
+      for (let r = firstData; r <= last; r++) {
+        if (re.test(cellText(ws.getRow(r).getCell(h.col).value).trim())) hits++;
+      }
+      if (hits > bestHits) { best = h; bestHits = hits; }
+    }
+    if (best) assign(key, best, 'content');
+  }
+
+  const missing = specs.filter(([key, spec]) => spec.required && !columns[key]).map(([key, spec]) => spec.label || key);
+  let hasIds = false;
+  for (let r = firstData; columns.a2v && r <= last && !hasIds; r++) hasIds = !!cellText(ws.getRow(r).getCell(columns.a2v).value).trim();
+  return { sheet: ws.name, columns, matchedBy, missing, hasIds };
+}
+
+// Alle Worksheets prüfen; wirft MappingError mit Bericht, wenn Pflichtspalten fehlen
+function mapWorkbook(wb, profile) {
+  return checkMapping(wb.worksheets.filter(ws => ws.actualRowCount > 0).map(ws => detectColumns(ws, profile)), profile);
+}
+
+// Ergebnisse von detectColumns je Blatt → { profile, sheets, skipped }. Blätter ohne Produktnummern (Legende,
+// Hinweise, leere Vorlagen) werden übersprungen; wirft MappingError, wenn kein Blatt Produktnummern hat oder
+// einem Blatt mit Produktnummern Pflichtspalten fehlen
+function checkMapping(sheets, profile) {
+  const used = sheets.filter(s => s.hasIds);
+  if (!used.length) {
+    const label = profile.columns?.a2v?.label || 'a2v';
+    throw new MappingError(`Kein Blatt mit Produktnummern gefunden (Spalte "${label}" fehlt oder ist leer, Profil "${profile.name}").`, { profile: profile.name, sheets });
+  }
+  const broken = used.filter(s => s.missing.length);
+  if (broken.length) {
+    const detail = broken.map(s => `"${s.sheet}": ${s.missing.join(', ')}`).join('; ');
+    throw new MappingError(`Pflichtspalten nicht gefunden (Profil "${profile.name}") – ${detail}`, { profile: profile.name, sheets: used });
+  }
+  return { profile: profile.name, sheets: used, skipped: sheets.filter(s => !s.hasIds).map(s => s.sheet) };
+}
+
+/**
+ * Einen Datensatz aus JSON/CSV auf Profil-Schlüssel abbilden.
+ * Akzeptiert Schlüssel direkt ("kurztext"), Header-Texte ("Materialkurztext") oder Codes ("MAKTX").
+ * Liefert { record: { key: Wert }, unknown: [nicht zuordenbare Namen] }
+ */
+function mapRecord(obj, profile) {
+  const specs = Object.entries(profile.columns || {});
+  const record = {};
+  const unknown = [];
+  for (const [name, value] of Object.entries(obj || {})) {
+    const n = normHeader(name);
+    const hit = specs.find(([key, spec]) =>
+      normHeader(key) === n ||
+      [spec.label, ...(spec.headers || []), ...(spec.codes || [])].some(t => t && normHeader(t) === n));
+    if (hit) record[hit[0]] = typeof value === 'string' ? value.trim() : value;
+    else unknown.push(name);
+  }
+  return { record, unknown };
+}
+
+module.exports = { MappingError, loadProfile, listProfiles, detectColumns, mapWorkbook, checkMapping, mapRecord, normHeader, cellText, DEFAULT_PROFILE };
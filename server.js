@@ -1,44 +1,37 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const multer = require('multer');
 const ExcelJS = require('exceljs');
 
 const {
-  toNumber,
-  parseWeight,
-  weightToKg,
-  parseDimensionsToLBH,
-  normPartNo,
-  mapMaterialClassificationToExcel,
-  normalizeNCode
-} = require('./utils');
-const { SiemensProductScraper, a2vUrl } = require('./scraper');
+  FIELDS,
+  STATUSES,
+  SIMILARITY_FIELDS,
+  compareRecord,
+  resolveTolerances,
+  resolveDimensionMode
+} = require('./compare');
+const { SiemensProductScraper, parseLocales } = require('./scraper');
+const { JobManager } = require('./jobs');
+const { MappingError, loadProfile, listProfiles, mapWorkbook, mapRecord } = require('./mapping');
+const { isErrorResult } = require('./cache');
+const { parseCsv, toCsv } = require('./csv');
+const { processWorkbook, fillColor, SCRAPE_CONCURRENCY } = require('./workbook');
+const { processWorkbookStream, scanWorkbook } = require('./stream');
+const { readRun, diffRuns, addChangesSheet, DiffError, CHANGES_SHEET } = require('./diff');
+const { buildCorrectionFile, CorrectionError } = require('./corrections');
+const { DecisionStore, DecisionError, DECISIONS, applyDecisions } = require('./decisions');
+const { RunStore, RUNS_RETENTION_DAYS } = require('./history');
+const { resolveLayout, resolveBanners } = require('./layout');
+const { newFetchStats } = require('./sources/http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const SCRAPE_CONCURRENCY = Number(process.env.SCRAPE_CONCURRENCY || 4);
-const WEIGHT_TOL_PCT = Number(process.env.WEIGHT_TOL_PCT || 0); // 0 = strikt
-
-// Ursprüngliche Spalten-Definition (für die Input-Erkennung)
-const ORIGINAL_COLS = { Z:'Z', E:'E', C:'C', S:'S', T:'T', U:'U', V:'V', W:'W', P:'P', N:'N' };
-
-// DB/Web-Spaltenpaare – hier definieren wir, nach welchen Originalspalten wir eine Web-Nachbarspalte einfügen
-const DB_WEB_PAIRS = [
-  { original: 'C', dbCol: null, webCol: null, label: 'Material-Kurztext' },
-  { original: 'E', dbCol: null, webCol: null, label: 'Herstellartikelnummer' },
-  { original: 'N', dbCol: null, webCol: null, label: 'Fert./Prüfhinweis' },
-  { original: 'P', dbCol: null, webCol: null, label: 'Werkstoff' },
-  { original: 'S', dbCol: null, webCol: null, label: 'Nettogewicht' },
-  { original: 'U', dbCol: null, webCol: null, label: 'Länge' },
-  { original: 'V', dbCol: null, webCol: null, label: 'Breite' },
-  { original: 'W', dbCol: null, webCol: null, label: 'Höhe' }
-];
-
-const HEADER_ROW = 3;      // Spaltennamen
-const LABEL_ROW = 4;       // "DB-Wert" / "Web-Wert"
-const FIRST_DATA_ROW = 5;  // erste Datenzeile
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // leer = Admin-Endpunkte ohne Token
 
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
@@ -46,338 +39,613 @@ app.use(express.json({ limit: '2mb' }));
 app.use(express.static(__dirname));
 
 const scraper = new SiemensProductScraper();
+const decisions = new DecisionStore();
+// Laufhistorie: abgelaufene Läufe beim Start und danach stündlich löschen
+const runs = new RunStore();
+runs.prune();
+setInterval(() => runs.prune(), 60 * 60 * 1000).unref();
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 20000);
+let shuttingDown = false;
 
-// -------- Helpers: Spalten / Adressen ----------
-function getColumnLetter(index) {
-  let result = '';
-  while (index > 0) {
-    index--;
-    result = String.fromCharCode(65 + (index % 26)) + result;
-    index = Math.floor(index / 26);
-  }
-  return result;
+// -------- Routes ----------
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/api/health', (req, res) => res.json({
+  ok: !shuttingDown,
+  time: new Date().toISOString(),
+  jobs: { active: jobs.active().length },
+  sources: scraper.health()
+}));
+
+app.get('/api/profiles', (req, res) => res.json(listProfiles()));
+app.get('/api/sources', (req, res) => res.json(scraper.sources.list()));
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+// Excel-Verarbeitung: Uploads als temporäre Dateien, damit der Streaming-Pfad sie zeilenweise lesen kann
+const TMP_DIR = path.resolve(process.env.TMP_DIR || path.join(os.tmpdir(), 'produktcheck'));
+const diskUpload = multer({ dest: path.join(TMP_DIR, 'uploads'), limits: { fileSize: 50 * 1024 * 1024 } });
+// ab dieser Dateigröße (MB) wird gestreamt; Formularfeld "streaming" (1/0) erzwingt bzw. verbietet es
+const STREAM_THRESHOLD_MB = Number(process.env.STREAM_THRESHOLD_MB || 10);
+const jobs = new JobManager();
+const RESULT_FILENAME = 'DB_Produktvergleich_verarbeitet.xlsx';
+
+// Temporäre Upload-Dateien eines Requests löschen
+function removeUploads(req) {
+  for (const file of Object.values(req.files || {}).flat()) fs.rm(file.path, { force: true }, () => {});
 }
-function getColumnIndex(letter) {
-  let index = 0;
-  for (let i = 0; i < letter.length; i++) {
-    index = index * 26 + (letter.charCodeAt(i) - 64);
+
+// Fertigen Lauf in der Historie ablegen; scheitert das, bleibt der Job trotzdem erfolgreich
+async function recordRun(job, input, output, settings) {
+  try {
+    await runs.save(job.id, {
+      input,
+      output,
+      filename: job.meta.filename,
+      profile: job.meta.profile,
+      streaming: job.meta.streaming,
+      createdAt: job.createdAt.toISOString(),
+      settings,
+      counts: job.counts,
+      stats: job.stats,
+      changes: job.changes?.summary
+    });
+    // während des Speicherns abgebrochen: abgebrochene Läufe gehören nicht in die Historie
+    if (job.signal.aborted) runs.delete(job.id);
+  } catch (e) {
+    console.error(`Lauf ${job.id} konnte nicht gespeichert werden:`, e);
   }
-  return index;
 }
 
-// -------- Layout-Berechnung / Struktur ----------
-function calculateNewColumnStructure(ws) {
-  const newStructure = { pairs: [], otherCols: new Map(), totalInsertedCols: 0 };
-  let insertedCols = 0;
-
-  // Für jedes DB/Web-Paar fügen wir rechts daneben 1 Spalte ein
-  for (const pair of DB_WEB_PAIRS) {
-    const originalIndex = getColumnIndex(pair.original);
-    const adjustedOriginalIndex = originalIndex + insertedCols;
-    pair.dbCol  = getColumnLetter(adjustedOriginalIndex);
-    pair.webCol = getColumnLetter(adjustedOriginalIndex + 1);
-    newStructure.pairs.push({ ...pair });
-    insertedCols++;
-  }
-  newStructure.totalInsertedCols = insertedCols;
-
-  // Andere Spalten passend verschieben (Mapping alt → neu)
-  const lastCol = ws.lastColumn?.number || ws.columnCount || ws.getRow(HEADER_ROW).cellCount || 0;
-  for (let colIndex = 1; colIndex <= lastCol; colIndex++) {
-    const originalLetter = getColumnLetter(colIndex);
-    const isPairColumn = DB_WEB_PAIRS.some(p => p.original === originalLetter);
-    if (!isPairColumn) {
-      let insertedBefore = 0;
-      for (const p of DB_WEB_PAIRS) {
-        if (getColumnIndex(p.original) < colIndex) insertedBefore++;
+function isTruthy(v) { return ['1', 'true', 'on', 'yes'].includes(String(v || '').toLowerCase()); }
+// "en,de" → ['en', 'de']; leer → null (Standardsprache der Quelle)
+function readLocales(v) { const list = parseLocales(v); return list.length ? list : null; }
+
+// Verarbeitete Ausgabe eines früheren Laufs einlesen (für den Änderungsbericht); DiffError → 422
+async function loadRun(buffer, profile, what = 'Vorheriges Ergebnis') {
+  const wb = new ExcelJS.Workbook();
+  try { await wb.xlsx.load(buffer); }
+  catch (e) { throw new DiffError(`${what} konnte nicht gelesen werden: ${e.message}`); }
+  try { return { wb, run: readRun(wb, profile) }; }
+  catch (e) { throw new DiffError(`${what}: ${e.message}`); }
+}
+
+// Upload startet einen Job und antwortet sofort mit dessen ID; der fertige Lauf landet in der Historie (/api/runs).
+// Optional "previous": frühere Ausgabe derselben Mappe → zusätzliches Blatt "Änderungen" und /api/jobs/:id/changes
+// (statt Upload auch "previousRun" = ID eines gespeicherten Laufs)
+// Große Dateien (ab STREAM_THRESHOLD_MB oder mit streaming=1) laufen über den Streaming-Pfad (stream.js):
+// gleiche Ausgabe bei gleichbleibendem Speicherbedarf, aber ohne Ergebnisansicht, Korrekturdatei und Änderungsbericht.
+app.post('/api/process-excel', diskUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'previous', maxCount: 1 }]), async (req, res) => {
+  let keepInput = false; // der Job liest bzw. speichert die Datei noch und löscht sie selbst
+  res.on('finish', () => { if (!keepInput) removeUploads(req); });
+  try {
+    if (shuttingDown) return res.status(503).json({ error: 'Server wird beendet – bitte gleich erneut versuchen.' });
+    const file = req.files?.file?.[0];
+    if (!file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
+    const streaming = req.body?.streaming != null && req.body.streaming !== ''
+      ? isTruthy(req.body.streaming)
+      : file.size > STREAM_THRESHOLD_MB * 1024 * 1024;
+    let previousFile = req.files?.previous?.[0]?.path || null;
+    if (!previousFile && req.body?.previousRun) {
+      // gespeicherte Läufe nur mit Admin-Token wie /api/runs
+      if (!isAdmin(req)) return res.status(401).json({ error: 'Admin-Token fehlt oder ist ungültig.' });
+      previousFile = runs.file(req.body.previousRun, 'output');
+      if (!previousFile) return res.status(404).json({ error: 'Gespeicherter Lauf nicht gefunden.' });
+    }
+    if (streaming && previousFile) {
+      return res.status(400).json({ error: 'Änderungsbericht (previous) ist im Streaming-Modus nicht verfügbar.' });
+    }
+
+    let wb = null;
+    if (!streaming) {
+      wb = new ExcelJS.Workbook();
+      try { await wb.xlsx.readFile(file.path); }
+      catch (e) { return res.status(400).json({ error: 'Excel-Datei konnte nicht gelesen werden: ' + e.message }); }
+    }
+
+    // Spalten vorab erkennen – fehlende Pflichtspalten lehnen den Upload mit Bericht ab
+    // (Streaming: eigener Lesedurchlauf, der auch die Produktzeilen zählt)
+    let profile, mapping, scan = null;
+    try {
+      profile = loadProfile(req.body?.profile);
+      if (streaming) {
+        try { scan = await scanWorkbook(file.path, { profile, sources: scraper.sources }); }
+        catch (e) {
+          if (e instanceof MappingError) throw e;
+          return res.status(400).json({ error: 'Excel-Datei konnte nicht gelesen werden: ' + e.message });
+        }
+        mapping = scan.mapping;
+      } else {
+        mapping = mapWorkbook(wb, profile);
       }
-      const newLetter = getColumnLetter(colIndex + insertedBefore);
-      newStructure.otherCols.set(originalLetter, newLetter);
+    } catch (e) {
+      if (e instanceof MappingError) return res.status(422).json({ error: e.message, report: e.report });
+      throw e;
+    }
+
+    let tolerances, dimensionMode, locales, layout, banners;
+    try {
+      const override = req.body?.tolerances ? JSON.parse(req.body.tolerances) : null;
+      tolerances = resolveTolerances(profile, override);
+    } catch (e) {
+      return res.status(400).json({ error: 'Toleranzen ungültig: ' + e.message });
+    }
+    try {
+      banners = resolveBanners(profile, req.body?.banners ? JSON.parse(req.body.banners) : undefined);
+    } catch (e) {
+      return res.status(400).json({ error: 'Banner ungültig: ' + e.message });
     }
+    try {
+      dimensionMode = resolveDimensionMode(profile, req.body?.dimensionMode);
+      layout = resolveLayout(profile, req.body?.layout || undefined);
+      locales = readLocales(req.body?.locale);
+    } catch (e) { return res.status(400).json({ error: e.message }); }
+
+    let previous = null;
+    if (previousFile) {
+      try { previous = (await loadRun(await fs.promises.readFile(previousFile), profile)).run; }
+      catch (e) { return res.status(422).json({ error: e.message }); }
+    }
+
+    const force = isTruthy(req.body?.forceRefresh);
+    const job = jobs.create({ filename: file.originalname, profile: profile.name, streaming });
+    const options = {
+      scraper,
+      profile,
+      mapping,
+      tolerances,
+      dimensionMode,
+      layout,
+      banners,
+      signal: job.signal,
+      force,
+      locales,
+      decisions,
+      filename: file.originalname,
+      onPhase: (phase) => job.setPhase(phase),
+      onRows: ({ rows, total }) => { job.counts.rows = rows; job.counts.total = total; },
+      onProgress: (p) => job.progress(p)
+    };
+    const settings = { concurrency: SCRAPE_CONCURRENCY, tolerances, dimensionMode, layout, banners, locales, force, mapping };
+    keepInput = true;
+    if (streaming) {
+      job.counts.rows = scan.rows;
+      job.counts.total = scan.total;
+      const output = path.join(TMP_DIR, 'results', `${job.id}.xlsx`);
+      jobs.run(job, async (j) => {
+        try {
+          fs.mkdirSync(path.dirname(output), { recursive: true });
+          const { stats, codes } = await processWorkbookStream(file.path, output, { ...options, formats: scan.formats });
+          j.stats = stats;
+          j.codes = codes;
+          j.signal.throwIfAborted(); // abgebrochen: nichts in die Historie, Ausgabe wird unten gelöscht
+          await recordRun(j, file.path, output, settings);
+          return { file: output, filename: RESULT_FILENAME };
+        } catch (e) {
+          fs.rm(output, { force: true }, () => {});
+          throw e;
+        } finally {
+          removeUploads(req);
+        }
+      });
+    } else {
+      jobs.run(job, async (j) => {
+        try {
+          j.setPhase('reading');
+          const { buffer, stats, rows, codes, changes } = await processWorkbook(wb, { ...options, previous });
+          j.stats = stats;
+          j.rows = rows;
+          j.codes = codes;
+          j.changes = changes;
+          j.signal.throwIfAborted();
+          await recordRun(j, file.path, buffer, settings);
+          return { buffer, filename: RESULT_FILENAME };
+        } finally {
+          removeUploads(req);
+        }
+      });
+    }
+
+    res.status(202).json({
+      jobId: job.id,
+      streaming,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      resultUrl: `/api/jobs/${job.id}/result`
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
   }
-  return newStructure;
+});
+
+// Nur über die Job-ID (kein Alias auf den letzten Lauf – die Ergebnisse enthalten Stammdaten); die Oberfläche merkt
+// sich ihre ID für die Ergebnisansicht nach dem Neuladen
+function findJob(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) res.status(404).json({ error: 'Job nicht gefunden.' });
+  return job;
 }
 
-// -------- Formatierungen ----------
-function fillColor(ws, addr, color) {
-  if (!color) return;
-  const map = {
-    green:  'FFD5F4E6', // hellgrün
-    red:    'FFFDEAEA', // hellrot
-    orange: 'FFFFEAA7', // hellorange
-    dbBlue: 'FFE6F3FF', // hellblau (Label DB)
-    webBlue:'FFCCE7FF'  // noch helleres Blau (Label Web)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json(job.toJSON());
+});
+
+// Server-Sent Events: status / progress / done / failed / cancelled
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('status', job.toJSON());
+  if (job.finished) { send(job.state, job.toJSON()); return res.end(); }
+
+  const events = ['status', 'progress', 'done', 'failed', 'cancelled'];
+  const handlers = events.map(ev => [ev, (data) => send(ev, data)]);
+  const onEnd = () => { detach(); res.end(); };
+  const detach = () => {
+    for (const [ev, fn] of handlers) job.off(ev, fn);
+    job.off('end', onEnd);
+    clearInterval(ping);
   };
-  ws.getCell(addr).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: map[color] || map.green } };
-}
-function copyColumnFormatting(ws, fromCol, toCol, rowStart, rowEnd) {
-  for (let row = rowStart; row <= rowEnd; row++) {
-    const fromCell = ws.getCell(`${fromCol}${row}`);
-    const toCell   = ws.getCell(`${toCol}${row}`);
-    if (fromCell.fill)      toCell.fill = fromCell.fill;
-    if (fromCell.font)      toCell.font = fromCell.font;
-    if (fromCell.border)    toCell.border = fromCell.border;
-    if (fromCell.alignment) toCell.alignment = fromCell.alignment;
-    if (fromCell.style)     Object.assign(toCell.style, fromCell.style);
-  }
-}
-function applyLabelCellFormatting(ws, addr, isWebCell = false) {
-  const cell = ws.getCell(addr);
-  fillColor(ws, addr, isWebCell ? 'webBlue' : 'dbBlue');
-  cell.border = { top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'} };
-  cell.font = { bold: true, size: 10 };
-  cell.alignment = { horizontal: 'center', vertical: 'middle' };
-}
+  for (const [ev, fn] of handlers) job.on(ev, fn);
+  job.on('end', onEnd);
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000); // Proxy-Timeouts vermeiden
+  req.on('close', detach);
+});
 
-// -------- Vergleichslogik ----------
-function hasValue(v){ return v!==null && v!==undefined && v!=='' && String(v).trim()!==''; }
-function eqText(a,b){
-  if (a==null||b==null) return false;
-  const A=String(a).trim().toLowerCase().replace(/\s+/g,' ');
-  const B=String(b).trim().toLowerCase().replace(/\s+/g,' ');
-  return A===B;
-}
-function eqPart(a,b){ return normPartNo(a)===normPartNo(b); }
-function eqN(a,b){ return normalizeNCode(a)===normalizeNCode(b); }
-function eqWeight(exS, webVal){
-  const { value: wv } = parseWeight(webVal);
-  if (wv==null) return false;
-  const exNum = toNumber(exS); if (exNum==null) return false;
-  return Math.abs(exNum - wv) < 1e-9;
-}
-function eqDimension(exVal, webDimText, dimType){
-  const exNum = toNumber(exVal); if (exNum==null) return false;
-  const d = parseDimensionsToLBH(webDimText);
-  const webVal = (dimType==='L')?d.L:(dimType==='B')?d.B:d.H;
-  if (webVal==null) return false;
-  return exNum===webVal;
-}
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.state !== 'done') return res.status(409).json({ error: `Job ist nicht fertig (Status: ${job.state}).` });
+  res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition',`attachment; filename="${job.result.filename}"`);
+  if (job.result.file) return res.sendFile(job.result.file);
+  res.send(job.result.buffer);
+});
 
-// -------- Top-Header (Zeile 1) --------
-function applyTopHeader(ws) {
-  // Fills (Hintergründe) sichern
-  const b1Fill  = ws.getCell('B1').fill;
-  const ag1Fill = ws.getCell('AG1').fill;
-  const ah1Fill = ws.getCell('AH1').fill;
-
-  // evtl. vorhandene Merges lösen
-  try { ws.unMergeCells('B1:AF1'); } catch {}
-  try { ws.unMergeCells('AH1:AJ1'); } catch {}
-
-  // B1:AF1
-  ws.mergeCells('B1:AF1');
-  const b1 = ws.getCell('B1');
-  b1.value = 'DB AG SAP R/3 K MARA Stammdaten Stand 20.Mai 2025';
-  if (b1Fill) b1.fill = b1Fill;
-  b1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-  // AG1 (einzeln)
-  const ag1 = ws.getCell('AG1');
-  ag1.value = 'SAP Klassifizierung aus Okt24';
-  if (ag1Fill) ag1.fill = ag1Fill;
-  ag1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-  // AH1:AJ1
-  ws.mergeCells('AH1:AJ1');
-  const ah1 = ws.getCell('AH1');
-  ah1.value = 'Zusatz Herstellerdaten aus Abfragen in 2024';
-  if (ah1Fill) ah1.fill = ah1Fill;
-  ah1.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+// Zeilenergebnisse gibt es nur ohne Streaming; sonst 409 mit Hinweis
+function requireRows(job, res) {
+  if (job.state !== 'done') res.status(409).json({ error: `Job ist nicht fertig (Status: ${job.state}).` });
+  else if (!job.rows) res.status(409).json({ error: 'Im Streaming-Modus gibt es keine Zeilenergebnisse (Ergebnisansicht, Korrekturdatei).' });
+  else return true;
+  return false;
 }
 
-// -------- NEU: Header-Zeilen 2 & 3 pro DB/Web-Paar zusammenfassen --------
-function mergePairHeaders(ws, pairs) {
-  for (const pair of pairs) {
-    const dbCol  = pair.dbCol;   // Buchstabe, z.B. "C"
-    const webCol = pair.webCol;  // Buchstabe, z.B. "D"
-    if (!dbCol || !webCol) continue;
-
-    // Vorhandene Merges lösen (falls schon gemergt)
-    try { ws.unMergeCells(`${dbCol}2:${webCol}2`); } catch {}
-    try { ws.unMergeCells(`${dbCol}3:${webCol}3`); } catch {}
-
-    // Werte aus DB-Header holen (wir verwenden bewusst die DB-Seite als Quelle)
-    const v2 = ws.getCell(`${dbCol}2`).value; // technischer Code
-    const v3 = ws.getCell(`${dbCol}3`).value; // Klartext Spaltenname
-
-    // Merge durchführen
-    ws.mergeCells(`${dbCol}2:${webCol}2`);
-    ws.mergeCells(`${dbCol}3:${webCol}3`);
-
-    // Werte und Optik setzen (oben links der Merge-Range)
-    const top2 = ws.getCell(`${dbCol}2`);
-    const top3 = ws.getCell(`${dbCol}3`);
-    top2.value = v2;
-    top3.value = v3;
-
-    // Ausrichtung mittig
-    top2.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-    top3.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
-
-    // Hintergrund/Fonts der DB-Zelle übernehmen (falls vorhanden)
-    const src2 = ws.getCell(`${dbCol}2`);
-    const src3 = ws.getCell(`${dbCol}3`);
-    if (src2.fill)  top2.fill  = src2.fill;
-    if (src2.font)  top2.font  = src2.font;
-    if (src2.border)top2.border= src2.border;
-
-    if (src3.fill)  top3.fill  = src3.fill;
-    if (src3.font)  top3.font  = src3.font;
-    if (src3.border)top3.border= src3.border;
+// Änderungsbericht gegenüber dem mit "previous" hochgeladenen Lauf
+app.get('/api/jobs/:id/changes', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  if (job.state !== 'done') return res.status(409).json({ error: `Job ist nicht fertig (Status: ${job.state}).` });
+  if (!job.changes) return res.status(404).json({ error: 'Kein vorheriges Ergebnis hochgeladen.' });
+  res.json(job.changes);
+});
+
+// Korrekturdatei für die SAP-Massenpflege: ?format=xlsx|csv&fields=gewicht,laenge&statuses=mismatch,tolerance
+app.get('/api/jobs/:id/corrections', async (req, res) => {
+  const job = findJob(req, res);
+  if (!job || !requireRows(job, res)) return;
+  try {
+    const file = await buildCorrectionFile(applyDecisions(job.rows, decisions), {
+      format: req.query.format || 'xlsx',
+      codes: job.codes,
+      fields: req.query.fields,
+      statuses: req.query.statuses
+    });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="SAP_Korrekturen.${file.extension}"`);
+    res.setHeader('X-Corrections', String(file.count));
+    res.setHeader('X-Corrections-Skipped', JSON.stringify(file.skipped));
+    res.send(file.buffer);
+  } catch (e) {
+    if (e instanceof CorrectionError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: e.message });
   }
+});
+
+// Ergebnisansicht: eine Zeile je Produktzeile und Feld, gefiltert mit ?status=mismatch,missing&field=gewicht&source=…
+// (jeweils Kommalisten); Prüfentscheidungen im aktuellen Stand
+app.get('/api/jobs/:id/rows', (req, res) => {
+  const job = findJob(req, res);
+  if (!job || !requireRows(job, res)) return;
+  const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+  const statuses = list(req.query.status), fields = list(req.query.field), sources = list(req.query.source);
+  const unknown = [...statuses.filter(s => !STATUSES.includes(s)), ...fields.filter(f => !FIELDS.some(x => x.key === f))];
+  if (unknown.length) return res.status(400).json({ error: `Unbekannter Filter: ${unknown.join(', ')}` });
+
+  const items = [];
+  for (const r of applyDecisions(job.rows, decisions)) {
+    if (sources.length && !sources.includes(r.source || '')) continue;
+    for (const { key, label } of FIELDS) {
+      const status = r.fields[key];
+      if (!status || (statuses.length && !statuses.includes(status)) || (fields.length && !fields.includes(key))) continue;
+      const v = r.values[key];
+      items.push({ sheet: r.sheet, row: r.row, a2v: r.a2v, url: r.url, material: r.material, source: r.source, field: key, label, status, db: v.db, web: v.web, decision: v.decision });
+    }
+  }
+  res.json({
+    jobId: job.id,
+    filename: job.meta.filename || null,
+    fields: FIELDS,
+    sources: [...new Set(job.rows.map(r => r.source).filter(Boolean))].sort(),
+    total: items.length,
+    items
+  });
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  jobs.cancel(job.id);
+  res.json(job.toJSON());
+});
+
+// -------- Laufhistorie ----------
+// Liste ohne Vergleichsstatistik (die liefert /api/runs/:id); Dateien über /input und /output.
+// Alle Endpunkte nur mit Admin-Token wie der Cache: die Läufe enthalten vollständige Stammdaten-Exporte
+function runLinks(entry) {
+  return { inputUrl: `/api/runs/${entry.id}/input`, outputUrl: `/api/runs/${entry.id}/output` };
 }
 
-// -------- Routes ----------
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
-app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
+app.get('/api/runs', requireAdmin, (req, res) => {
+  const list = runs.list().map(({ stats, ...entry }) => ({ ...entry, ...runLinks(entry) }));
+  res.json({ retentionDays: RUNS_RETENTION_DAYS, total: list.length, runs: list });
+});
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+app.get('/api/runs/:id', requireAdmin, (req, res) => {
+  const entry = runs.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Lauf nicht gefunden.' });
+  res.json({ ...entry, ...runLinks(entry) });
+});
+
+app.get('/api/runs/:id/:kind(input|output)', requireAdmin, (req, res) => {
+  const file = runs.file(req.params.id, req.params.kind);
+  if (!file) return res.status(404).json({ error: 'Lauf nicht gefunden.' });
+  const filename = req.params.kind === 'input' ? runs.get(req.params.id).filename || 'eingabe.xlsx' : RESULT_FILENAME;
+  res.download(file, filename);
+});
+
+app.delete('/api/runs/:id', requireAdmin, (req, res) => {
+  if (!runs.delete(req.params.id)) return res.status(404).json({ error: 'Lauf nicht gefunden.' });
+  res.json({ removed: 1 });
+});
 
-app.post('/api/process-excel', upload.single('file'), async (req, res) => {
+// -------- Änderungen zwischen zwei verarbeiteten Ausgaben (ohne erneuten Abruf) ----------
+// Felder "previous" und "current"; Antwort JSON, mit ?format=xlsx die aktuelle Mappe samt Blatt "Änderungen"
+app.post('/api/diff', upload.fields([{ name: 'previous', maxCount: 1 }, { name: 'current', maxCount: 1 }]), async (req, res) => {
+  const prevFile = req.files?.previous?.[0], currFile = req.files?.current?.[0];
+  if (!prevFile || !currFile) return res.status(400).json({ error: 'Bitte zwei verarbeitete Excel-Dateien hochladen (previous, current).' });
   try {
-    if (!req.file) return res.status(400).json({ error: 'Bitte Excel-Datei hochladen (file).' });
-
-    const wb = new ExcelJS.Workbook();
-    await wb.xlsx.load(req.file.buffer);
-
-    // 1) A2V-Nummern aus Spalte Z (ursprünglich) einsammeln, bevor wir umbauen
-    const tasks = [];
-    const rowsPerSheet = new Map(); // ws -> [rowIndex,...]
-    for (const ws of wb.worksheets) {
-      const indices = [];
-      const last = ws.lastRow?.number || 0;
-      for (let r = FIRST_DATA_ROW - 1; r <= last; r++) { // -1, weil wir gleich eine Zeile 4 einfügen
-        const a2v = (ws.getCell(`${ORIGINAL_COLS.Z}${r}`).value || '').toString().trim().toUpperCase();
-        if (a2v.startsWith('A2V')) { indices.push(r); tasks.push(a2v); }
-      }
-      rowsPerSheet.set(ws, indices);
-    }
+    const profile = loadProfile(req.body?.profile);
+    const { run: previous } = await loadRun(prevFile.buffer, profile);
+    const { wb, run: current } = await loadRun(currFile.buffer, profile, 'Aktuelles Ergebnis');
+    const changes = diffRuns(previous, current);
+    if (req.query.format !== 'xlsx') return res.json(changes);
+
+    const old = wb.getWorksheet(CHANGES_SHEET);
+    if (old) wb.removeWorksheet(old.id);
+    addChangesSheet(wb, changes, { fill: fillColor });
+    res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition',`attachment; filename="${RESULT_FILENAME}"`);
+    res.send(Buffer.from(await wb.xlsx.writeBuffer()));
+  } catch (e) {
+    if (e instanceof DiffError) return res.status(422).json({ error: e.message });
+    if (e instanceof MappingError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    // 2) Scrapen
-    const resultsMap = await scraper.scrapeMany(tasks, SCRAPE_CONCURRENCY);
+// -------- Vergleich ohne Excel (JSON/CSV) ----------
+const COMPARE_MAX_RECORDS = Number(process.env.COMPARE_MAX_RECORDS || 500);
+const COMPARE_CSV_SUFFIXES = ['db', 'web', 'db_norm', 'web_norm', 'status'];
+
+// Eingabe: JSON { records: [...], profile, tolerances, dimensionMode, locale, forceRefresh } bzw. JSON-Array,
+// oder CSV (Content-Type text/csv) mit Optionen als Query-Parameter
+function readCompareInput(req) {
+  if (typeof req.body === 'string') return { records: parseCsv(req.body), options: req.query };
+  if (Array.isArray(req.body)) return { records: req.body, options: req.query };
+  const { records, ...options } = req.body || {};
+  return { records, options: { ...req.query, ...options } };
+}
 
-    // 3) Umbau pro Worksheet
-    for (const ws of wb.worksheets) {
-      // 3.1 Spaltenstruktur berechnen
-      const structure = calculateNewColumnStructure(ws);
+function compareResultToCsvRow(r) {
+  const row = { a2v: r.a2v, quelle: r.source, fehler: r.error };
+  for (const { key } of FIELDS) {
+    const f = r.fields?.[key];
+    if (!f) continue;
+    Object.assign(row, {
+      [`${key}_db`]: f.db, [`${key}_web`]: f.web, [`${key}_db_norm`]: f.dbNorm,
+      [`${key}_web_norm`]: f.webNorm, [`${key}_status`]: f.status, [`${key}_score`]: f.score
+    });
+  }
+  return row;
+}
 
-      // 3.2 Spalten einfügen (von rechts nach links)
-      for (const pair of [...structure.pairs].reverse()) {
-        const insertPos = getColumnIndex(pair.original) + 1; // rechts neben der Originalspalte
-        ws.spliceColumns(insertPos, 0, [null]);
-      }
+app.post('/api/compare', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  let input, profile, tolerances, dimensionMode, locales;
+  try {
+    input = readCompareInput(req);
+    if (!Array.isArray(input.records) || !input.records.length) throw new Error('Keine Datensätze übergeben (records).');
+    if (input.records.length > COMPARE_MAX_RECORDS) throw new Error(`Zu viele Datensätze (max. ${COMPARE_MAX_RECORDS}).`);
+    profile = loadProfile(input.options.profile);
+    const override = typeof input.options.tolerances === 'string' ? JSON.parse(input.options.tolerances) : input.options.tolerances;
+    tolerances = resolveTolerances(profile, override);
+    dimensionMode = resolveDimensionMode(profile, input.options.dimensionMode);
+    locales = readLocales(input.options.locale);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
 
-      // 3.3 Zeile 4 (Labels) einfügen
-      ws.spliceRows(LABEL_ROW, 0, [null]);
-
-      // 3.4 Zeilen 2 & 3 Inhalte in Web-Spalten spiegeln + Labels schreiben
-      for (const pair of structure.pairs) {
-        // Inhalte 2/3 spiegeln
-        const dbTech = ws.getCell(`${pair.dbCol}2`).value;
-        const dbName = ws.getCell(`${pair.dbCol}3`).value;
-        ws.getCell(`${pair.webCol}2`).value = dbTech;
-        ws.getCell(`${pair.webCol}3`).value = dbName;
-        copyColumnFormatting(ws, pair.dbCol, pair.webCol, 1, 3);
-
-        // Labels Zeile 4
-        ws.getCell(`${pair.dbCol}${LABEL_ROW}`).value  = 'DB-Wert';
-        ws.getCell(`${pair.webCol}${LABEL_ROW}`).value = 'Web-Wert';
-        applyLabelCellFormatting(ws, `${pair.dbCol}${LABEL_ROW}`, false);
-        applyLabelCellFormatting(ws, `${pair.webCol}${LABEL_ROW}`, true);
-      }
+  // Client weg → Scrapen abbrechen
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
 
-      // 3.5 Top-Header (Zeile 1) setzen
-      applyTopHeader(ws);
-
-      // 3.6 NEU: Header in Zeile 2 und 3 pro Paar zusammenfassen (C2:D2, C3:D3, F2:G2, F3:G3, ...)
-      mergePairHeaders(ws, structure.pairs);
-
-      // 3.7 Web-Daten eintragen / vergleichen
-      const prodRows = rowsPerSheet.get(ws) || [];
-      for (const originalRow of prodRows) {
-        const currentRow = originalRow + 1; // wegen eingefügter Label-Zeile
-
-        // neue Z-Spalte (A2V) bestimmen
-        let zCol = ORIGINAL_COLS.Z;
-        if (structure.otherCols.has(ORIGINAL_COLS.Z)) zCol = structure.otherCols.get(ORIGINAL_COLS.Z);
-        const a2v = (ws.getCell(`${zCol}${currentRow}`).value || '').toString().trim().toUpperCase();
-        const web = resultsMap.get(a2v) || {};
-
-        // je Paar
-        for (const pair of structure.pairs) {
-          const dbValue = ws.getCell(`${pair.dbCol}${currentRow}`).value;
-          let webValue = null;
-          let isEqual = false;
-
-          switch (pair.original) {
-            case 'C': // Material-Kurztext
-              webValue = (web.Produkttitel && web.Produkttitel !== 'Nicht gefunden') ? web.Produkttitel : null;
-              isEqual  = webValue ? eqText(dbValue || '', webValue) : false;
-              break;
-            case 'E': // Herstellartikelnummer
-              webValue = (web['Weitere Artikelnummer'] && web['Weitere Artikelnummer'] !== 'Nicht gefunden')
-                        ? web['Weitere Artikelnummer']
-                        : a2v;
-              isEqual  = eqPart(dbValue || a2v, webValue);
-              break;
-            case 'N': // Fert./Prüfhinweis
-              if (web.Materialklassifizierung && web.Materialklassifizierung !== 'Nicht gefunden') {
-                const code = normalizeNCode(mapMaterialClassificationToExcel(web.Materialklassifizierung));
-                if (code) { webValue = code; isEqual = eqN(dbValue || '', code); }
-              }
-              break;
-            case 'P': // Werkstoff
-              webValue = (web.Werkstoff && web.Werkstoff !== 'Nicht gefunden') ? web.Werkstoff : null;
-              isEqual  = webValue ? eqText(dbValue || '', webValue) : false;
-              break;
-            case 'S': // Nettogewicht
-              if (web.Gewicht && web.Gewicht !== 'Nicht gefunden') {
-                const { value } = parseWeight(web.Gewicht);
-                if (value != null) { webValue = value; isEqual = eqWeight(dbValue, web.Gewicht); }
-              }
-              break;
-            case 'U': // Länge
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.L != null) { webValue = d.L; isEqual = eqDimension(dbValue, web.Abmessung, 'L'); }
-              }
-              break;
-            case 'V': // Breite
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.B != null) { webValue = d.B; isEqual = eqDimension(dbValue, web.Abmessung, 'B'); }
-              }
-              break;
-            case 'W': // Höhe
-              if (web.Abmessung && web.Abmessung !== 'Nicht gefunden') {
-                const d = parseDimensionsToLBH(web.Abmessung);
-                if (d.H != null) { webValue = d.H; isEqual = eqDimension(dbValue, web.Abmessung, 'H'); }
-              }
-              break;
-          }
-
-          const hasDb = hasValue(dbValue);
-          const hasWeb = webValue !== null;
-
-          if (hasWeb) {
-            ws.getCell(`${pair.webCol}${currentRow}`).value = webValue;
-            fillColor(ws, `${pair.webCol}${currentRow}`, hasDb ? (isEqual ? 'green' : 'red') : 'orange');
-          } else {
-            if (hasDb) fillColor(ws, `${pair.webCol}${currentRow}`, 'orange');
-          }
-        }
+  try {
+    const rows = input.records.map((obj, index) => {
+      const { record, unknown } = mapRecord(obj, profile);
+      const a2v = String(record.a2v ?? '').trim().toUpperCase();
+      const source = String(record.quelle ?? '').trim() || null;
+      return { index, a2v, source, routed: !!a2v && !!(source || scraper.sourceFor(a2v)), record, unknown };
+    });
+    const tasks = rows.filter(r => r.routed).map(r => ({ id: r.a2v, source: r.source }));
+    const fetchStats = newFetchStats();
+    const results = await scraper.scrapeMany(tasks, SCRAPE_CONCURRENCY, {
+      signal: controller.signal,
+      force: isTruthy(input.options.forceRefresh),
+      locales,
+      stats: fetchStats
+    });
+
+    const stats = { tolerances, dimensionMode, fields: {}, classification: {}, fetch: fetchStats };
+    for (const { key } of FIELDS) stats.fields[key] = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    const out = rows.map(({ index, a2v, source, routed, record, unknown }) => {
+      if (!routed) return { index, a2v: a2v || null, error: a2v ? 'Keine Quelle für diese Nummer.' : 'Produktnummer fehlt.' };
+      const web = results.get(a2v) || {};
+      const compared = compareRecord(record, web, { tolerances, dimensionMode, weightUnit: profile.weightUnit });
+      const fields = {};
+      for (const [key, f] of Object.entries(compared)) {
+        if (f.status) stats.fields[key][f.status]++;
+        if (f.unknown) { const text = String(f.raw).trim(); stats.classification[text] = (stats.classification[text] || 0) + 1; }
+        fields[key] = {
+          status: f.status, db: f.dbValue, web: f.webValue, raw: f.raw ?? null,
+          dbNorm: f.hasDb ? f.dbNorm : null, webNorm: f.hasWeb ? f.webNorm : null, locale: f.locale,
+          ...(SIMILARITY_FIELDS.includes(key) ? { score: f.score } : {}),
+          ...(f.partNumbers ? { partNumbers: f.partNumbers, matched: f.matched } : {}),
+          ...(f.unknown ? { unknown: f.unknown } : {})
+        };
       }
+      return { index, a2v, url: web.URL || scraper.urlFor(a2v, source, { locales }), source: web.Status || null, fields, ...(unknown.length ? { unknownFields: unknown } : {}) };
+    });
+
+    const format = req.query.format || (req.accepts(['application/json', 'text/csv']) === 'text/csv' ? 'csv' : 'json');
+    if (format === 'csv') {
+      const suffixes = (key) => SIMILARITY_FIELDS.includes(key) ? [...COMPARE_CSV_SUFFIXES, 'score'] : COMPARE_CSV_SUFFIXES;
+      const columns = ['a2v', 'quelle', ...FIELDS.flatMap(({ key }) => suffixes(key).map(s => `${key}_${s}`)), 'fehler'];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(toCsv(out.map(compareResultToCsvRow), columns));
     }
+    res.json({ profile: profile.name, stats, records: out });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const out = await wb.xlsx.writeBuffer();
-    res.setHeader('Content-Type','application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition','attachment; filename="DB_Produktvergleich_verarbeitet.xlsx"');
-    res.send(Buffer.from(out));
-
+// Strukturiertes Scrape-Ergebnis eines Produkts (Cache wie beim Excel-Lauf, ?force=1 ignoriert ihn,
+// ?source=<name> wählt die Quelle statt des Routings über die Nummer, ?locale=en,de die Sprachkette)
+app.get('/api/product/:a2v', async (req, res) => {
+  const a2v = String(req.params.a2v || '').trim().toUpperCase();
+  const source = req.query.source || null;
+  const adapter = scraper.sourceFor(a2v, source);
+  if (!adapter) return res.status(400).json({ error: source ? `Unbekannte Quelle "${source}".` : 'Keine Quelle für diese Nummer.' });
+  let locales;
+  try { locales = readLocales(req.query.locale); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  try {
+    const force = isTruthy(req.query.force);
+    const cached = !force && adapter.cacheable && scraper.cache.has(scraper.cacheKey(a2v, source, { locales }));
+    const result = await scraper.scrapeOne(a2v, { source, locales, force });
+    const body = { a2v, source: adapter.name, url: result.URL || adapter.url(a2v, { locales }), cached, result };
+    if (isErrorResult(result)) return res.status(502).json({ error: result?.Status || 'Scrapen fehlgeschlagen.', ...body });
+    res.json(body);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.listen(PORT, () => console.log(`Server running at http://0.0.0.0:${PORT}`));
+// -------- Prüfentscheidungen (Ergebnisansicht) ----------
+// Gelten für A2V + Feld + DB-Wert + Web-Wert und werden in späteren Läufen übernommen (decisions.js)
+app.get('/api/decisions', (req, res) => {
+  const entries = decisions.list({ a2v: req.query.a2v, field: req.query.field });
+  res.json({ labels: DECISIONS, total: entries.length, entries });
+});
+
+// Body: { a2v, field, db, web, decision: db|web|accepted, comment, reviewer }
+app.put('/api/decisions', (req, res) => {
+  try { res.json(decisions.set(req.body || {})); }
+  catch (e) {
+    if (e instanceof DecisionError) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/decisions/:id', (req, res) => {
+  if (!decisions.delete(req.params.id)) return res.status(404).json({ error: 'Keine Entscheidung vorhanden.' });
+  res.json({ removed: 1 });
+});
+
+// -------- Admin-Token (Scrape-Cache, Laufhistorie) ----------
+function isAdmin(req) {
+  return !ADMIN_TOKEN || req.get('X-Admin-Token') === ADMIN_TOKEN;
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  res.status(401).json({ error: 'Admin-Token fehlt oder ist ungültig.' });
+}
+
+app.get('/api/cache', requireAdmin, (req, res) => {
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+  res.json(scraper.cache.list({ offset, limit, q: req.query.q }));
+});
+
+// "a2v0001@EN,de" → "A2V0001@en,de" (Sprachkette bleibt klein geschrieben)
+function cacheKeyParam(param) {
+  const [id, locales] = String(param).trim().split('@');
+  return locales ? `${id.toUpperCase()}@${locales.toLowerCase()}` : id.toUpperCase();
+}
+
+app.get('/api/cache/:a2v', requireAdmin, (req, res) => {
+  const entry = scraper.cache.getEntry(cacheKeyParam(req.params.a2v));
+  if (!entry) return res.status(404).json({ error: 'Kein Cache-Eintrag vorhanden.' });
+  res.json(entry);
+});
+
+// Ohne "@Sprachen" werden alle Sprachvarianten der Nummer gelöscht
+app.delete('/api/cache/:a2v', requireAdmin, (req, res) => {
+  const key = cacheKeyParam(req.params.a2v);
+  const removed = key.includes('@') ? Number(scraper.cache.delete(key)) : scraper.cache.deleteVariants(key);
+  if (!removed) return res.status(404).json({ error: 'Kein Cache-Eintrag vorhanden.' });
+  res.json({ removed });
+});
+
+// ?expired=1 entfernt nur abgelaufene Einträge, sonst wird der gesamte Cache geleert
+app.delete('/api/cache', requireAdmin, (req, res) => {
+  const removed = scraper.cache.purge({ expiredOnly: isTruthy(req.query.expired) });
+  res.json({ removed });
+});
+
+/**
+ * Geordnet beenden (SIGTERM beim Deploy/Neustart): keine neuen Uploads, laufende Jobs bis
+ * SHUTDOWN_TIMEOUT_MS abwarten, danach abbrechen, Browser-Pool und Server schließen.
+ */
+async function shutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} empfangen – beende Server …`);
+  server.close();
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (jobs.active().length && Date.now() < deadline) await new Promise(r => setTimeout(r, 250));
+  for (const job of jobs.active()) jobs.cancel(job.id);
+  await scraper.close().catch(e => console.error('Fehler beim Schließen:', e));
+  process.exit(0);
+}
+
+if (require.main === module) {
+  const server = app.listen(PORT, () => console.log(`Server running at http://0.0.0.0:${PORT}`));
+  for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => shutdown(server, signal));
+}
+
+// Für Tests: App ohne Listen importierbar
+module.exports = { app, scraper, jobs, runs };
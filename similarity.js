@@ -0,0 +1,138 @@
+// similarity.js - Ähnlichkeitsvergleich für Freitexte (Material-Kurztext, Werkstoff): Umlaute/ß und
+// Satzzeichen normalisiert, Synonyme auf einen Begriff abgebildet, abgeschnittene SAP-Kurztexte (Präfix)
+// erkannt; sonst das bessere Maß aus Zeichen-Ähnlichkeit (Levenshtein) und Wort-Überdeckung.
+
+const fs = require('fs');
+const path = require('path');
+
+const SYNONYMS_FILE = process.env.TEXT_SYNONYMS_FILE || path.join(__dirname, 'text-synonyms.json');
+const MIN_PREFIX = 8;    // kürzere Texte gelten nicht als abgeschnittener Präfix
+const MAX_LENGTH = 200;  // Levenshtein nur über die ersten Zeichen (Laufzeit)
+
+const UMLAUTS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' };
+
+// "Stahl, verzinkt – Ø 20" → "stahl verzinkt 20"
+function foldText(s) {
+  return String(s ?? '')
+    .toLowerCase()
+    .replace(/[äöüß]/g, ch => UMLAUTS[ch])
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/(\d)[.,](\d)/g, '$1#$2')   // Dezimaltrenner erhalten (1.4301, 6,6)
+    .replace(/[^a-z0-9#]+/g, ' ')
+    .replace(/#/g, '.')
+    .trim();
+}
+
+function readTable(file) {
+  if (!fs.existsSync(file)) return [];
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(entries)) throw new Error(`Synonymtabelle ${file}: Array von Gruppen erwartet.`);
+  return entries;
+}
+
+const byLength = (pairs) => pairs.filter(([term]) => term).sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Synonymtabelle laden: JSON-Array von Gruppen, der erste Eintrag ist der Normbegriff.
+ * Liefert [[gefalteter Ausdruck, Normbegriff], ...] – längste Ausdrücke zuerst.
+ */
+function loadSynonyms(file = SYNONYMS_FILE) {
+  const pairs = [];
+  for (const group of readTable(file).filter(Array.isArray)) {
+    const canonical = foldText(group[0]);
+    for (const term of group) pairs.push([foldText(term), canonical]);
+  }
+  return byLength(pairs);
+}
+
+/**
+ * Oberbegriffe aus derselben Tabelle: { "general": "Edelstahl", "specific": ["1.4301", "1.4571"] }.
+ * Ein spezieller Begriff passt zu seinem Oberbegriff, aber nicht zu einem anderen speziellen
+ * (1.4301 ↔ Edelstahl ähnlich, 1.4301 ↔ 1.4571 nicht). Liefert [[gefalteter Ausdruck, Oberbegriff], ...].
+ */
+function loadGeneralizations(file = SYNONYMS_FILE, synonyms = loadSynonyms(file)) {
+  const pairs = [];
+  for (const entry of readTable(file).filter(e => e && !Array.isArray(e))) {
+    if (!entry.general || !Array.isArray(entry.specific)) throw new Error(`Synonymtabelle ${file}: Oberbegriff braucht "general" und "specific".`);
+    const general = applySynonyms(foldText(entry.general), synonyms);
+    for (const term of entry.specific) pairs.push([foldText(term), general]);
+  }
+  return byLength(pairs);
+}
+
+let defaultSynonyms = null;
+function getSynonyms() {
+  if (!defaultSynonyms) defaultSynonyms = loadSynonyms();
+  return defaultSynonyms;
+}
+
+let defaultGeneralizations = null;
+function getGeneralizations() {
+  if (!defaultGeneralizations) defaultGeneralizations = loadGeneralizations(SYNONYMS_FILE, getSynonyms());
+  return defaultGeneralizations;
+}
+
+// Ganze Wörter/Wortfolgen durch den Normbegriff ersetzen (einmal je Stelle, längste zuerst)
+function applySynonyms(folded, synonyms) {
+  if (!synonyms.length || !folded) return folded;
+  const words = folded.split(' ');
+  const out = [];
+  for (let i = 0; i < words.length;) {
+    let hit = null;
+    for (const [term, canonical] of synonyms) {
+      const n = term.split(' ').length;
+      if (words.slice(i, i + n).join(' ') === term) { hit = [canonical, n]; break; }
+    }
+    if (hit) { out.push(hit[0]); i += hit[1]; }
+    else out.push(words[i++]);
+  }
+  return out.join(' ');
+}
+
+function levenshtein(a, b) {
+  a = a.slice(0, MAX_LENGTH); b = b.slice(0, MAX_LENGTH);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Wort-Überdeckung (Dice) – unabhängig von der Reihenfolge ("verzinkter Stahl" ↔ "Stahl verzinkt" nach Synonymen)
+function tokenDice(a, b) {
+  const ta = new Set(a.split(' ').filter(Boolean)), tb = new Set(b.split(' ').filter(Boolean));
+  if (!ta.size || !tb.size) return 0;
+  let common = 0;
+  for (const t of ta) if (tb.has(t)) common++;
+  return 2 * common / (ta.size + tb.size);
+}
+
+/**
+ * Ähnlichkeit zweier Texte → { score (0…1), method, a, b } mit a/b = normalisierte Texte.
+ * method: 'normalisiert' (nach Normalisierung gleich), 'Präfix' (einer ist Anfang des anderen,
+ * z.B. auf 40 Zeichen gekürzter SAP-Kurztext), 'Zeichen' (Levenshtein) oder 'Wörter' (Wort-Überdeckung).
+ */
+function textSimilarity(a, b, { synonyms = getSynonyms(), generalizations = getGeneralizations() } = {}) {
+  const na = applySynonyms(foldText(a), synonyms);
+  const nb = applySynonyms(foldText(b), synonyms);
+  const result = (score, method) => ({ score: Math.round(score * 1000) / 1000, method, a: na, b: nb });
+  if (!na || !nb) return result(0, 'Zeichen');
+  if (na === nb) return result(1, 'normalisiert');
+
+  // nur eine Seite speziell ("1.4301" ↔ "Edelstahl"); zwei verschiedene spezielle Begriffe bleiben verschieden
+  const ga = applySynonyms(na, generalizations), gb = applySynonyms(nb, generalizations);
+  if ((ga === nb && gb === nb) || (gb === na && ga === na)) return result(1, 'Oberbegriff');
+
+  const [short, long] = na.length <= nb.length ? [na, nb] : [nb, na];
+  if (short.length >= MIN_PREFIX && long.startsWith(short)) return result(0.9 + 0.1 * short.length / long.length, 'Präfix');
+
+  const chars = 1 - levenshtein(na, nb) / Math.max(Math.min(na.length, MAX_LENGTH), Math.min(nb.length, MAX_LENGTH));
+  const words = tokenDice(na, nb);
+  return words > chars ? result(words, 'Wörter') : result(chars, 'Zeichen');
+}
+
+module.exports = { textSimilarity, foldText, loadSynonyms, loadGeneralizations, applySynonyms, levenshtein, tokenDice };
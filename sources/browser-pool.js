@@ -0,0 +1,214 @@
+// sources/browser-pool.js - Verwalteter Playwright-Browser für den Fallback-Abruf: feste Zahl an Kontexten
+// mit je einer wiederverwendeten Seite, Neustart nach Absturz, garantiertes Aufräumen der Seiten,
+// Abschalten nach Leerlauf (Speicher auf kleinen Instanzen) und geordnetes Beenden.
+
+const DISABLE_PLAYWRIGHT = String(process.env.DISABLE_PLAYWRIGHT || '0') === '1';
+
+const DEFAULTS = {
+  size: Number(process.env.PW_CONTEXTS || 2),             // parallele Kontexte (je eine Seite)
+  idleMs: Number(process.env.PW_IDLE_MS || 60000),        // Browser nach so langer Ruhe schließen (0 = nie)
+  pagesPerContext: Number(process.env.PW_PAGE_REUSE || 50) // Kontext nach so vielen Seiten erneuern
+};
+
+const LAUNCH_OPTIONS = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'] };
+
+function loadChromium() {
+  if (DISABLE_PLAYWRIGHT) return null;
+  try { return require('playwright').chromium; }
+  catch { return null; }
+}
+
+class BrowserPool {
+  /**
+   * size/idleMs/pagesPerContext wie DEFAULTS (PW_CONTEXTS, PW_IDLE_MS, PW_PAGE_REUSE);
+   * contextOptions: Optionen für newContext, setupContext(context): z.B. Routen blockieren;
+   * chromium: Browser-Typ (Standard: playwright, null wenn nicht installiert oder DISABLE_PLAYWRIGHT=1)
+   */
+  constructor({ contextOptions = {}, setupContext = null, chromium = loadChromium(), ...opts } = {}) {
+    for (const [k, v] of Object.entries(DEFAULTS)) this[k] = opts[k] != null ? Number(opts[k]) : v;
+    this.size = Math.max(1, this.size);
+    this.contextOptions = contextOptions;
+    this.setupContext = setupContext;
+    this.chromium = chromium;
+    this.browser = null;
+    this._launching = null;
+    this._slots = [];     // { context, page, uses, busy }
+    this._waiting = [];   // wartende acquire-Aufrufe
+    this._idleTimer = null;
+    this._closing = false;
+    this._shuttingDown = false;
+    this.counts = { launches: 0, crashes: 0, pages: 0, failures: 0, idleShutdowns: 0 };
+    this.lastError = null;
+  }
+
+  get available() { return !!this.chromium; }
+
+  health() {
+    return {
+      available: this.available,
+      running: !!this.browser,
+      contexts: this._slots.length,
+      busy: this._slots.filter(s => s.busy).length,
+      waiting: this._waiting.length,
+      size: this.size,
+      ...this.counts,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * fn(page) mit einer freien Seite ausführen. Die Seite wird danach wiederverwendet oder –
+   * nach einem Fehler – geschlossen; ein abgestürzter Browser wird beim nächsten Aufruf neu gestartet.
+   */
+  async withPage(fn, { signal } = {}) {
+    if (!this.available) throw new Error('Playwright nicht verfügbar');
+    if (this._closing) throw new Error('Browser wird beendet');
+    const slot = await this._acquire(signal);
+    let ok = false;
+    try {
+      if (!slot.page || slot.page.isClosed()) {
+        const page = await slot.context.newPage();
+        page.once('crash', () => page.close().catch(() => {}));
+        slot.page = page;
+        this.counts.pages++;
+      }
+      slot.uses++;
+      const result = await fn(slot.page);
+      ok = true;
+      return result;
+    } catch (e) {
+      this.counts.failures++;
+      this.lastError = e.message;
+      throw e;
+    } finally {
+      await this._release(slot, ok);
+    }
+  }
+
+  async _ensureBrowser() {
+    if (this.browser) return this.browser;
+    if (!this._launching) {
+      this._launching = this.chromium.launch(LAUNCH_OPTIONS).then(browser => {
+        this.counts.launches++;
+        browser.once('disconnected', () => this._onDisconnected(browser));
+        this.browser = browser;
+        return browser;
+      }).finally(() => { this._launching = null; });
+    }
+    return this._launching;
+  }
+
+  // Absturz oder Schließen von außen: alles verwerfen, der nächste Aufruf startet neu
+  _onDisconnected(browser) {
+    if (this.browser !== browser) return;
+    if (!this._closing && !this._shuttingDown) {
+      this.counts.crashes++;
+      this.lastError = 'Browser beendet/abgestürzt';
+      console.warn('Playwright-Browser beendet – Neustart beim nächsten Abruf');
+    }
+    this.browser = null;
+    this._slots = this._slots.filter(s => s.busy); // belegte Slots verwerfen sich beim Freigeben
+    for (const s of this._slots) s.dead = true;
+  }
+
+  async _acquire(signal) {
+    clearTimeout(this._idleTimer);
+    for (;;) {
+      signal?.throwIfAborted();
+      const free = this._slots.find(s => !s.busy && !s.dead);
+      if (free) { free.busy = true; return free; }
+      if (this._slots.length < this.size) {
+        const slot = { context: null, page: null, uses: 0, busy: true };
+        this._slots.push(slot);
+        try {
+          const browser = await this._ensureBrowser();
+          slot.context = await browser.newContext(this.contextOptions);
+          if (this.setupContext) await this.setupContext(slot.context);
+          return slot;
+        } catch (e) {
+          this._slots = this._slots.filter(s => s !== slot);
+          this.lastError = e.message;
+          this._wakeOne();
+          throw e;
+        }
+      }
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this._waiting = this._waiting.filter(w => w !== waiter);
+          reject(signal.reason);
+        };
+        const waiter = {
+          resolve: () => { signal?.removeEventListener('abort', onAbort); resolve(); },
+          reject: (e) => { signal?.removeEventListener('abort', onAbort); reject(e); }
+        };
+        this._waiting.push(waiter);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+  }
+
+  async _release(slot, ok) {
+    slot.busy = false;
+    // Seite nach Fehler, Absturz oder zu vielen Aufrufen nicht weiterverwenden
+    if (!ok || slot.dead || slot.uses >= this.pagesPerContext) {
+      await slot.page?.close().catch(() => {});
+      slot.page = null;
+    }
+    if (slot.dead || slot.uses >= this.pagesPerContext) {
+      await slot.context?.close().catch(() => {});
+      this._slots = this._slots.filter(s => s !== slot);
+    }
+    this._wakeOne();
+    this._scheduleIdle();
+  }
+
+  _wakeOne() {
+    const waiter = this._waiting.shift();
+    if (waiter) waiter.resolve();
+  }
+
+  _scheduleIdle() {
+    clearTimeout(this._idleTimer);
+    if (!this.idleMs || !this.browser || this._slots.some(s => s.busy) || this._waiting.length) return;
+    this._idleTimer = setTimeout(() => {
+      this.counts.idleShutdowns++;
+      this._shutdown().catch(() => {});
+    }, this.idleMs);
+    this._idleTimer.unref();
+  }
+
+  // Browser samt Kontexten schließen (Leerlauf); der Pool bleibt benutzbar
+  async _shutdown() {
+    if (this._slots.some(s => s.busy)) return;
+    const browser = this.browser;
+    const slots = this._slots;
+    this._shuttingDown = true;
+    this.browser = null;
+    this._slots = [];
+    try {
+      for (const s of slots) {
+        await s.page?.close().catch(() => {});
+        await s.context?.close().catch(() => {});
+      }
+      await browser?.close().catch(() => {});
+    } finally {
+      this._shuttingDown = false;
+    }
+  }
+
+  /**
+   * Geordnet beenden: keine neuen Aufrufe, laufende bis timeoutMs abwarten, dann Browser schließen.
+   */
+  async close({ timeoutMs = 10000 } = {}) {
+    this._closing = true;
+    clearTimeout(this._idleTimer);
+    for (const w of this._waiting.splice(0)) w.reject(new Error('Browser wird beendet'));
+    const deadline = Date.now() + timeoutMs;
+    while (this._slots.some(s => s.busy) && Date.now() < deadline) await new Promise(r => setTimeout(r, 50));
+    for (const s of this._slots) s.busy = false;
+    await this._shutdown();
+    this._closing = false;
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,84 @@
+// sources/catalog.js - Quelle "lokaler Katalog": Produktdaten aus einer JSON- oder CSV-Datei,
+// z.B. Lieferantenlisten für Nummern, die es auf MyMobase nicht gibt.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+const { normHeader } = require('../mapping');
+const { WEB_ATTRIBUTES } = require('../fields');
+
+// Felder des gemeinsamen Datensatzformats → übliche Spaltennamen im Katalog (Feldregister)
+const DEFAULT_FIELDS = Object.fromEntries(WEB_ATTRIBUTES.map(a => [a.field, a.catalog || [a.field]]));
+
+class CatalogSource {
+  /**
+   * name: Name der Quelle (Routing über Quellspalte), file: JSON- oder CSV-Datei,
+   * idField: Spalte mit der Produktnummer, idPattern: Regex für das Routing über die Nummer,
+   * url: optionale URL-Vorlage mit {id}, fields: { Zielfeld: Spaltenname | [Spaltennamen] },
+   * weightUnit: Einheit für Gewichte ohne Einheit (z.B. "kg")
+   */
+  constructor({ name = 'katalog', file, idField = 'id', idPattern = null, url = null, fields = {}, weightUnit = null, baseDir = process.cwd() } = {}) {
+    if (!file) throw new Error(`Quelle "${name}": Katalogdatei (file) fehlt.`);
+    this.name = name;
+    this.file = path.resolve(baseDir, file);
+    this.idField = idField;
+    this.idPattern = idPattern ? new RegExp(idPattern, 'i') : null;
+    this.urlTemplate = url;
+    this.fields = { ...DEFAULT_FIELDS, ...fields };
+    this.weightUnit = weightUnit;
+    this.cacheable = false; // lokale Datei – nichts zu cachen
+    this._index = null;
+    this._mtime = 0;
+  }
+
+  url(id) {
+    return this.urlTemplate ? this.urlTemplate.replace('{id}', encodeURIComponent(id)) : null;
+  }
+
+  // Datei (neu) einlesen, wenn sie sich seit dem letzten Zugriff geändert hat
+  _load() {
+    const { mtimeMs } = fs.statSync(this.file);
+    if (this._index && mtimeMs === this._mtime) return this._index;
+    const text = fs.readFileSync(this.file, 'utf8');
+    let rows;
+    if (/\.json$/i.test(this.file)) {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : Object.entries(data).map(([id, row]) => ({ [this.idField]: id, ...row }));
+    } else {
+      rows = parseCsv(text);
+    }
+    const idKey = normHeader(this.idField);
+    this._index = new Map();
+    for (const row of rows) {
+      const idName = Object.keys(row).find(k => normHeader(k) === idKey);
+      const id = String(row[idName] ?? '').trim().toUpperCase();
+      if (id) this._index.set(id, row);
+    }
+    this._mtime = mtimeMs;
+    return this._index;
+  }
+
+  async fetch(id) {
+    const row = this._load().get(String(id).trim().toUpperCase());
+    if (!row) throw new Error(`nicht im Katalog "${this.name}"`);
+    return row;
+  }
+
+  extract(row, id) {
+    const byName = new Map(Object.entries(row).map(([k, v]) => [normHeader(k), v]));
+    const pick = (names) => {
+      for (const n of [].concat(names)) {
+        const v = byName.get(normHeader(n));
+        if (v != null && String(v).trim() !== '') return String(v).trim();
+      }
+      return null;
+    };
+    const fields = Object.fromEntries(Object.entries(this.fields).map(([field, names]) => [field, pick(names) || 'Nicht gefunden']));
+    if (fields.Gewicht !== 'Nicht gefunden' && this.weightUnit && /^[\d.,\s]+$/.test(fields.Gewicht)) fields.Gewicht = `${fields.Gewicht} ${this.weightUnit}`;
+    return { A2V: id, URL: this.url(id), ...fields, Status: `Katalog ${this.name}` };
+  }
+
+  async close() {}
+}
+
+module.exports = { CatalogSource, DEFAULT_FIELDS };
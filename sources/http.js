@@ -0,0 +1,146 @@
+// sources/http.js - HTTP-Abruf für Quellen-Adapter: Timeout je Anfrage, Wiederholung mit exponentiellem
+// Backoff und Jitter, gemeinsames Limit (Anfragen pro Sekunde) für alle Worker und ein Circuit Breaker,
+// der den Abruf pausiert, wenn die Website offensichtlich nicht erreichbar ist.
+
+const { setTimeout: sleep } = require('timers/promises');
+
+// Status, bei denen sich ein neuer Versuch lohnt; alle anderen (z.B. 404) gelten sofort als Ergebnis
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULTS = {
+  timeoutMs: Number(process.env.HTTP_TIMEOUT_MS || 15000),
+  retries: Number(process.env.HTTP_RETRIES || 3),
+  backoffMs: Number(process.env.HTTP_BACKOFF_MS || 500),
+  backoffMaxMs: Number(process.env.HTTP_BACKOFF_MAX_MS || 10000),
+  rps: Number(process.env.SCRAPE_RPS || 3),                    // 0 = kein Limit
+  breakerThreshold: Number(process.env.BREAKER_THRESHOLD || 5), // Fehlschläge in Folge bis zur Pause
+  breakerCooldownMs: Number(process.env.BREAKER_COOLDOWN_MS || 30000)
+};
+
+class HttpError extends Error {
+  constructor(status) {
+    super(`HTTP ${status}`);
+    this.status = status;
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Zeitüberschreitung nach ${ms} ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Zähler je Lauf (z.B. Job) und gesamt je Client
+function newFetchStats() {
+  return { requests: 0, retries: 0, failures: 0, timeouts: 0, rateLimited: 0, breakerTrips: 0, breakerWaits: 0, statuses: {} };
+}
+
+// Retry-After: Sekunden oder HTTP-Datum → ms (null, wenn nicht lesbar)
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const s = Number(value);
+  if (Number.isFinite(s)) return Math.max(0, s * 1000);
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+class HttpClient {
+  /**
+   * Optionen wie DEFAULTS (Umgebungsvariablen HTTP_TIMEOUT_MS, HTTP_RETRIES, HTTP_BACKOFF_MS, HTTP_BACKOFF_MAX_MS,
+   * SCRAPE_RPS, BREAKER_THRESHOLD, BREAKER_COOLDOWN_MS); fetch und random sind für Tests austauschbar.
+   */
+  constructor({ fetch = globalThis.fetch, random = Math.random, ...opts } = {}) {
+    for (const [k, v] of Object.entries(DEFAULTS)) this[k] = opts[k] != null ? Number(opts[k]) : v;
+    this.fetch = fetch;
+    this.random = random;
+    this.stats = newFetchStats();
+    this._next = 0;       // frühester Zeitpunkt der nächsten Anfrage (Rate-Limit)
+    this._failures = 0;   // Fehlschläge in Folge
+    this._openUntil = 0;  // Circuit Breaker offen bis
+  }
+
+  get breakerOpen() { return this._openUntil > Date.now(); }
+
+  /**
+   * Text einer URL laden. stats: optionale Zähler des Laufs (newFetchStats), zusätzlich zu this.stats.
+   * Wirft HttpError (Status), TimeoutError oder Netzwerkfehler, wenn alle Versuche scheitern.
+   */
+  async get(url, { signal, headers, stats } = {}) {
+    const count = (key) => { this.stats[key]++; if (stats) stats[key]++; };
+    for (let attempt = 0; ; attempt++) {
+      await this.ready({ signal, stats });
+      count('requests');
+      let retryAfter = null;
+      try {
+        const resp = await this._fetchWithTimeout(url, { signal, headers });
+        for (const s of stats ? [this.stats, stats] : [this.stats]) s.statuses[resp.status] = (s.statuses[resp.status] || 0) + 1;
+        if (resp.ok) { this._failures = 0; return resp.body; }
+        if (!RETRY_STATUSES.includes(resp.status)) { this._failures = 0; throw new HttpError(resp.status); } // Website antwortet
+        if (resp.status === 429) count('rateLimited');
+        retryAfter = parseRetryAfter(resp.headers.get('retry-after'));
+        throw Object.assign(new HttpError(resp.status), { retryable: true });
+      } catch (e) {
+        signal?.throwIfAborted();
+        if (e instanceof HttpError && !e.retryable) throw e;
+        if (e instanceof TimeoutError) count('timeouts');
+        this._recordFailure(count);
+        if (attempt >= this.retries) { count('failures'); throw e; }
+        count('retries');
+        await sleep(this._backoff(attempt, retryAfter), undefined, { signal });
+      }
+    }
+  }
+
+  // Vor jeder Anfrage (auch Playwright): Pause bei offenem Circuit Breaker, dann Rate-Limit
+  async ready({ signal, stats } = {}) {
+    const pause = this._openUntil - Date.now();
+    if (pause > 0) {
+      this.stats.breakerWaits++;
+      if (stats) stats.breakerWaits++;
+      await sleep(pause, undefined, { signal });
+    }
+    if (!(this.rps > 0)) return;
+    const now = Date.now();
+    const at = Math.max(now, this._next);
+    this._next = at + 1000 / this.rps; // Platz sofort reservieren – gilt für alle parallelen Worker
+    if (at > now) await sleep(at - now, undefined, { signal });
+  }
+
+  // Exponentiell mit Jitter (halbe Spanne fest, halbe zufällig); Retry-After hat Vorrang, wenn länger
+  _backoff(attempt, retryAfter) {
+    const cap = Math.min(this.backoffMaxMs, this.backoffMs * 2 ** attempt);
+    const delay = cap / 2 + this.random() * cap / 2;
+    return Math.round(retryAfter != null ? Math.max(delay, Math.min(retryAfter, this.backoffMaxMs)) : delay);
+  }
+
+  // Nach breakerThreshold Fehlschlägen in Folge pausieren; danach reicht ein weiterer Fehlschlag für die nächste Pause
+  _recordFailure(count) {
+    if (++this._failures < this.breakerThreshold) return;
+    this._openUntil = Date.now() + this.breakerCooldownMs;
+    this._failures = this.breakerThreshold - 1;
+    count('breakerTrips');
+    console.warn(`Website nicht erreichbar – Abruf pausiert für ${this.breakerCooldownMs} ms`);
+  }
+
+  async _fetchWithTimeout(url, { signal, headers }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, this.timeoutMs);
+    try {
+      const resp = await this.fetch(url, { signal: controller.signal, headers });
+      const body = resp.ok ? await resp.text() : (await resp.body?.cancel?.(), '');
+      return { ok: resp.ok, status: resp.status, headers: resp.headers, body };
+    } catch (e) {
+      if (timedOut) throw new TimeoutError(this.timeoutMs);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = { HttpClient, HttpError, TimeoutError, newFetchStats, parseRetryAfter, RETRY_STATUSES };
@@ -0,0 +1,63 @@
+// sources/index.js - Quellen-Adapter und Routing je Produktnummer.
+// Jede Quelle implementiert: name, idPattern (RegExp oder null), cacheable, url(id),
+// fetch(id, { signal, stats }) → Rohdaten, extract(rohdaten, id) → Datensatz im gemeinsamen Format
+// { A2V, URL, Produkttitel, 'Weitere Artikelnummer', Gewicht, Abmessung, Werkstoff, Materialklassifizierung, Status },
+// optional fallback(id, { signal, stats }) (wenn fetch/extract scheitern), health() und close().
+// stats: Abrufzähler des Laufs (siehe sources/http.js), von Quellen ohne HTTP-Abruf ignoriert.
+
+const fs = require('fs');
+const path = require('path');
+const { MyMobaseSource } = require('./mymobase');
+const { CatalogSource } = require('./catalog');
+
+const SOURCES_FILE = process.env.SOURCES_FILE || path.join(__dirname, '..', 'sources.config.json');
+const ADAPTERS = { mymobase: MyMobaseSource, catalog: CatalogSource };
+
+function createSource(spec, { baseDir } = {}) {
+  const Adapter = ADAPTERS[spec.type];
+  if (!Adapter) throw new Error(`Unbekannter Quellentyp "${spec.type}" (erlaubt: ${Object.keys(ADAPTERS).join(', ')}).`);
+  return new Adapter({ ...spec, name: String(spec.name || spec.type).toLowerCase(), baseDir });
+}
+
+class SourceRouter {
+  constructor(sources = [new MyMobaseSource()]) {
+    this.sources = sources;
+  }
+
+  // sources.config.json: { "sources": [{ "type": "mymobase" }, { "type": "catalog", "name": "...", "file": "...", ... }] }
+  // Reihenfolge = Priorität beim Routing über idPattern; ohne Datei nur MyMobase
+  static fromConfig(file = SOURCES_FILE) {
+    if (!fs.existsSync(file)) return new SourceRouter();
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const baseDir = path.dirname(file);
+    const sources = (config.sources || []).filter(s => s.enabled !== false).map(s => createSource(s, { baseDir }));
+    if (!sources.length) throw new Error(`Keine Quelle in ${file} konfiguriert.`);
+    return new SourceRouter(sources);
+  }
+
+  get(name) {
+    const n = String(name || '').trim().toLowerCase();
+    return this.sources.find(s => s.name === n) || null;
+  }
+
+  // Explizite Quellangabe (z.B. Quellspalte) vor ID-Muster; null, wenn nichts passt
+  resolve(id, sourceName) {
+    if (sourceName) return this.get(sourceName);
+    return this.sources.find(s => s.idPattern?.test(id)) || null;
+  }
+
+  list() {
+    return this.sources.map(s => ({ name: s.name, idPattern: s.idPattern ? s.idPattern.source : null, cacheable: !!s.cacheable }));
+  }
+
+  // Zustand je Quelle (nur Quellen mit health(), z.B. Playwright-Pool und Circuit Breaker von MyMobase)
+  health() {
+    return Object.fromEntries(this.sources.filter(s => s.health).map(s => [s.name, s.health()]));
+  }
+
+  async close() {
+    await Promise.all(this.sources.map(s => s.close?.()));
+  }
+}
+
+module.exports = { SourceRouter, createSource, ADAPTERS, SOURCES_FILE };
@@ -0,0 +1,318 @@
+// sources/mymobase.js - Quelle MyMobase (Siemens Mobility): HTML-Abruf mit strukturierter
+// JSON-Extraktion (window.initialData), Tabellen-Parser als Ersatz und optionalem Playwright-Fallback.
+// Playwright läuft in einem verwalteten Pool (sources/browser-pool.js) und lässt sich mit DISABLE_PLAYWRIGHT=1 abschalten.
+
+const cheerio = require('cheerio');
+const LOCALES = require('./mymobase.locales.json');
+const { HttpClient } = require('./http');
+const { BrowserPool } = require('./browser-pool');
+const { WEB_ATTRIBUTES } = require('../fields');
+const NAV_TIMEOUT_MS = Number(process.env.NAV_TIMEOUT_MS || 18000);
+// Basis-URL der Produktseiten; für Tests z.B. ein lokaler Stub-Server
+const BASE_URL = (process.env.MYMOBASE_BASE_URL || 'https://www.mymobase.com').replace(/\/+$/, '');
+
+// Felder, die je Sprache aus den technischen Daten gelesen und entlang der Fallback-Kette ergänzt werden
+// (Web-Attribute des Feldregisters mit Suchbegriffen; der Produkttitel kommt aus Name bzw. Überschrift)
+const SPEC_ATTRIBUTES = WEB_ATTRIBUTES.filter(a => a.keys);
+const SPEC_FIELDS = SPEC_ATTRIBUTES.map(a => a.field);
+const MERGE_FIELDS = ['Produkttitel', ...SPEC_FIELDS];
+
+// "en,de" / ['en', 'de'] → ['en', 'de']; unbekannte Sprachen werfen einen Fehler
+function parseLocales(value) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(l => String(l).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter(l => !LOCALES[l]);
+  if (unknown.length) throw new Error(`Unbekannte Sprache "${unknown.join(', ')}" (erlaubt: ${Object.keys(LOCALES).join(', ')}).`);
+  return [...new Set(list)];
+}
+
+const DEFAULT_LOCALES = parseLocales(process.env.MYMOBASE_LOCALES || 'de');
+
+function a2vUrl(a2v, locale = 'de', baseUrl = BASE_URL) {
+  const id = String(a2v || '').trim();
+  return `${baseUrl}/${locale}/p/${id}`;
+}
+
+// Schlüssel der technischen Daten → Wert anhand der Suchbegriffe einer Sprache (Feldregister).
+// Jede Alternative ist eine Liste von Teilstrings; "!x" schließt Schlüssel aus, die x enthalten.
+function pickByKeys(map, alternatives) {
+  for (const needles of alternatives || []) {
+    for (const [k, v] of Object.entries(map)) {
+      if (v && needles.every(n => n.startsWith('!') ? !k.includes(n.slice(1)) : k.includes(n))) return v;
+    }
+  }
+  return null;
+}
+
+// Suchbegriffe eines Web-Attributs in einer Sprache (ohne eigene Begriffe: Deutsch)
+function attributeKeys(attribute, locale) {
+  return attribute.keys[locale] || attribute.keys.de;
+}
+
+// Schlüssel/Wert-Paare einer Seite → Felder des gemeinsamen Datensatzformats
+function specFields(map, locale) {
+  return Object.fromEntries(SPEC_ATTRIBUTES.map(a => [a.field, pickByKeys(map, attributeKeys(a, locale)) || 'Nicht gefunden']));
+}
+
+function isFound(v) {
+  return v != null && v !== '' && v !== 'Nicht gefunden';
+}
+
+// Datensätze je Sprache ({ locale, record }) feldweise zusammenführen: erste Sprache mit Wert gewinnt;
+// Sprachen: { Feld: Sprache } hält fest, woher jeder Wert stammt
+function mergeLocaleRecords(records) {
+  const out = { ...records[0].record, Sprachen: {} };
+  for (const field of MERGE_FIELDS) {
+    const hit = records.find(r => isFound(r.record[field]));
+    out[field] = hit ? hit.record[field] : 'Nicht gefunden';
+    if (hit) out.Sprachen[field] = hit.locale;
+  }
+  return out;
+}
+
+function isComplete(record) {
+  return MERGE_FIELDS.every(f => isFound(record[f]));
+}
+
+function extractJsonInitialData(html) {
+  // Verschiedene mögliche JSON-Formate versuchen
+  const patterns = [
+    /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
+    /window\.initialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/i,
+    /initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i,
+    /initialData\s*=\s*(\{[\s\S]*?\});/i
+  ];
+  
+  for (const pattern of patterns) {
+    const m = html.match(pattern);
+    if (m) {
+      try {
+        return JSON.parse(m[1]);
+      } catch {
+        // nächstes Muster versuchen
+      }
+    }
+  }
+  return null;
+}
+
+// initialData-Produkt → gemeinsames Datensatzformat: technische Daten über die Suchbegriffe des Feldregisters,
+// sonst der Ersatzwert des Attributs aus dem Produkt (fromProduct, z.B. product.weight)
+function mapFromInitialData(obj, a2v, url, locale = 'de') {
+  try {
+    const dict = LOCALES[locale] || LOCALES.de;
+    const product = obj?.data?.product || {};
+    const ts = product?.localizations?.technicalSpecifications || product?.technicalSpecifications || [];
+    const tsMap = {};
+    for (const item of ts) {
+      if (!item || typeof item !== 'object') continue;
+      const k = String(item.key || '').toLowerCase();
+      tsMap[k] = item.value || '';
+    }
+
+    const fields = {};
+    for (const attribute of SPEC_ATTRIBUTES) {
+      fields[attribute.field] = pickByKeys(tsMap, attributeKeys(attribute, locale))
+        || attribute.fromProduct?.(product, dict)
+        || 'Nicht gefunden';
+    }
+
+    return {
+      A2V: product.code || a2v,
+      URL: url,
+      Produkttitel: product.name || 'Nicht gefunden',
+      ...fields,
+      Status: 'initialData JSON'
+    };
+  } catch { return null; }
+}
+
+class MyMobaseSource {
+  // locales: Sprach-Fallback-Kette, z.B. ['en', 'de'] (Standard: MYMOBASE_LOCALES bzw. "de")
+  // baseUrl: Basis-URL der Produktseiten (Standard: MYMOBASE_BASE_URL bzw. https://www.mymobase.com)
+  // http: Optionen für Timeout, Wiederholungen, Rate-Limit und Circuit Breaker (siehe sources/http.js)
+  // browser: Optionen für den Playwright-Pool, z.B. { size: 2, idleMs: 60000 } (siehe sources/browser-pool.js)
+  constructor({ name = 'mymobase', idPattern = '^A2V', locales = DEFAULT_LOCALES, baseUrl = BASE_URL, http = {}, browser = {} } = {}) {
+    this.name = name;
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.http = http instanceof HttpClient ? http : new HttpClient(http);
+    this.idPattern = new RegExp(idPattern, 'i');
+    this.locales = parseLocales(locales);
+    this.cacheable = true;
+    this.pool = browser instanceof BrowserPool ? browser : new BrowserPool({
+      contextOptions: {
+        bypassCSP: true,
+        viewport: { width: 1200, height: 900 },
+        userAgent:
+          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
+      },
+      // Bilder, Styles, Fonts usw. blockieren – gebraucht werden nur HTML und Skripte
+      setupContext: (context) => context.route('**/*', (route) => {
+        const type = route.request().resourceType();
+        if (['image','stylesheet','font','media','websocket','other'].includes(type)) return route.abort();
+        route.continue();
+      }),
+      ...browser
+    });
+  }
+
+  // Zustand für /api/health: Playwright-Pool und HTTP-Abruf (Circuit Breaker, Zähler)
+  health() {
+    return { browser: this.pool.health(), http: { breakerOpen: this.http.breakerOpen, ...this.http.stats } };
+  }
+
+  _chain(locales) {
+    const chain = locales ? parseLocales(locales) : [];
+    return chain.length ? chain : this.locales;
+  }
+
+  url(a2v, { locales } = {}) { return a2vUrl(a2v, this._chain(locales)[0], this.baseUrl); }
+
+  // Reine deutsche Abfrage behält den bisherigen Schlüssel (nur A2V), andere Ketten bekommen "@en,de"
+  cacheKey(a2v, { locales } = {}) {
+    const chain = this._chain(locales);
+    return chain.join(',') === 'de' ? a2v : `${a2v}@${chain.join(',')}`;
+  }
+
+  // Seiten entlang der Sprachkette laden, bis alle Felder gefunden sind → [{ locale, html }]
+  async fetch(a2v, { signal, locales, stats } = {}) {
+    const pages = [];
+    let firstError = null;
+    for (const locale of this._chain(locales)) {
+      try { pages.push({ locale, html: await this._httpGet(a2vUrl(a2v, locale, this.baseUrl), signal, stats) }); }
+      catch (e) { signal?.throwIfAborted(); firstError = firstError || e; continue; }
+      if (isComplete(this.extract(pages, a2v))) break;
+    }
+    if (!pages.length) throw firstError;
+    return pages;
+  }
+
+  // HTML → gemeinsames Datensatzformat; zuerst initialData-JSON, sonst Tabellen/Definitionslisten.
+  // pages: Ergebnis von fetch oder ein einzelnes HTML (dann erste Sprache der Kette)
+  extract(pages, a2v) {
+    if (typeof pages === 'string') pages = [{ locale: this.locales[0], html: pages }];
+    return mergeLocaleRecords(pages.map(({ locale, html }) => ({ locale, record: this.extractPage(html, a2v, locale) })));
+  }
+
+  extractPage(html, a2v, locale = 'de') {
+    const url = a2vUrl(a2v, locale, this.baseUrl);
+    const initObj = extractJsonInitialData(html);
+    if (initObj) {
+      const mapped = mapFromInitialData(initObj, a2v, url, locale);
+      if (mapped) return mapped;
+    }
+    return this._parseWithCheerio(url, html, a2v, locale);
+  }
+
+  // Wird aufgerufen, wenn fetch/extract scheitern: Playwright je Sprache der Kette
+  async fallback(a2v, { signal, locales, stats } = {}) {
+    const records = [];
+    let firstError = null;
+    for (const locale of this._chain(locales)) {
+      try {
+        await this.http.ready({ signal, stats }); // Rate-Limit und Pause gelten auch für Playwright
+        records.push({ locale, record: await this.pwScrapeA2V(a2v, locale, signal) });
+      }
+      catch (e) { signal?.throwIfAborted(); firstError = firstError || e; continue; }
+      if (isComplete(mergeLocaleRecords(records))) break;
+    }
+    if (!records.length) throw firstError;
+    return mergeLocaleRecords(records);
+  }
+
+  async _httpGet(url, signal, stats) {
+    return this.http.get(url, {
+      signal,
+      stats,
+      headers: {
+        'User-Agent':
+          'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36'
+      }
+    });
+  }
+
+  _parseWithCheerio(url, html, a2v, locale = 'de') {
+    const $ = cheerio.load(html);
+    const kv = {};
+    $('table').each((_, t) => {
+      $(t).find('tr').each((_, tr) => {
+        const tds = $(tr).find('td,th');
+        if (tds.length >= 2) {
+          const k = $(tds[0]).text().trim().toLowerCase();
+          const v = $(tds[1]).text().trim();
+          if (k && v && !kv[k]) kv[k] = v;
+        }
+      });
+    });
+    $('dl').each((_, dl) => {
+      const dts = $(dl).find('dt'); const dds = $(dl).find('dd');
+      for (let i=0;i<Math.min(dts.length, dds.length); i++) {
+        const k = $(dts[i]).text().trim().toLowerCase();
+        const v = $(dds[i]).text().trim();
+        if (k && v && !kv[k]) kv[k] = v;
+      }
+    });
+    const title = ($('h1, .product-title').first().text() || $('title').first().text() || '').replace(' | MoBase','').trim();
+    return {
+      A2V: a2v,
+      URL: url,
+      Produkttitel: title || 'Nicht gefunden',
+      ...specFields(kv, locale),
+      Status: 'HTTP-Parser'
+    };
+  }
+
+  // Playwright-Abruf einer Seite über den Pool; die Seite wird dort wiederverwendet bzw. aufgeräumt
+  async pwScrapeA2V(a2v, locale = 'de', signal) {
+    const url = a2vUrl(a2v, locale, this.baseUrl);
+    return this.pool.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+      const initJson = await page.evaluate(() => {
+        const re = /window\.initialData\[['"]product\/dataProduct['"]]\s*=\s*(\{[\s\S]*?\});/i;
+        for (const s of document.querySelectorAll('script')) {
+          const t = s.textContent || '';
+          const m = t.match(re);
+          if (m) return m[1];
+        }
+        return null;
+      });
+      if (initJson) {
+        try {
+          const obj = JSON.parse(initJson);
+          const mapped = mapFromInitialData(obj, a2v, url, locale);
+          if (mapped) return mapped;
+        } catch {}
+      }
+      const kv = await page.evaluate(() => {
+        const data = {};
+        const add = (k, v) => { if (!k || !v) return; k=k.trim().toLowerCase(); v=v.trim(); if (!data[k]) data[k] = v; };
+        document.querySelectorAll('table').forEach(t => {
+          t.querySelectorAll('tr').forEach(tr => {
+            const tds = tr.querySelectorAll('td,th');
+            if (tds.length >= 2) add(tds[0].textContent, tds[1].textContent);
+          });
+        });
+        document.querySelectorAll('dl').forEach(dl => {
+          const dts = dl.querySelectorAll('dt'); const dds = dl.querySelectorAll('dd');
+          for (let i=0;i<Math.min(dts.length, dds.length); i++) add(dts[i].textContent, dds[i].textContent);
+        });
+        return data;
+      });
+      const title = (await page.locator('h1, .product-title').first().textContent().catch(()=>''))?.replace(' | MoBase','').trim();
+      return {
+        A2V: a2v,
+        URL: url,
+        Produkttitel: title || 'Nicht gefunden',
+        ...specFields(kv, locale),
+        Status: 'Playwright'
+      };
+    }, { signal });
+  }
+
+  async close() {
+    await this.pool.close();
+  }
+}
+
+module.exports = { MyMobaseSource, a2vUrl, parseLocales, extractJsonInitialData, mapFromInitialData, LOCALES, DEFAULT_LOCALES };
@@ -0,0 +1,360 @@
+// stream.js - Streaming-Verarbeitung großer Exporte: liest die Mappe zeilenweise (ExcelJS WorkbookReader),
+// fragt die Produktnummern in Blöcken von batchSize Zeilen ab und schreibt die Ausgabe direkt mit dem
+// WorkbookWriter. Spaltenaufbau, Layouts, Farben und Kommentare wie processWorkbook (workbook.js); im Speicher
+// liegen nur Header-Zeilen, der aktuelle Block und die Kennzahlen der Zusammenfassung.
+// Nicht verfügbar: Zeilenergebnisse (Ergebnisansicht, Korrekturdatei) und der Änderungsbericht.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Duplex } = require('stream');
+const ExcelJS = require('exceljs');
+const { resolveTolerances, resolveDimensionMode } = require('./compare');
+const { loadProfile, detectColumns, checkMapping, cellText } = require('./mapping');
+const { addSummarySheet, SummaryCollector } = require('./summary');
+const {
+  fillColor, STATUS_COLORS, SCRAPE_CONCURRENCY,
+  calculateNewColumnStructure, writePairHeaders, shiftMerges, rowContext, compareRow,
+  newRunStats, runMeta, fieldCodes, mappedFields, CompareSheet, addCompareSheet
+} = require('./workbook');
+const { resolveLayout, resolveBanners, placeBanners, parseRange } = require('./layout');
+const { newFetchStats } = require('./sources/http');
+
+const STREAM_BATCH_ROWS = Number(process.env.STREAM_BATCH_ROWS || 500);
+const STREAM_SAMPLE_ROWS = Number(process.env.STREAM_SAMPLE_ROWS || 200); // Datenzeilen für die Spaltenerkennung
+
+// Leseoptionen: Styles werden für die Ausgabe gebraucht, Hyperlinks der Eingabe nicht
+const READ_OPTIONS = { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit' };
+
+// Eigene Kopie einer Zeichenkette: Texte aus dem Reader können als Teilstring auf den gelesenen XML-Block
+// verweisen und hielten ihn im Speicher, solange die Nummer in einer Menge (gesehene A2Vs) steht
+const ownString = (s) => Buffer.from(s).toString();
+
+// Produktnummer und Quellangabe einer Eingabezeile (Buchstaben der Eingabe)
+function readTask(row, { a2v: idCol, quelle: sourceCol }) {
+  const id = ownString(cellText(row.getCell(idCol).value).trim().toUpperCase());
+  const source = sourceCol ? cellText(row.getCell(sourceCol).value).trim() || null : null;
+  return { id, source };
+}
+
+// Verbundene Bereiche und Spaltenbreiten eines Blatts mitlesen: der WorksheetReader überliest <mergeCell>, und seine
+// Spaltendefinitionen bleiben leer (Column.fromModel ohne Blatt), daher wird der XML-Strom des Blatts
+// (sheet.iterator, intern – siehe createWriter) vor dem Parser abgegriffen. Füllt format beim Lesen.
+function tapFormats(sheet, format) {
+  const source = sheet.iterator;
+  const attr = (tag, name) => new RegExp(`\\s${name}="([^"]*)"`).exec(tag)?.[1];
+  sheet.iterator = (async function* () {
+    let tail = ''; // angefangenes Tag vom Ende des letzten Blocks
+    for await (const chunk of source) {
+      const text = tail + chunk.toString();
+      let end = 0;
+      for (const m of text.matchAll(/<(mergeCell|col)\s[^>]*>/g)) {
+        end = m.index + m[0].length;
+        if (m[1] === 'mergeCell') { format.merges.push(attr(m[0], 'ref')); continue; }
+        const width = Number(attr(m[0], 'width'));
+        if (!width) continue;
+        for (let c = Number(attr(m[0], 'min')); c <= Number(attr(m[0], 'max')); c++) format.widths[c] = width;
+      }
+      const open = text.lastIndexOf('<');
+      tail = open >= end ? text.slice(open) : '';
+      yield chunk;
+    }
+  })();
+}
+
+/**
+ * Erster Durchlauf: Spalten je Blatt erkennen (Header-Zeilen und die ersten STREAM_SAMPLE_ROWS Datenzeilen,
+ * wie mapWorkbook) und Produktzeilen zählen (sources: SourceRouter – Zeilen ohne passende Quelle zählen nicht).
+ * Dabei werden verbundene Bereiche und Spaltenbreiten je Blatt gesammelt – der Writer braucht die Breiten vor
+ * der ersten Zeile, die Verbindungen stehen in der Datei erst hinter den Daten.
+ * Wirft MappingError, wenn Pflichtspalten fehlen. Liefert { mapping, rows, total, formats } (total = eindeutige
+ * Nummern, formats = { Blatt: { merges: ['A1:C1', …], widths: { Spaltennummer: Breite } } }).
+ */
+async function scanWorkbook(input, { profile, sources, sampleRows = STREAM_SAMPLE_ROWS } = {}) {
+  profile = profile || loadProfile();
+  const { firstData } = profile.rows;
+  const sheets = [];
+  const formats = {};
+  const ids = new Set();
+  let rows = 0;
+  const count = (row, columns) => {
+    const { id, source } = readTask(row, columns);
+    if (id && (source || sources?.resolve(id))) { rows++; ids.add(id); }
+  };
+
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, { ...READ_OPTIONS, styles: 'ignore' });
+  for await (const sheet of reader) {
+    const format = formats[sheet.name] = { merges: [], widths: {} };
+    tapFormats(sheet, format);
+    // Stichprobe in ein leeres Blatt kopieren, darauf arbeitet detectColumns
+    const sample = new ExcelJS.Workbook().addWorksheet(sheet.name);
+    let detected = null;
+    const detect = () => { detected = detectColumns(sample, profile); detected.sheet = sheet.name; sheets.push(detected); };
+    const used = () => detected.hasIds && !detected.missing.length;
+    for await (const row of sheet) {
+      if (!detected && row.number >= firstData + sampleRows) detect();
+      if (detected) { if (used()) count(row, detected.columns); continue; }
+      row.eachCell((cell, col) => { sample.getRow(row.number).getCell(col).value = cell.value; });
+    }
+    if (!detected && sample.actualRowCount > 0) detect();
+    if (detected && used()) {
+      for (let r = firstData; r <= Math.min(sample.lastRow?.number || 0, firstData + sampleRows - 1); r++) count(sample.getRow(r), detected.columns);
+    }
+  }
+  return { mapping: checkMapping(sheets, profile), rows, total: ids.size, formats };
+}
+
+/**
+ * Zwischenspeicher auf der Platte für Archivteile, die ExcelJS erst nach dem Blatt in die Zip-Datei schreibt
+ * (Kommentare und deren VML-Zeichnung) bzw. die gleichzeitig mit einem anderen Blatt wachsen (Blatt "Web-Vergleich"
+ * neben den Originalen): geschrieben wird sofort, gelesen, sobald der Zip-Teil an der Reihe ist. Ohne das hält der
+ * WorkbookWriter alle Kommentare eines Blatts bzw. alle später angelegten Blätter im Speicher.
+ */
+class SpoolStream extends Duplex {
+  constructor(file) {
+    super({ writableObjectMode: true }); // Blätter schreiben StringBuf-Objekte (ExcelJS), Kommentare Texte
+    this.file = file;
+    this.fd = fs.openSync(file, 'w+');
+    this.size = 0;    // geschrieben
+    this.pos = 0;     // gelesen
+    this.ended = false;
+    this.waiting = false;
+  }
+
+  _wake() {
+    if (!this.waiting) return;
+    this.waiting = false;
+    this._read();
+  }
+
+  // synchron, damit sich keine Schreibaufträge im Speicher stauen
+  _write(chunk, encoding, callback) {
+    if (!Buffer.isBuffer(chunk)) chunk = typeof chunk === 'string' ? Buffer.from(chunk) : chunk.toBuffer();
+    try {
+      fs.writeSync(this.fd, chunk, 0, chunk.length, this.size);
+    } catch (err) {
+      return callback(err);
+    }
+    this.size += chunk.length;
+    this._wake();
+    callback();
+  }
+
+  _final(callback) {
+    this.ended = true;
+    this._wake();
+    callback();
+  }
+
+  _read() {
+    if (this.pos >= this.size) {
+      if (!this.ended) { this.waiting = true; return; }
+      return this.push(null);
+    }
+    const buffer = Buffer.alloc(Math.min(65536, this.size - this.pos));
+    fs.read(this.fd, buffer, 0, buffer.length, this.pos, (err, bytes) => {
+      if (err) return this.destroy(err);
+      this.pos += bytes;
+      this.push(buffer.subarray(0, bytes));
+    });
+  }
+
+  _destroy(err, callback) {
+    fs.close(this.fd, () => fs.rm(this.file, { force: true }, () => callback(err)));
+  }
+}
+
+// WorkbookWriter, der Kommentar-Teile (mit sheets: true auch die Blätter) über SpoolStream in dir puffert.
+// Greift auf interne Member von ExcelJS zu (WorkbookWriter._openStream und .zip, WorksheetWriter._formulae,
+// WorksheetReader.iterator); exceljs ist deshalb in package.json exakt festgelegt. Fehlen sie nach einem
+// Update, bricht der Lauf hier ab statt eine kaputte Datei zu schreiben.
+function createWriter(output, dir, { sheets = false } = {}) {
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ ...(typeof output === 'string' ? { filename: output } : { stream: output }), useStyles: true });
+  if (typeof wb._openStream !== 'function' || typeof wb.zip?.append !== 'function') {
+    throw new Error('ExcelJS-Version ohne WorkbookWriter._openStream/zip – Streaming nicht möglich (siehe stream.js, package.json).');
+  }
+  const open = wb._openStream.bind(wb);
+  const spooled = sheets ? /(comments\d+\.xml|vmlDrawing\d+\.vml|worksheets\/sheet\d+\.xml)$/ : /(comments\d+\.xml|vmlDrawing\d+\.vml)$/;
+  let n = 0;
+  wb._openStream = (part) => {
+    if (!spooled.test(part)) return open(part);
+    const stream = new SpoolStream(path.join(dir, `teil-${++n}`));
+    stream.on('end', () => stream.destroy());
+    stream.on('finish', () => stream.emit('zipped')); // wie _openStream: darauf wartet wb.commit() bei offenen Blättern
+    wb.zip.append(stream, { name: part });
+    return stream;
+  };
+  return wb;
+}
+
+// Zellen einer Eingabezeile an die Ausgabeposition kopieren (Spalten über structure.shift verschoben)
+function copyRow(row, ws, outRow, shift) {
+  const target = ws.getRow(outRow);
+  if (row.height) target.height = row.height;
+  row.eachCell((cell, col) => {
+    const out = target.getCell(shift(col));
+    out.value = cell.value;
+    if (cell.style) out.style = { ...cell.style }; // eigene Kopie – Styles der Eingabe werden geteilt
+  });
+  return target;
+}
+
+/**
+ * Mappe input (Dateipfad oder Stream) verarbeiten und nach output (Dateipfad oder Stream) schreiben.
+ * Optionen wie processWorkbook, zusätzlich batchSize (Zeilen je Abfrageblock); previous wird nicht unterstützt.
+ * mapping und formats am besten vorab mit scanWorkbook ermitteln (sonst hier ein zusätzlicher Durchlauf).
+ * Liefert { stats, rows: null, codes, changes: null }.
+ */
+async function processWorkbookStream(input, output, { scraper, concurrency = SCRAPE_CONCURRENCY, profile, mapping, tolerances, dimensionMode, signal, force = false, cacheOnly = false, locales, filename, decisions, layout, banners, formats, batchSize = STREAM_BATCH_ROWS, ...hooks } = {}) {
+  profile = profile || loadProfile();
+  if (!mapping || !formats) {
+    const scan = await scanWorkbook(input, { profile, sources: scraper.sources });
+    mapping = scan.mapping;
+    formats = scan.formats;
+    hooks.onRows?.({ rows: scan.rows, total: scan.total });
+  }
+  tolerances = tolerances || resolveTolerances(profile);
+  dimensionMode = dimensionMode || resolveDimensionMode(profile);
+  layout = layout || resolveLayout(profile);
+  banners = banners || resolveBanners(profile);
+  const sideBySide = layout === 'side-by-side';
+  const fields = mappedFields(mapping);
+  const stats = newRunStats(tolerances, dimensionMode, fields);
+  stats.fetch = newFetchStats();
+  const { code: codeRow, header: headerRow, firstData } = profile.rows;
+  const summary = new SummaryCollector(fields);
+  const codes = {};
+  const seen = new Set(); // bereits abgefragte Nummern: force gilt nur für den ersten Abruf, Fortschritt nur einmal
+  const options = { scraper, locales, tolerances, dimensionMode, profile, decisions, stats, linkFormula: true };
+  let view = null; // Blatt "Web-Vergleich" (Layouts separate und long)
+
+  // Der Writer merkt sich jede Formelzelle (für geteilte Formeln); die Link-Formeln werden nie geteilt
+  const forgetFormula = (ws, addr) => { delete ws._formulae?.[addr]; };
+
+  // Verbindungen der Eingabe ({ c1, r1, c2, r2 }, nach r1 sortiert) erst setzen, wenn ihre erste Zeile festgeschrieben
+  // wird: mergeCells legt im Writer alle Zeilen des Bereichs an, sie sollen nicht schon mit dem Header im Speicher liegen
+  let pending = [];
+  const commitRow = (ws, row) => {
+    while (pending.length && pending[0].r1 <= row.number) {
+      const m = pending.shift();
+      ws.mergeCells(m.r1, m.c1, m.r2, m.c2);
+    }
+    row.commit();
+  };
+
+  // Einen Block abfragen, vergleichen, schreiben und die Zeilen freigeben
+  async function flush(ws, batch, columns, context) {
+    signal?.throwIfAborted();
+    const tasks = batch.map(row => readTask(row, columns)).filter(t => t.id && (t.source || scraper.sourceFor(t.id)));
+    const fresh = tasks.filter(t => !seen.has(t.id));
+    const again = tasks.filter(t => seen.has(t.id));
+    for (const t of fresh) seen.add(t.id);
+    const options = { signal, cacheOnly, locales, stats: stats.fetch };
+    const results = await scraper.scrapeMany(fresh, concurrency, { ...options, force, onProgress: hooks.onProgress });
+    if (again.length) for (const [id, web] of await scraper.scrapeMany(again, concurrency, options)) results.set(id, web);
+
+    for (const row of batch) {
+      const { id, source } = readTask(row, columns);
+      const product = id && (source || scraper.sourceFor(id));
+      const web = product ? results.get(id) || {} : null;
+      if (sideBySide) {
+        const outRow = row.number + 1; // wegen eingefügter Label-Zeile
+        copyRow(row, ws, outRow, context.structure.shift);
+        if (product) summary.add({ ...compareRow(ws, outRow, { web, source }, context), a2v: id }, web);
+        commitRow(ws, ws.getRow(outRow));
+        if (product) forgetFormula(ws, `${context.idCol}${outRow}`);
+        continue;
+      }
+      // Original unverändert, Vergleich im eigenen Blatt
+      const original = copyRow(row, ws, row.number, (c) => c);
+      if (product) {
+        const { rowResult, rows } = view.add(ws, row.number, columns, { web, source });
+        summary.add({ ...rowResult, a2v: id }, web);
+        if (rows.length) view.ws.getRow(rows[rows.length - 1]).commit();
+        for (const addr of Object.keys(view.ws._formulae || {})) forgetFormula(view.ws, addr);
+      }
+      commitRow(ws, original);
+    }
+    batch.length = 0;
+  }
+
+  hooks.onPhase?.('scraping');
+  const spool = fs.mkdtempSync(path.join(os.tmpdir(), 'produktcheck-spool-'));
+  try {
+    const wb = createWriter(output, spool, { sheets: !sideBySide });
+    if (!sideBySide) view = new CompareSheet(addCompareSheet(wb), layout, { mapping, profile, codes, options });
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, READ_OPTIONS);
+    for await (const sheet of reader) {
+      const ws = wb.addWorksheet(sheet.name);
+      // Breiten und Verbindungen der Eingabe (scanWorkbook): unverändert bzw. bei side-by-side an den verschobenen
+      // Spalten wie in processWorkbook
+      const { merges = [], widths = {} } = formats[sheet.name] || {};
+      const keepFormats = (shift = (c) => c, areas = merges.map(parseRange).filter(Boolean)) => {
+        for (const [col, width] of Object.entries(widths)) ws.getColumn(shift(Number(col))).width = width;
+        pending = areas.sort((a, b) => a.r1 - b.r1);
+      };
+      const sheetMapping = mapping.sheets.find(s => s.sheet === sheet.name);
+      if (!sheetMapping) { // Blatt ohne Produktnummern
+        keepFormats();
+        for await (const row of sheet) commitRow(ws, copyRow(row, ws, row.number, (c) => c));
+        for (const m of pending) ws.mergeCells(m.r1, m.c1, m.r2, m.c2);
+        ws.commit();
+        continue;
+      }
+      const { columns } = sheetMapping;
+      const header = []; // Zeilen vor den Daten
+      const batch = [];
+      let context = null, started = false;
+
+      // Spaltenaufbau aus den Header-Zeilen, Header schreiben und festschreiben
+      const start = () => {
+        started = true;
+        const codeCells = header.find(row => row.number === codeRow);
+        codes[sheet.name] = fieldCodes(columns, (letter) => codeCells ? cellText(codeCells.getCell(letter).value) : '');
+        if (sideBySide) {
+          const lastCol = Math.max(0, ...header.map(row => row.cellCount));
+          const structure = calculateNewColumnStructure(lastCol, { columns });
+          const placed = placeBanners(banners, structure.shift);
+          keepFormats(structure.shift, shiftMerges(merges, structure, profile.rows, placed));
+          for (const row of header) copyRow(row, ws, row.number > headerRow ? row.number + 1 : row.number, structure.shift);
+          writePairHeaders(ws, structure, profile.rows, placed);
+          context = rowContext(columns, structure, options);
+        } else {
+          keepFormats();
+          for (const row of header) copyRow(row, ws, row.number, (c) => c);
+          // Kopfzeilen des Vergleichsblatts aus dem ersten Blatt mit Produktnummern (wie processWorkbook)
+          if (sheet.name === mapping.sheets[0].sheet) view.ws.getRow(view.writeHeader(ws, columns)).commit();
+        }
+        if (ws.lastRow) commitRow(ws, ws.lastRow);
+      };
+
+      for await (const row of sheet) {
+        if (row.number < firstData) { header.push(row); continue; }
+        if (!started) start();
+        batch.push(row);
+        if (batch.length >= batchSize) await flush(ws, batch, columns, context);
+      }
+      if (!started) start();
+      await flush(ws, batch, columns, context);
+      for (const m of pending) ws.mergeCells(m.r1, m.c1, m.r2, m.c2); // unterhalb der letzten Datenzeile
+      ws.commit();
+    }
+
+    hooks.onPhase?.('writing');
+    if (view) view.ws.commit();
+    addSummarySheet(wb, {
+      fields,
+      summary,
+      classification: stats.classification,
+      meta: runMeta({ filename, profile, tolerances, dimensionMode, layout, skipped: mapping.skipped, force, cacheOnly, locales, stats })
+    }, { fill: fillColor, colors: STATUS_COLORS });
+
+    signal?.throwIfAborted();
+    await wb.commit();
+  } finally {
+    fs.rmSync(spool, { recursive: true, force: true });
+  }
+  return { stats, rows: null, codes, changes: null };
+}
+
+module.exports = { processWorkbookStream, scanWorkbook, STREAM_BATCH_ROWS };
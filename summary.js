@@ -0,0 +1,237 @@
+// summary.js - Arbeitsblatt "Zusammenfassung" mit Statistik zum Vergleichslauf.
+// Erwartet die Zeilenergebnisse aus processWorkbook und schreibt Zählungen, Trefferquoten,
+// Scraper-Quellen, nicht gefundene A2Vs, die schlechtesten Zeilen (verlinkt) und Laufdaten.
+
+const { DECISIONS } = require('./decisions');
+const { LAYOUT_LABELS } = require('./layout');
+
+const SUMMARY_SHEET = 'Zusammenfassung';
+const WORST_ROWS_LIMIT = Number(process.env.SUMMARY_WORST_ROWS || 50);
+
+// Spalten der Feldstatistik: Status → Überschrift (Farbe kommt vom Aufrufer über fill)
+const STATUS_HEADERS = [
+  ['match', 'Grün (exakt)'],
+  ['tolerance', 'Gelbgrün (Toleranz)'],
+  ['similar', 'Gelb (ähnlich)'],
+  ['mismatch', 'Rot (ungleich)'],
+  ['missing', 'Orange (fehlt)'],
+  ['unit', 'Lila (Einheit unklar)'],
+  ['decided', 'Grau (Prüfentscheidung)']
+];
+
+// Kein Treffer in der Quelle: Fehlerstatus oder nicht einmal ein Produkttitel
+function isNotFound(web) {
+  if (!web) return true;
+  return String(web.Status || '').startsWith('Fehler') || !web.Produkttitel || web.Produkttitel === 'Nicht gefunden';
+}
+
+// "Fehler: HTTP 404" → "Fehler"
+function sourceOf(web) {
+  if (!web?.Status) return 'unbekannt';
+  return String(web.Status).split(':')[0].trim();
+}
+
+function pct(n, total) {
+  return total ? n / total : 0;
+}
+
+// Nur Toleranzen der Felder, die in der Mappe vorkommen
+function formatTolerances(tolerances = {}, fields) {
+  return Object.entries(tolerances)
+    .filter(([key]) => !fields || fields.some(f => f.key === key))
+    .map(([key, t]) => 'sim' in t ? `${key}: ähnlich ab ${Math.round((t.sim || 0) * 100)} %` : `${key}: ±${t.abs || 0} / ±${t.pct || 0} %`)
+    .join('; ');
+}
+
+function uniqueSheetName(wb, name) {
+  let candidate = name, i = 2;
+  while (wb.getWorksheet(candidate)) candidate = `${name} (${i++})`;
+  return candidate;
+}
+
+// Abrufzähler → "12 Anfragen, 3 Wiederholungen, 1 fehlgeschlagen, …" (nur Werte > 0 außer Anfragen)
+function formatFetchStats(f) {
+  if (!f) return '';
+  const parts = [`${f.requests} Anfragen`];
+  if (f.retries) parts.push(`${f.retries} Wiederholungen`);
+  if (f.failures) parts.push(`${f.failures} fehlgeschlagen`);
+  if (f.timeouts) parts.push(`${f.timeouts} Zeitüberschreitungen`);
+  if (f.rateLimited) parts.push(`${f.rateLimited}× HTTP 429`);
+  if (f.breakerTrips) parts.push(`${f.breakerTrips}× pausiert (Website nicht erreichbar)`);
+  return parts.join(', ');
+}
+
+// Übernommene Prüfentscheidungen → "3× DB falsch, 1× akzeptierte Abweichung"
+function formatDecisionCounts(counts) {
+  return Object.entries(counts || {}).filter(([, n]) => n).map(([d, n]) => `${n}× ${DECISIONS[d]}`).join(', ');
+}
+
+/**
+ * Kennzahlen der Zusammenfassung zeilenweise sammeln: Zählungen je Feld und Status, Quellen und nicht
+ * gefundene A2Vs (je eindeutiger A2V) und die schlechtesten Zeilen (nur die WORST_ROWS_LIMIT schlechtesten).
+ * Der Streaming-Pfad (stream.js) hält damit keine Zeilenergebnisse vor.
+ */
+class SummaryCollector {
+  constructor(fields) {
+    this.counts = Object.fromEntries(fields.map(({ key }) => [key, Object.fromEntries(STATUS_HEADERS.map(([s]) => [s, 0]))]));
+    this.rows = 0;
+    this.a2vs = new Set();
+    this.sources = new Map();
+    this.notFound = [];
+    this.worst = []; // absteigend nach Rot, dann Orange/Lila; bei Gleichstand in Zeilenreihenfolge
+  }
+
+  static from(fields, rows, results) {
+    const collector = new SummaryCollector(fields);
+    for (const row of rows) collector.add(row, results.get(row.a2v));
+    return collector;
+  }
+
+  // row: Zeilenergebnis aus processWorkbook, web: Scrape-Ergebnis der A2V
+  add(row, web) {
+    this.rows++;
+    for (const [key, status] of Object.entries(row.fields)) if (this.counts[key]) this.counts[key][status]++;
+    if (!this.a2vs.has(row.a2v)) {
+      this.a2vs.add(row.a2v);
+      const src = sourceOf(web);
+      this.sources.set(src, (this.sources.get(src) || 0) + 1);
+      if (isNotFound(web)) this.notFound.push(row.a2v);
+    }
+    const st = Object.values(row.fields);
+    const red = st.filter(s => s === 'mismatch').length, orange = st.filter(s => s === 'missing' || s === 'unit').length;
+    if (!red && !orange) return;
+    let i = this.worst.length;
+    while (i > 0 && (this.worst[i - 1].red < red || (this.worst[i - 1].red === red && this.worst[i - 1].orange < orange))) i--;
+    if (i >= WORST_ROWS_LIMIT) return;
+    this.worst.splice(i, 0, { a2v: row.a2v, sheet: row.sheet, row: row.row, fields: row.fields, red, orange });
+    if (this.worst.length > WORST_ROWS_LIMIT) this.worst.pop();
+  }
+}
+
+/**
+ * Zusammenfassung anhängen.
+ * data: { fields: [{ key, label }], rows: [{ sheet, row, a2v, fields: { key: status } }],
+ *         results: Map a2v → Scrape-Ergebnis, meta: { filename, profile, tolerances, dimensionMode, layout, skipped, force, cacheOnly, locales, fetch } }
+ * fill(ws, addr, statusColor) färbt Zellen wie im Vergleichsblatt; colors: Status → Farbname
+ */
+function addSummarySheet(wb, { fields, rows, results, summary, classification = {}, meta = {} }, { fill, colors } = {}) {
+  summary = summary || SummaryCollector.from(fields, rows, results);
+  const ws = wb.addWorksheet(uniqueSheetName(wb, SUMMARY_SHEET));
+  ws.columns = [{ width: 28 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 18 }, { width: 14 }, { width: 16 }, { width: 18 }];
+  const bold = { bold: true };
+  let r = 1;
+
+  const title = ws.getCell(`A${r}`);
+  title.value = 'Zusammenfassung DB/Web-Vergleich';
+  title.font = { bold: true, size: 14 };
+  r += 2;
+
+  // 1) Laufdaten
+  const runInfo = [
+    ['Zeitpunkt', new Date().toISOString()],
+    ['Eingabedatei', meta.filename || '–'],
+    ['Mapping-Profil', meta.profile || '–'],
+    ['Toleranzen', formatTolerances(meta.tolerances, fields) || 'keine'],
+    ['Maßvergleich', meta.dimensionMode === 'sorted' ? 'reihenfolgeunabhängig' : 'Reihenfolge L×B×H'],
+    ['Ausgabe-Layout', LAYOUT_LABELS[meta.layout || 'side-by-side']],
+    ['Blätter ohne Produktnummern', meta.skipped?.length ? meta.skipped.join(', ') : 'keine'],
+    ['Cache ignoriert', meta.force ? 'ja' : 'nein'],
+    ['Nur Cache (kein Abruf)', meta.cacheOnly ? 'ja' : 'nein'],
+    ['Sprache (MyMobase)', meta.locales?.length ? meta.locales.join(' → ') : 'Standard'],
+    ['Web-Abrufe', formatFetchStats(meta.fetch) || '–'],
+    ['Prüfentscheidungen übernommen', formatDecisionCounts(meta.decisions) || 'keine'],
+    ['Produktzeilen', summary.rows]
+  ];
+  for (const [k, v] of runInfo) {
+    ws.getCell(`A${r}`).value = k;
+    ws.getCell(`A${r}`).font = bold;
+    ws.getCell(`B${r}`).value = v;
+    r++;
+  }
+  r++;
+
+  // 2) Statistik je Feld
+  const header = ['Feld', ...STATUS_HEADERS.map(([, h]) => h), 'Gesamt', 'Quote exakt', 'Quote inkl. Toleranz'];
+  header.forEach((h, i) => {
+    const cell = ws.getRow(r).getCell(i + 1);
+    cell.value = h;
+    cell.font = bold;
+    const status = STATUS_HEADERS[i - 1]?.[0];
+    if (status && fill) fill(ws, cell.address, colors[status]);
+  });
+  r++;
+  for (const { key, label } of fields) {
+    const counts = summary.counts[key];
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    const row = ws.getRow(r++);
+    row.getCell(1).value = label;
+    STATUS_HEADERS.forEach(([s], i) => { row.getCell(i + 2).value = counts[s]; });
+    row.getCell(STATUS_HEADERS.length + 2).value = total;
+    row.getCell(STATUS_HEADERS.length + 3).value = pct(counts.match, total);
+    row.getCell(STATUS_HEADERS.length + 4).value = pct(counts.match + counts.tolerance, total);
+    row.getCell(STATUS_HEADERS.length + 3).numFmt = '0.0%';
+    row.getCell(STATUS_HEADERS.length + 4).numFmt = '0.0%';
+  }
+  r++;
+
+  // 3) Scraper-Quellen und nicht gefundene A2Vs (je eindeutiger A2V)
+  const { sources, notFound } = summary;
+  ws.getCell(`A${r}`).value = 'Quelle (Scraper-Status)';
+  ws.getCell(`B${r}`).value = 'A2Vs';
+  ws.getRow(r).font = bold;
+  r++;
+  for (const [src, n] of [...sources].sort((a, b) => b[1] - a[1])) {
+    ws.getCell(`A${r}`).value = src;
+    ws.getCell(`B${r}`).value = n;
+    r++;
+  }
+  ws.getCell(`A${r}`).value = 'Nicht gefunden (keine Quelle lieferte Daten)';
+  ws.getCell(`A${r}`).font = bold;
+  ws.getCell(`B${r}`).value = notFound.length;
+  if (notFound.length) ws.getCell(`C${r}`).value = notFound.join(', ');
+  r += 2;
+
+  // Klassifizierungstexte, die die Tabelle (classification.config.json) nicht (vollständig) zuordnen kann
+  const unknownTexts = Object.entries(classification).sort((a, b) => b[1] - a[1]);
+  if (unknownTexts.length) {
+    ws.getCell(`A${r}`).value = 'Unbekannte Klassifizierungstexte';
+    ws.getCell(`B${r}`).value = 'Zeilen';
+    ws.getRow(r).font = bold;
+    r++;
+    for (const [text, n] of unknownTexts) {
+      ws.getCell(`A${r}`).value = text;
+      ws.getCell(`B${r}`).value = n;
+      r++;
+    }
+    r++;
+  }
+
+  // 4) Schlechteste Zeilen: meiste Abweichungen, dann meiste fehlende Werte
+  const scored = summary.worst;
+
+  ws.getCell(`A${r}`).value = `Schlechteste Zeilen (max. ${WORST_ROWS_LIMIT})`;
+  ws.getCell(`A${r}`).font = { bold: true, size: 12 };
+  r++;
+  ['A2V', 'Blatt', 'Zeile', 'Rot', 'Orange/Lila', 'Abweichende Felder'].forEach((h, i) => {
+    const cell = ws.getRow(r).getCell(i + 1);
+    cell.value = h;
+    cell.font = bold;
+  });
+  r++;
+  const labelOf = Object.fromEntries(fields.map(f => [f.key, f.label]));
+  for (const x of scored) {
+    const row = ws.getRow(r++);
+    row.getCell(1).value = { text: x.a2v || '(leer)', hyperlink: `#'${x.sheet.replace(/'/g, "''")}'!A${x.row}` };
+    row.getCell(1).font = { color: { argb: 'FF0563C1' }, underline: true };
+    row.getCell(2).value = x.sheet;
+    row.getCell(3).value = x.row;
+    row.getCell(4).value = x.red;
+    row.getCell(5).value = x.orange;
+    row.getCell(6).value = Object.entries(x.fields).filter(([, s]) => s === 'mismatch').map(([k]) => labelOf[k] || k).join(', ');
+  }
+  if (!scored.length) ws.getCell(`A${r}`).value = 'Keine Abweichungen.';
+
+  return ws;
+}
+
+module.exports = { addSummarySheet, SummaryCollector, formatFetchStats, isNotFound, sourceOf, uniqueSheetName, SUMMARY_SHEET, STATUS_HEADERS };
@@ -0,0 +1,121 @@
+// test/browser-pool.test.js - Playwright-Pool mit einem Fake-Browser (kein Chromium nötig)
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { BrowserPool } = require('../sources/browser-pool');
+
+mock.method(console, 'warn', () => {});
+
+// Fake für playwright.chromium: zählt Starts, Kontexte und offene Seiten
+function fakeChromium() {
+  const state = { launches: 0, contexts: 0, openPages: 0, browsers: [] };
+  const newPage = () => {
+    const page = new EventEmitter();
+    let closed = false;
+    state.openPages++;
+    page.isClosed = () => closed;
+    page.close = async () => { if (!closed) { closed = true; state.openPages--; } };
+    return page;
+  };
+  state.chromium = {
+    launch: async () => {
+      state.launches++;
+      const browser = new EventEmitter();
+      browser.newContext = async () => { state.contexts++; return { newPage: async () => newPage(), close: async () => {} }; };
+      browser.close = async () => browser.emit('disconnected');
+      state.browsers.push(browser);
+      return browser;
+    }
+  };
+  return state;
+}
+
+test('ohne Playwright: klarer Fehler', async () => {
+  const pool = new BrowserPool({ chromium: null });
+  await assert.rejects(pool.withPage(async () => {}), /Playwright nicht verfügbar/);
+  assert.equal(pool.health().available, false);
+});
+
+test('Seite wird wiederverwendet, nach Fehler geschlossen', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 1, idleMs: 0 });
+  const first = await pool.withPage(async page => page);
+  const second = await pool.withPage(async page => page);
+  assert.equal(first, second);
+  await assert.rejects(pool.withPage(async () => { throw new Error('kaputt'); }), /kaputt/);
+  assert.equal(second.isClosed(), true);
+  assert.equal(fake.openPages, 0);
+  assert.equal(pool.health().failures, 1);
+  await pool.close();
+});
+
+test('höchstens size Kontexte gleichzeitig', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 2, idleMs: 0 });
+  let running = 0, peak = 0;
+  await Promise.all(Array.from({ length: 6 }, () => pool.withPage(async () => {
+    peak = Math.max(peak, ++running);
+    await new Promise(r => setTimeout(r, 5));
+    running--;
+  })));
+  assert.equal(peak, 2);
+  assert.equal(fake.contexts, 2);
+  assert.equal(fake.launches, 1);
+  await pool.close();
+});
+
+test('Neustart nach Absturz', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 1, idleMs: 0 });
+  await pool.withPage(async () => {});
+  fake.browsers[0].emit('disconnected');
+  assert.equal(pool.health().running, false);
+  await pool.withPage(async () => {});
+  assert.equal(fake.launches, 2);
+  assert.equal(pool.health().crashes, 1);
+  await pool.close();
+});
+
+test('Absturz während eines Aufrufs: Slot wird verworfen', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 1, idleMs: 0 });
+  await assert.rejects(pool.withPage(async () => {
+    fake.browsers[0].emit('disconnected');
+    throw new Error('Target closed');
+  }));
+  assert.equal(pool.health().contexts, 0);
+  await pool.withPage(async () => {});
+  assert.equal(fake.launches, 2);
+  await pool.close();
+});
+
+test('Leerlauf schließt den Browser, nächster Aufruf startet neu', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 1, idleMs: 20 });
+  await pool.withPage(async () => {});
+  assert.equal(pool.health().running, true);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(pool.health().running, false);
+  assert.equal(pool.health().idleShutdowns, 1);
+  assert.equal(pool.health().crashes, 0);
+  await pool.withPage(async () => {});
+  assert.equal(fake.launches, 2);
+  await pool.close();
+});
+
+test('close wartet laufende Aufrufe ab und lehnt neue ab', async () => {
+  const fake = fakeChromium();
+  const pool = new BrowserPool({ chromium: fake.chromium, size: 1, idleMs: 0 });
+  let finished = false;
+  const running = pool.withPage(async () => { await new Promise(r => setTimeout(r, 30)); finished = true; });
+  await new Promise(r => setTimeout(r, 5));
+  const closing = pool.close();
+  await assert.rejects(pool.withPage(async () => {}), /Browser wird beendet/);
+  await closing;
+  await running;
+  assert.equal(finished, true);
+  assert.equal(pool.health().running, false);
+  assert.equal(fake.openPages, 0);
+});
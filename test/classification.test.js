@@ -0,0 +1,79 @@
+// test/classification.test.js - Materialklassifizierung → Fert./Prüfhinweis-Code über die Zuordnungstabelle
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { classifyMaterial, loadClassification } = require('../classification');
+const { compareRecord } = require('../compare');
+
+const code = (text) => classifyMaterial(text).code;
+
+test('negative, positive und teilweise Relevanz', () => {
+  assert.equal(code('Nicht Schweiß-/Guss-/Klebe-/Schmiedeteil relevant'), 'OHNE/N/N/N/N');
+  assert.equal(code('Not welding/casting/bonding/forging relevant'), 'OHNE/N/N/N/N');
+  assert.equal(code('Nicht relevant'), 'OHNE/N/N/N/N');
+  assert.equal(code('Schweißteil relevant'), 'MIT/J/N/N/N');
+  assert.equal(code('Schweiß- und Klebeteil relevant'), 'MIT/J/N/J/N');
+  assert.equal(code('Schweißteil relevant, Gussteil teilweise relevant'), 'MIT/J/T/N/N');
+  assert.equal(code('Welding relevant; casting partially relevant'), 'MIT/J/T/N/N');
+  assert.equal(code('Schmiedeteil'), 'MIT/N/N/N/J');
+  assert.equal(code('Glued part relevant'), 'MIT/N/N/J/N');
+  // "Glühen" wird zu "gluehen" – kein Kleben
+  assert.equal(code('Schweißteil und Glühen relevant'), 'MIT/J/N/N/N');
+});
+
+test('Verneinung gilt für die ganze Aufzählung (auch mit "oder"/"or" und "…relevant")', () => {
+  assert.equal(code('nicht schweiß-, guss-, klebe- oder schmiederelevant'), 'OHNE/N/N/N/N');
+  assert.equal(code('Kein Schweiß-, Guss-, Klebe- oder Schmiedeteil relevant'), 'OHNE/N/N/N/N');
+  assert.equal(code('Not relevant for welding, casting, bonding or forging'), 'OHNE/N/N/N/N');
+  // eigenes Signalwort oder Gegensatzwort beendet die Aufzählung
+  assert.equal(code('Schweißteil nicht relevant, Gussteil relevant'), 'MIT/N/J/N/N');
+  assert.equal(code('Nicht schweiß-, aber gussrelevant'), 'MIT/N/J/N/N');
+  // Kategorie ohne Signalwort neben einer Verneinung: N statt J
+  assert.equal(code('Gussteil nicht relevant; Schweißteil'), 'OHNE/N/N/N/N');
+  assert.equal(code('Welding or casting relevant'), 'MIT/J/J/N/N');
+});
+
+test('Codes werden übernommen, feste Texte aus der Tabelle', () => {
+  assert.deepEqual(classifyMaterial('mit/j / n/n/t'), { code: 'MIT/J/N/N/T', flags: { schweissen: 'J', giessen: 'N', kleben: 'N', schmieden: 'T' }, source: 'Code', unknown: [] });
+  assert.equal(classifyMaterial('Ohne').source, 'Tabelle');
+  assert.equal(code('MIT/J/N'), '');
+});
+
+test('unbekannte Formulierungen werden gemeldet', () => {
+  assert.deepEqual(classifyMaterial('Sonderprüfung erforderlich'), { code: '', flags: {}, source: null, unknown: ['sonderpruefung erforderlich'] });
+  assert.deepEqual(classifyMaterial('Keine Angabe').unknown, ['keine angabe']);
+  const partly = classifyMaterial('Schweißteil relevant, Sonderprüfung erforderlich');
+  assert.equal(partly.code, 'MIT/J/N/N/N');
+  assert.deepEqual(partly.unknown, ['sonderpruefung erforderlich']);
+  assert.equal(classifyMaterial('').source, null);
+
+  const r = compareRecord({ pruefhinweis: 'MIT/J/N/N/N' }, { Materialklassifizierung: 'Schweißteil relevant, Sonderprüfung erforderlich' }, { keys: ['pruefhinweis'] });
+  assert.equal(r.pruefhinweis.status, 'match');
+  assert.deepEqual(r.pruefhinweis.unknown, ['sonderpruefung erforderlich']);
+  assert.match(r.pruefhinweis.extra, /Nicht zugeordnet/);
+});
+
+test('eigene Tabelle: Kategorien und Wörter ohne Code-Änderung erweiterbar', () => {
+  const file = path.join(os.tmpdir(), `classification-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    format: { separator: '-', none: 'NONE', relevant: 'YES' },
+    flags: { relevant: 'J', notRelevant: 'N', partial: 'T', default: 'N' },
+    categories: [{ key: 'loeten', patterns: ['löt', 'solder'] }, { key: 'lack', patterns: ['lack'] }],
+    words: { notRelevant: ['ohne'], relevant: ['relevant'] },
+    texts: { 'Keine Angabe': 'NONE-N-N' }
+  }));
+  try {
+    const table = loadClassification(file);
+    assert.equal(classifyMaterial('Lötteil relevant', table).code, 'YES-J-N');
+    assert.equal(classifyMaterial('Ohne Lack', table).code, 'NONE-N-N');
+    assert.equal(classifyMaterial('keine angabe', table).source, 'Tabelle');
+    fs.writeFileSync(file, JSON.stringify({ categories: [] }));
+    assert.throws(() => loadClassification(file), /Klassifizierungstabelle .*categories/);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
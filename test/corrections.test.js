@@ -0,0 +1,106 @@
+// test/corrections.test.js - Korrekturdatei für die SAP-Massenpflege: Vorschlagswerte, Auswahl, CSV/XLSX
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { processWorkbook } = require('../workbook');
+const { loadProfile } = require('../mapping');
+const { parseCsv, toCsv } = require('../csv');
+const { proposeValue, selectCorrections, correctionsToCsv, buildCorrectionFile, CorrectionError } = require('../corrections');
+
+const profile = loadProfile('mara-standard');
+
+function fakeScraper(web) {
+  return {
+    sourceFor: () => ({ name: 'mymobase' }),
+    urlFor: (a2v) => `https://example.invalid/p/${a2v}`,
+    scrapeMany: async (tasks) => new Map(tasks.map(t => [t.id, { A2V: t.id, Status: 'HTTP-Parser', ...web[t.id] }]))
+  };
+}
+
+// Zeilen: Material, Kurztext, Her.-Artikelnr., Gewicht, Einheit, L, B, H, A2V
+function buildInput(rows) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  const names = ['Material', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Gewichtseinheit', 'Länge', 'Breite', 'Höhe', 'Produkt-ID'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = names[i]; });
+  rows.forEach(([material, kurztext, artikel, gewicht, einheit, l, b, h, a2v], r) => {
+    const values = [material, kurztext, artikel, null, null, gewicht, einheit, l, b, h, a2v];
+    cols.forEach((c, i) => { ws.getCell(`${c}${r + 4}`).value = values[i]; });
+  });
+  return wb;
+}
+
+const ROWS = [
+  ['100001', 'Halter', 'ABC-1', 150, 'G', 42, 40, 40, 'A2V00000000001'],
+  ['100002', 'Schraube', 'XYZ-9', 2, 'KG', 10, 20, 30, 'A2V00000000002'],
+  [null, 'Ohne Material', '', 1, 'KG', null, null, null, 'A2V00000000003']
+];
+const WEB = {
+  // Gewicht und Länge weichen ab; Herstellartikelnummer fehlt (orange, kein Vorschlag)
+  A2V00000000001: { Produkttitel: 'Halter', Gewicht: '0,162 kg', Abmessung: '45 x 40 x 40 mm' },
+  A2V00000000002: { Produkttitel: 'Gewindestift', 'Weitere Artikelnummer': 'XYZ-9', Gewicht: '2 kg', Abmessung: '10 x 20 x 30 mm' },
+  A2V00000000003: { Produkttitel: 'Anders', Gewicht: '1 kg' }
+};
+
+async function run() {
+  return processWorkbook(buildInput(ROWS), { scraper: fakeScraper(WEB), profile });
+}
+
+test('proposeValue: Gewicht in der DB-Einheit, Maße in mm, nur eindeutige Artikelnummer', () => {
+  assert.equal(proposeValue('gewicht', { hasWeb: true, webValue: 0.162 }, { unit: 'G' }), 162);
+  assert.equal(proposeValue('gewicht', { hasWeb: true, webValue: 0.162 }, { unit: 'KG' }), 0.162);
+  assert.equal(proposeValue('gewicht', { hasWeb: true, webValue: '162 Stück' }, { unit: 'KG' }), null);
+  assert.equal(proposeValue('gewicht', { hasWeb: true, webValue: 0.162 }, { unit: '' }), null);
+  assert.equal(proposeValue('laenge', { hasWeb: true, webValue: 45 }), 45);
+  assert.equal(proposeValue('artikelnummer', { hasWeb: true, webValue: 'K-1', partNumbers: ['K-1'] }), 'K-1');
+  assert.equal(proposeValue('artikelnummer', { hasWeb: true, webValue: 'K-1, K-2', partNumbers: ['K-1', 'K-2'] }), null);
+  assert.equal(proposeValue('kurztext', { hasWeb: false, webValue: null }), null);
+});
+
+test('Auswahl: Feldcodes aus der Code-Zeile, Zeilen ohne Material ausgeschlossen', async () => {
+  const { rows, codes } = await run();
+  assert.deepEqual(codes.MARA.gewicht, 'NTGEW');
+  const { corrections, skipped } = selectCorrections(rows, { codes });
+  assert.deepEqual(corrections.map(c => [c.material, c.code, c.oldValue, c.newValue, c.unit]), [
+    ['100001', 'NTGEW', '150', 162, 'G'],
+    ['100001', 'LAENG', '42', 45, 'MM'],
+    ['100002', 'MAKTX', 'Schraube', 'Gewindestift', '']
+  ]);
+  assert.equal(skipped.material, 1);
+});
+
+test('Auswahl nach Feld und Status', async () => {
+  const { rows, codes } = await run();
+  const { corrections } = selectCorrections(rows, { codes, fields: 'gewicht', statuses: ['mismatch', 'match'] });
+  assert.deepEqual(corrections.map(c => [c.material, c.newValue]), [['100001', 162], ['100002', 2]]);
+  assert.throws(() => selectCorrections(rows, { fields: 'farbe' }), CorrectionError);
+  assert.throws(() => selectCorrections(rows, { statuses: 'rot' }), CorrectionError);
+});
+
+test('CSV mit Semikolon und Dezimalkomma, XLSX mit Zahlen', async () => {
+  const { rows, codes } = await run();
+  const csv = await buildCorrectionFile(rows, { format: 'csv', codes, fields: 'gewicht,laenge' });
+  assert.equal(csv.count, 2);
+  const parsed = parseCsv(csv.buffer.toString('utf8'));
+  assert.deepEqual(parsed[0], {
+    Material: '100001', Feldcode: 'NTGEW', 'Alter Wert': '150', 'Neuer Wert': '162', Einheit: 'G',
+    A2V: 'A2V00000000001', Feld: 'Nettogewicht', Status: 'Rot – normalisierte Werte ungleich', Blatt: 'MARA', Zeile: '5'
+  });
+  assert.match(correctionsToCsv([{ material: '1', code: 'NTGEW', oldValue: '0,2', newValue: 0.162, row: 5 }]), /^\uFEFFMaterial;.*\r\n1;NTGEW;0,2;0,162;;;;;;5\r\n$/s);
+  // Web-Werte, die Excel als Formel ausführen würde, werden als Text geschrieben; Zahlen bleiben Zahlen
+  const unsafe = correctionsToCsv([{ material: '2', code: 'MAKTX', oldValue: '-0,5', newValue: '=HYPERLINK("http://x")', sheet: '@SUM(A1)', row: 6 }]);
+  assert.match(unsafe, /\r\n2;MAKTX;-0,5;"'=HYPERLINK\(""http:\/\/x""\)";;;;;'@SUM\(A1\);6\r\n$/);
+  assert.equal(toCsv([{ a: '+49 30', b: '-', c: -3 }], ['a', 'b', 'c']), "a;b;c\r\n'+49 30;'-;-3\r\n");
+
+  const xlsx = await buildCorrectionFile(rows, { codes, fields: ['gewicht'] });
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(xlsx.buffer);
+  const ws = wb.getWorksheet('Korrekturen');
+  assert.equal(ws.getCell('A1').value, 'Material');
+  assert.equal(ws.getCell('D2').value, 162);
+  await assert.rejects(buildCorrectionFile(rows, { format: 'txt' }), CorrectionError);
+});
@@ -0,0 +1,109 @@
+// test/decisions.test.js - Prüfentscheidungen: Speicherung, Schlüssel aus A2V/Feld/Werten, Übernahme in Zeilen und Korrekturen
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { DecisionStore, DecisionError, applyDecisions, formatDecision } = require('../decisions');
+const { selectCorrections } = require('../corrections');
+const { processWorkbook } = require('../workbook');
+const { loadProfile } = require('../mapping');
+const { FILL_COLORS } = require('../compare');
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisions-test-'));
+  return { file: path.join(dir, 'decisions.jsonl'), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('gilt nur für dieselbe Kombination aus A2V, Feld, DB- und Web-Wert', () => {
+  const store = new DecisionStore({ file: null });
+  store.set({ a2v: 'a2v00000000101', field: 'gewicht', db: '0,013', web: '0.015', decision: 'db', comment: '  neu   gewogen ' });
+  const e = store.lookup('A2V00000000101', 'gewicht', ' 0,013', '0.015');
+  assert.equal(e.decision, 'db');
+  assert.equal(e.comment, 'neu gewogen');
+  assert.equal(store.lookup('A2V00000000101', 'gewicht', '0,013', '0.016'), null);
+  assert.equal(store.lookup('A2V00000000101', 'laenge', '0,013', '0.015'), null);
+  assert.match(formatDecision(e), /^Prüfentscheidung: DB falsch – neu gewogen \(\d{4}-\d{2}-\d{2}\)$/);
+});
+
+test('ungültige Angaben → DecisionError', () => {
+  const store = new DecisionStore({ file: null });
+  assert.throws(() => store.set({ field: 'gewicht', decision: 'db' }), DecisionError);
+  assert.throws(() => store.set({ a2v: 'A2V1', field: 'farbe', decision: 'db' }), /Unbekanntes Feld/);
+  assert.throws(() => store.set({ a2v: 'A2V1', field: 'gewicht', decision: 'egal' }), /Unbekannte Entscheidung/);
+  assert.throws(() => store.set({ a2v: 'A2V1', field: 'gewicht', decision: 'web', comment: 'x'.repeat(1001) }), /zu lang/);
+});
+
+test('Datei: letzter Eintrag gewinnt, Löschvermerk wirkt nach Neustart', () => {
+  const { file, cleanup } = tmpFile();
+  try {
+    const store = new DecisionStore({ file });
+    store.set({ a2v: 'A2V1', field: 'kurztext', db: 'Halter', web: 'Winkel', decision: 'web' });
+    const e = store.set({ a2v: 'A2V1', field: 'kurztext', db: 'Halter', web: 'Winkel', decision: 'accepted', reviewer: 'QS' });
+    store.set({ a2v: 'A2V2', field: 'kurztext', db: 'A', web: 'B', decision: 'db' });
+    assert.equal(new DecisionStore({ file }).lookup('A2V1', 'kurztext', 'Halter', 'Winkel').decision, 'accepted');
+    assert.ok(store.delete(e.id));
+    assert.equal(store.delete(e.id), false);
+    const reloaded = new DecisionStore({ file });
+    assert.equal(reloaded.size, 1);
+    assert.deepEqual(reloaded.list({ a2v: 'a2v2' }).map(x => x.field), ['kurztext']);
+  } finally {
+    cleanup();
+  }
+});
+
+test('applyDecisions und Korrekturdatei: "Web falsch"/"akzeptiert" werden nicht vorgeschlagen', () => {
+  const store = new DecisionStore({ file: null });
+  const rows = [
+    { sheet: 'MARA', row: 5, a2v: 'A2V1', material: '1', fields: { kurztext: 'mismatch', werkstoff: 'mismatch' },
+      values: { kurztext: { db: 'Halter', web: 'Winkel', proposed: 'Winkel' }, werkstoff: { db: 'Stahl', web: 'Messing', proposed: 'Messing' } } },
+    { sheet: 'MARA', row: 6, a2v: 'A2V2', material: '2', fields: { kurztext: 'mismatch' }, values: { kurztext: { db: 'Mutter', web: 'Schraube', proposed: 'Schraube' } } }
+  ];
+  store.set({ a2v: 'A2V1', field: 'kurztext', db: 'Halter', web: 'Winkel', decision: 'accepted' });
+  store.set({ a2v: 'A2V1', field: 'werkstoff', db: 'Stahl', web: 'Messing', decision: 'db' });
+  const applied = applyDecisions(rows, store);
+  assert.equal(applied[0].values.kurztext.decision.decision, 'accepted');
+  assert.equal(applied[1].values.kurztext.decision, null);
+  assert.equal(rows[0].values.kurztext.decision, undefined, 'Eingabe bleibt unverändert');
+
+  const { corrections, skipped } = selectCorrections(applied);
+  assert.deepEqual(corrections.map(c => [c.material, c.newValue]), [['1', 'Messing'], ['2', 'Schraube']]);
+  assert.equal(skipped.decision, 1);
+});
+
+test('processWorkbook: "Web falsch"/"akzeptiert" → Status "decided" (grau), "DB falsch" bleibt rot', async () => {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = codes[i]; });
+  [['1', 'Halter', 'Stahl', 'A2V00000000001'], ['2', 'Mutter', 'Stahl', 'A2V00000000002']].forEach(([material, kurztext, werkstoff, a2v], r) => {
+    Object.entries({ A: material, C: kurztext, P: werkstoff, Z: a2v }).forEach(([c, v]) => { ws.getCell(`${c}${r + 4}`).value = v; });
+  });
+  const web = { Produkttitel: 'Winkel', Werkstoff: 'Messing' };
+  const scraper = {
+    sourceFor: () => ({ name: 'mymobase' }),
+    urlFor: (a2v) => `https://example.invalid/p/${a2v}`,
+    scrapeMany: async (tasks) => new Map(tasks.map(t => [t.id, { A2V: t.id, Status: 'HTTP-Parser', ...web }]))
+  };
+  const decisions = new DecisionStore({ file: null });
+  decisions.set({ a2v: 'A2V00000000001', field: 'kurztext', db: 'Halter', web: 'Winkel', decision: 'accepted' });
+  decisions.set({ a2v: 'A2V00000000001', field: 'werkstoff', db: 'Stahl', web: 'Messing', decision: 'db' });
+
+  const { rows, stats, buffer } = await processWorkbook(wb, { scraper, profile: loadProfile('mara-standard'), decisions });
+  assert.deepEqual(rows.map(r => [r.fields.kurztext, r.fields.werkstoff]), [['decided', 'mismatch'], ['mismatch', 'mismatch']]);
+  assert.equal(stats.fields.kurztext.decided, 1);
+  assert.equal(stats.fields.kurztext.mismatch, 1);
+  assert.equal(stats.fields.werkstoff.mismatch, 2);
+  assert.deepEqual(stats.decisions, { db: 1, web: 0, accepted: 1 });
+
+  // Daten ab Zeile 5 (Side-by-side fügt eine Kopfzeile ein)
+  const out = new ExcelJS.Workbook();
+  await out.xlsx.load(buffer);
+  const fills = (n) => { const f = []; out.getWorksheet('MARA').getRow(n).eachCell(c => f.push(c.fill?.fgColor?.argb)); return f; };
+  assert.equal(fills(5).filter(f => f === FILL_COLORS.grey).length, 1);
+  assert.equal(fills(6).includes(FILL_COLORS.grey), false);
+});
@@ -0,0 +1,109 @@
+// test/diff.test.js - Änderungsbericht zwischen zwei Läufen: Ausgaben werden mit processWorkbook und einem
+// Fake-Scraper erzeugt (kein Netzwerk) und anschließend mit readRun/diffRuns verglichen.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { processWorkbook } = require('../workbook');
+const { loadProfile } = require('../mapping');
+const { readRun, formatChangesSummary, DiffError, CHANGES_SHEET } = require('../diff');
+
+const profile = loadProfile('mara-standard');
+
+// Fake-Scraper: liefert die Web-Daten aus einer Tabelle A2V → Datensatz
+function fakeScraper(web) {
+  return {
+    sourceFor: () => ({ name: 'mymobase' }),
+    urlFor: (a2v) => `https://example.invalid/p/${a2v}`,
+    scrapeMany: async (tasks) => new Map(tasks.map(t => [t.id, { A2V: t.id, Status: 'HTTP-Parser', ...web[t.id] }]))
+  };
+}
+
+// Eingabe wie im MARA-Export; Zeilen: Material, Kurztext, Werkstoff, Gewicht, Einheit, A2V (übrige Spalten leer)
+function buildInput(rows) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  const names = ['Material', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Gewichtseinheit', 'Länge', 'Breite', 'Höhe', 'Produkt-ID'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = names[i]; });
+  rows.forEach(([material, kurztext, werkstoff, gewicht, einheit, a2v], r) => {
+    const values = [material, kurztext, null, null, werkstoff, gewicht, einheit, null, null, null, a2v];
+    cols.forEach((c, i) => { ws.getCell(`${c}${r + 4}`).value = values[i]; });
+  });
+  return wb;
+}
+
+async function run(rows, web, options = {}) {
+  const wb = buildInput(rows);
+  const result = await processWorkbook(wb, { scraper: fakeScraper(web), profile, ...options });
+  const out = new ExcelJS.Workbook();
+  await out.xlsx.load(result.buffer);
+  return { ...result, wb: out };
+}
+
+const ROWS = [
+  ['100001', 'Halter', 'Stahl', 1, 'KG', 'A2V00000000001'],
+  ['100002', 'Schraube', 'Edelstahl', 2, 'KG', 'A2V00000000002'],
+  ['100003', 'Dichtung', 'EPDM', 3, 'KG', 'A2V00000000003']
+];
+const WEB = {
+  A2V00000000001: { Produkttitel: 'Halter', Werkstoff: 'Stahl', Gewicht: '1 kg' },
+  A2V00000000002: { Produkttitel: 'Schraube', Werkstoff: 'Messing', Gewicht: '2 kg' },
+  A2V00000000003: { Produkttitel: 'Dichtung', Werkstoff: 'EPDM', Gewicht: '3 kg' }
+};
+
+test('readRun liest Status aus den Füllfarben der Web-Zellen', async () => {
+  const { wb } = await run(ROWS, WEB);
+  const { sheets } = readRun(wb, profile);
+  assert.deepEqual(sheets.MARA.map(r => r.key), ['100001', '100002', '100003']);
+  assert.equal(sheets.MARA[0].a2v, 'A2V00000000001');
+  assert.deepEqual(sheets.MARA[1].fields.werkstoff, { status: 'mismatch', db: 'Edelstahl', web: 'Messing' });
+  assert.equal(sheets.MARA[1].fields.kurztext.status, 'match');
+});
+
+test('Statuswechsel, geänderte Web-Werte, neue und entfallene Zeilen', async () => {
+  const previous = readRun((await run(ROWS, WEB)).wb, profile);
+  const rows = [ROWS[0], ROWS[1], ['100004', 'Lager', 'Stahl', 1, 'KG', 'A2V00000000004']];
+  const web = {
+    ...WEB,
+    A2V00000000001: { ...WEB.A2V00000000001, Gewicht: '5 kg' },
+    A2V00000000002: { ...WEB.A2V00000000002, Werkstoff: 'Edelstahl' },
+    A2V00000000004: { Produkttitel: 'Lager' }
+  };
+  const { changes, wb } = await run(rows, web, { previous });
+
+  assert.deepEqual(changes.added.map(r => r.key), ['100004']);
+  assert.deepEqual(changes.removed.map(r => r.key), ['100003']);
+  assert.equal(changes.summary.rows.changed, 2);
+
+  const halter = changes.changed.find(r => r.key === '100001').fields;
+  assert.deepEqual(halter.map(f => [f.key, f.from, f.to, f.trend, f.cause]), [['gewicht', 'match', 'mismatch', 'schlechter', 'Web']]);
+  const schraube = changes.changed.find(r => r.key === '100002').fields;
+  assert.deepEqual(schraube.map(f => [f.key, f.from, f.to, f.trend]), [['werkstoff', 'mismatch', 'match', 'besser']]);
+  assert.equal(schraube[0].webBefore, 'Messing');
+  assert.equal(schraube[0].webAfter, 'Edelstahl');
+
+  assert.deepEqual(changes.summary.transitions, { 'match→mismatch': 1, 'mismatch→match': 1 });
+  assert.match(formatChangesSummary(changes.summary), /^1 neue, 1 entfallene, 2 geänderte Zeilen; Felder: 1 besser, 1 schlechter/);
+
+  const sheet = wb.getWorksheet(CHANGES_SHEET);
+  assert.ok(sheet);
+  const cells = [];
+  sheet.eachRow(row => row.eachCell(c => cells.push(c.text)));
+  assert.ok(cells.includes('neue Zeile'));
+  assert.ok(cells.includes('entfallen'));
+});
+
+test('gleicher Stand → keine Änderungen', async () => {
+  const previous = readRun((await run(ROWS, WEB)).wb, profile);
+  const { changes } = await run(ROWS, WEB, { previous });
+  assert.deepEqual(changes.summary.rows, { previous: 3, current: 3, added: 0, removed: 0, changed: 0 });
+  assert.deepEqual(changes.summary.transitions, {});
+});
+
+test('Eingabe statt verarbeiteter Ausgabe → DiffError', async () => {
+  assert.throws(() => readRun(new ExcelJS.Workbook(), profile), DiffError);
+  assert.throws(() => readRun(buildInput(ROWS), profile), DiffError);
+});
@@ -0,0 +1,86 @@
+// test/extractors.test.js - MyMobase-Extraktion gegen gespeicherte HTML-Seiten (test/fixtures/mymobase).
+// Je Seite <name>.html liegt <name>.json mit { a2v, locale, record } als erwartetes Ergebnis.
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { MyMobaseSource, extractJsonInitialData, mapFromInitialData } = require('../sources/mymobase');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'mymobase');
+const BASE_URL = 'https://www.mymobase.com';
+
+mock.method(console, 'log', () => {}); // Debug-Ausgaben der Parser unterdrücken
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const source = new MyMobaseSource({ baseUrl: BASE_URL });
+
+for (const file of fs.readdirSync(FIXTURES).filter(f => f.endsWith('.html')).sort()) {
+  const name = path.basename(file, '.html');
+  test(`extractPage: ${name}`, () => {
+    const { a2v, locale, record } = JSON.parse(fixture(`${name}.json`));
+    assert.deepEqual(source.extractPage(fixture(file), a2v, locale), record);
+  });
+}
+
+test('extractJsonInitialData: Produkt-Zuweisung und window.initialData', () => {
+  const product = extractJsonInitialData(fixture('initialdata-product.html'));
+  assert.equal(product.data.product.code, 'A2V00001234567');
+  assert.equal(product.data.product.technicalSpecifications.length, 5);
+  const whole = extractJsonInitialData(fixture('initialdata-localizations.html'));
+  assert.equal(whole.data.product.localizations.technicalSpecifications[0].key, 'Größe');
+});
+
+test('extractJsonInitialData: kein oder ungültiges JSON → null', () => {
+  assert.equal(extractJsonInitialData(fixture('table.html')), null);
+  assert.equal(extractJsonInitialData(fixture('broken-json.html')), null);
+  assert.equal(extractJsonInitialData(''), null);
+});
+
+test('mapFromInitialData: Gewicht aus product.weight je Sprache', () => {
+  const obj = { data: { product: { code: 'A2V1', name: 'Teil', weight: 1.5 } } };
+  assert.equal(mapFromInitialData(obj, 'A2V1', 'u', 'de').Gewicht, '1,5 kg');
+  assert.equal(mapFromInitialData(obj, 'A2V1', 'u', 'en').Gewicht, '1.5 kg');
+});
+
+test('mapFromInitialData: mehrere Herstellartikelnummern als Array oder Liste', () => {
+  const map = (numbers) => mapFromInitialData({ data: { product: { code: 'A2V1', additionalMaterialNumbers: numbers } } }, 'A2V1', 'u')['Weitere Artikelnummer'];
+  assert.equal(map(['ABC-1', 'XYZ 9', 'abc1']), 'ABC-1, XYZ 9');
+  assert.equal(map('ABC-1;XYZ 9 , DI-77/4'), 'ABC-1, XYZ 9, DI-77/4');
+  assert.equal(map([]), 'Nicht gefunden');
+});
+
+test('mapFromInitialData: fehlende Daten → "Nicht gefunden", Code aus der Anfrage', () => {
+  const r = mapFromInitialData({}, 'A2V9', 'u');
+  assert.equal(r.A2V, 'A2V9');
+  for (const f of ['Produkttitel', 'Weitere Artikelnummer', 'Gewicht', 'Abmessung', 'Werkstoff', 'Materialklassifizierung']) {
+    assert.equal(r[f], 'Nicht gefunden', f);
+  }
+});
+
+test('_parseWithCheerio: erste Zeile je Schlüssel gewinnt, Tabelle vor Definitionsliste', () => {
+  const html = '<h1>T</h1><table><tr><td>Werkstoff</td><td>Stahl</td></tr></table><dl><dt>Werkstoff</dt><dd>Messing</dd><dt>Gewicht</dt><dd>2 kg</dd></dl>';
+  const r = source._parseWithCheerio('u', html, 'A2V1', 'de');
+  assert.equal(r.Werkstoff, 'Stahl');
+  assert.equal(r.Gewicht, '2 kg');
+  assert.equal(r.Status, 'HTTP-Parser');
+});
+
+test('extract: Sprachkette ergänzt fehlende Felder und merkt sich die Sprache', () => {
+  const r = source.extract([
+    { locale: 'en', html: fixture('broken-json.html').replace('Nettogewicht', 'Net weight') },
+    { locale: 'de', html: fixture('table.html') }
+  ], 'A2V00000000104');
+  assert.equal(r.Produkttitel, 'Lager');
+  assert.equal(r.Gewicht, '1,25 kg');
+  assert.equal(r.Abmessung, '10,5 × 20 × 3 mm');
+  assert.deepEqual(r.Sprachen, {
+    Produkttitel: 'en',
+    'Weitere Artikelnummer': 'de',
+    Gewicht: 'en',
+    Abmessung: 'de',
+    Werkstoff: 'de',
+    Materialklassifizierung: 'de'
+  });
+});
@@ -0,0 +1,79 @@
+// test/fields.test.js - Feldregister (fields.js): Parser für RoHS/REACH und Ursprungsland, Vergleich der neuen
+// Felder, Profil-Vorgaben für Felder ohne eigene Regel
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { FIELD_REGISTRY, FIELD_BY_KEY, WEB_ATTRIBUTES, defaultColumns, parseCompliance, countryCode } = require('../fields');
+const { compareRecord, FIELDS } = require('../compare');
+const { loadProfile, detectColumns } = require('../mapping');
+
+mock.method(console, 'log', () => {});
+
+test('Register: eindeutige Schlüssel, FIELDS in Register-Reihenfolge, Abmessung nur einmal', () => {
+  const keys = FIELD_REGISTRY.map(f => f.key);
+  assert.equal(new Set(keys).size, keys.length);
+  assert.deepEqual(FIELDS.map(f => f.key), keys);
+  assert.equal(WEB_ATTRIBUTES.filter(a => a.field === 'Abmessung').length, 1);
+  for (const key of ['oberflaeche', 'norm', 'rohs', 'reach', 'ursprungsland']) assert.ok(FIELD_BY_KEY[key], key);
+  assert.equal(defaultColumns().norm.exact, true);
+  assert.ok(Object.values(defaultColumns()).every(c => c.required === false));
+});
+
+test('parseCompliance: ja / nein / ausgenommen', () => {
+  const code = (v) => parseCompliance(v).code;
+  assert.equal(code('RoHS-konform'), 'ja');
+  assert.equal(code('compliant'), 'ja');
+  assert.equal(code('Ja'), 'ja');
+  assert.equal(code('nicht konform'), 'nein');
+  assert.equal(code('Not RoHS compliant'), 'nein');
+  assert.equal(code('nein'), 'nein');
+  assert.equal(code('ausgenommen (Anhang III)'), 'ausgenommen');
+  assert.equal(code('exempt'), 'ausgenommen');
+  assert.equal(code('Keine Angabe'), null);
+  assert.equal(code(''), null);
+});
+
+test('countryCode: Namen, Codes und "Made in"', () => {
+  assert.equal(countryCode('Deutschland'), 'DE');
+  assert.equal(countryCode('Germany'), 'DE');
+  assert.equal(countryCode('de'), 'DE');
+  assert.equal(countryCode('Made in Czech Republic'), 'CZ');
+  assert.equal(countryCode('Atlantis'), null);
+  assert.equal(countryCode('UK'), 'GB');
+  assert.equal(countryCode('kg'), 'KG');
+  assert.equal(countryCode('XX'), null);
+  assert.equal(countryCode('EU'), null);
+});
+
+test('compareRecord: neue Felder', () => {
+  const db = { rohs: 'ja', reach: 'nein', ursprungsland: 'DE', norm: 'DIN 912', oberflaeche: 'galvanisch verzinkt' };
+  const web = { RoHS: 'RoHS-konform', REACH: 'compliant', Ursprungsland: 'Germany', Norm: 'ISO 4762; DIN912', 'Oberfläche': 'Galvanisch verzinkt' };
+  const r = compareRecord(db, web, { keys: Object.keys(db) });
+  assert.equal(r.rohs.status, 'match');
+  assert.equal(r.rohs.webValue, 'ja');
+  assert.equal(r.reach.status, 'mismatch');
+  assert.equal(r.ursprungsland.status, 'match');
+  assert.equal(r.ursprungsland.webValue, 'DE');
+  assert.equal(r.norm.status, 'match');
+  assert.equal(r.oberflaeche.status, 'match');
+
+  const missing = compareRecord({ rohs: 'ja' }, { RoHS: 'Nicht gefunden' }, { keys: ['rohs'] });
+  assert.equal(missing.rohs.status, 'missing');
+});
+
+test('Profil: neue Felder optional erkannt, Norm nur mit exaktem Header', () => {
+  const profile = loadProfile('mara-standard');
+  for (const key of ['oberflaeche', 'norm', 'rohs', 'reach', 'ursprungsland']) {
+    assert.equal(profile.columns[key].required, false, key);
+  }
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  ['Material', 'Normalpreis', 'RoHS-Status', 'Herkunftsland', 'Produkt-ID'].forEach((h, i) => { ws.getRow(3).getCell(i + 1).value = h; });
+  ws.getCell('E4').value = 'A2V00000000001';
+  const det = detectColumns(ws, profile);
+  assert.equal(det.columns.norm, undefined);
+  assert.equal(det.columns.rohs, 'C');
+  assert.equal(det.columns.ursprungsland, 'D');
+});
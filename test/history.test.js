@@ -0,0 +1,62 @@
+// test/history.test.js - Laufhistorie: Ablage von Eingabe/Ausgabe/Einstellungen, Liste, Aufbewahrungsfrist
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunStore, statusTotals } = require('../history');
+
+function tmpStore(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  const input = path.join(dir, 'upload');
+  fs.writeFileSync(input, 'eingabe');
+  return { store: new RunStore({ dir: path.join(dir, 'runs'), ...options }), input, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('Lauf speichern: Dateien, Einstellungen und summierte Feldstatus', async () => {
+  const { store, input, cleanup } = tmpStore();
+  try {
+    const stats = { fields: { gewicht: { match: 2, mismatch: 1 }, laenge: { match: 1, missing: 1 } } };
+    const entry = await store.save('lauf-1', { input, output: Buffer.from('ausgabe'), filename: 'mara.xlsx', settings: { concurrency: 4 }, counts: { rows: 3 }, stats });
+    assert.equal(entry.statuses.match, 3);
+    assert.equal(entry.statuses.mismatch, 1);
+    assert.equal(entry.statuses.missing, 1);
+    assert.deepEqual(store.get('lauf-1'), entry);
+    assert.equal(fs.readFileSync(store.file('lauf-1', 'input'), 'utf8'), 'eingabe');
+    assert.equal(fs.readFileSync(store.file('lauf-1', 'output'), 'utf8'), 'ausgabe');
+    assert.equal(store.file('lauf-1', 'run'), null);
+    assert.equal(store.get('../lauf-1'), null);
+
+    // Ausgabe als Datei (Streaming)
+    await store.save('lauf-2', { input, output: input });
+    assert.deepEqual(store.list().map(r => r.id), ['lauf-2', 'lauf-1']);
+    assert.ok(store.delete('lauf-2'));
+    assert.equal(store.delete('lauf-2'), false);
+    await assert.rejects(store.save('../x', { input, output: input }), /Ungültige Lauf-ID/);
+  } finally { cleanup(); }
+});
+
+test('prune: abgelaufene und unvollständige Läufe löschen', async () => {
+  const { store, input, cleanup } = tmpStore({ retentionDays: 30 });
+  try {
+    await store.save('alt', { input, output: input, finishedAt: '2020-01-01T00:00:00.000Z' });
+    await store.save('neu', { input, output: input });
+    fs.mkdirSync(path.join(store.dir, 'halb'));
+    assert.equal(store.prune(), 1);
+    assert.deepEqual(store.list().map(r => r.id), ['neu']);
+    assert.ok(fs.existsSync(path.join(store.dir, 'halb')), 'gerade angelegt – Speichern läuft evtl. noch');
+    assert.equal(store.prune(Date.now() + 2 * 60 * 60 * 1000), 1);
+    assert.ok(!fs.existsSync(path.join(store.dir, 'halb')));
+  } finally { cleanup(); }
+});
+
+test('Aufbewahrung 0 = unbegrenzt; statusTotals ohne Statistik', async () => {
+  const { store, input, cleanup } = tmpStore({ retentionDays: 0 });
+  try {
+    await store.save('alt', { input, output: input, finishedAt: '2020-01-01T00:00:00.000Z' });
+    assert.equal(store.prune(), 0);
+    assert.equal(statusTotals(undefined).match, 0);
+  } finally { cleanup(); }
+});
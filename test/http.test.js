@@ -0,0 +1,105 @@
+// test/http.test.js - Timeout, Wiederholung, Rate-Limit und Circuit Breaker von sources/http.js (ohne Netzwerk)
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HttpClient, HttpError, TimeoutError, newFetchStats, parseRetryAfter } = require('../sources/http');
+
+mock.method(console, 'warn', () => {});
+
+// Fake-fetch: spielt die Antworten der Reihe nach ab ({ status, body, headers } oder Error)
+function fakeFetch(responses) {
+  const calls = [];
+  const fn = async (url, { signal } = {}) => {
+    calls.push({ url, at: Date.now() });
+    const r = responses.length > 1 ? responses.shift() : responses[0];
+    if (r instanceof Error) throw r;
+    if (r === 'hang') return new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    return new Response(r.body ?? '', { status: r.status, headers: r.headers });
+  };
+  fn.calls = calls;
+  return fn;
+}
+
+const fast = { backoffMs: 1, backoffMaxMs: 5, rps: 0, random: () => 0 };
+
+test('503 wird wiederholt, danach Erfolg', async () => {
+  const fetch = fakeFetch([{ status: 503 }, { status: 503 }, { status: 200, body: 'ok' }]);
+  const http = new HttpClient({ ...fast, fetch });
+  const stats = newFetchStats();
+  assert.equal(await http.get('u', { stats }), 'ok');
+  assert.equal(fetch.calls.length, 3);
+  assert.equal(stats.requests, 3);
+  assert.equal(stats.retries, 2);
+  assert.equal(stats.failures, 0);
+  assert.deepEqual(stats.statuses, { 503: 2, 200: 1 });
+});
+
+test('404 wird nicht wiederholt', async () => {
+  const fetch = fakeFetch([{ status: 404 }]);
+  const http = new HttpClient({ ...fast, fetch });
+  await assert.rejects(http.get('u'), (e) => e instanceof HttpError && e.status === 404 && e.message === 'HTTP 404');
+  assert.equal(fetch.calls.length, 1);
+});
+
+test('alle Versuche scheitern → Fehler und Zähler', async () => {
+  const fetch = fakeFetch([{ status: 429, headers: { 'Retry-After': '0' } }]);
+  const http = new HttpClient({ ...fast, retries: 2, fetch });
+  const stats = newFetchStats();
+  await assert.rejects(http.get('u', { stats }), /HTTP 429/);
+  assert.equal(fetch.calls.length, 3);
+  assert.equal(stats.rateLimited, 3);
+  assert.equal(stats.failures, 1);
+});
+
+test('Timeout je Anfrage', async () => {
+  const http = new HttpClient({ ...fast, retries: 1, timeoutMs: 20, fetch: fakeFetch(['hang']) });
+  const stats = newFetchStats();
+  await assert.rejects(http.get('u', { stats }), TimeoutError);
+  assert.equal(stats.timeouts, 2);
+});
+
+test('Abbruch über signal wird nicht wiederholt', async () => {
+  const controller = new AbortController();
+  const fetch = fakeFetch(['hang']);
+  const http = new HttpClient({ ...fast, fetch });
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(http.get('u', { signal: controller.signal }));
+  assert.equal(fetch.calls.length, 1);
+});
+
+test('Backoff: exponentiell, gedeckelt, Retry-After hat Vorrang', () => {
+  const http = new HttpClient({ backoffMs: 100, backoffMaxMs: 1000, random: () => 1 });
+  assert.deepEqual([0, 1, 2, 5].map(a => http._backoff(a, null)), [100, 200, 400, 1000]);
+  assert.equal(http._backoff(0, 700), 700);
+  assert.equal(http._backoff(0, 60000), 1000);
+  http.random = () => 0;
+  assert.equal(http._backoff(2, null), 200);
+});
+
+test('parseRetryAfter: Sekunden und HTTP-Datum', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('unsinn'), null);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) > 3000);
+});
+
+test('Rate-Limit gilt für alle parallelen Aufrufe gemeinsam', async () => {
+  const fetch = fakeFetch([{ status: 200, body: 'ok' }]);
+  const http = new HttpClient({ ...fast, rps: 20, fetch });
+  await Promise.all(Array.from({ length: 4 }, () => http.get('u')));
+  const span = fetch.calls[3].at - fetch.calls[0].at;
+  assert.ok(span >= 140, `Abstand ${span} ms`);
+});
+
+test('Circuit Breaker pausiert nach Fehlschlägen in Folge', async () => {
+  const fetch = fakeFetch([new TypeError('fetch failed'), new TypeError('fetch failed'), { status: 200, body: 'ok' }]);
+  const http = new HttpClient({ ...fast, retries: 2, breakerThreshold: 2, breakerCooldownMs: 60, fetch });
+  const stats = newFetchStats();
+  const t0 = Date.now();
+  assert.equal(await http.get('u', { stats }), 'ok');
+  assert.equal(stats.breakerTrips, 1);
+  assert.equal(stats.breakerWaits, 1);
+  assert.ok(Date.now() - t0 >= 55);
+  assert.equal(http.breakerOpen, false);
+});
@@ -0,0 +1,39 @@
+// test/jobs.test.js - Jobverwaltung: Abbruch während der Verarbeitung verwirft das Ergebnis
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JobManager } = require('../jobs');
+
+test('Abbruch: Job sofort "cancelled", spätes Ergebnis wird verworfen und die Ausgabedatei gelöscht', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  const jobs = new JobManager();
+  try {
+    const output = path.join(dir, 'ergebnis.xlsx');
+    let release;
+    const job = jobs.create({ filename: 'eingabe.xlsx' });
+    jobs.run(job, async () => {
+      await new Promise(resolve => { release = resolve; });
+      fs.writeFileSync(output, 'xlsx');
+      return { file: output, filename: 'ergebnis.xlsx' };
+    });
+    const ended = new Promise(resolve => job.once('end', resolve));
+    await new Promise(setImmediate);
+    jobs.cancel(job.id);
+    await ended;
+    assert.equal(job.state, 'cancelled');
+    assert.equal(job.signal.aborted, true);
+
+    release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(job.state, 'cancelled');
+    assert.equal(job.result, null);
+    assert.equal(fs.existsSync(output), false);
+  } finally {
+    clearInterval(jobs._timer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,175 @@
+// test/layout.test.js - Ausgabe-Layouts (layout.js, workbook.js): Original unverändert + Blatt "Web-Vergleich",
+// Langformat, Banner aus Profil/Anfrage und Blätter ohne Produktnummern. Fake-Scraper wie in diff.test.js.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { processWorkbook } = require('../workbook');
+const { loadProfile, mapWorkbook, detectColumns, MappingError } = require('../mapping');
+const { readRun } = require('../diff');
+const { resolveLayout, resolveBanners, placeBanners, COMPARE_SHEET, LONG_HEADERS } = require('../layout');
+
+const profile = loadProfile('mara-standard');
+
+function fakeScraper(web) {
+  return {
+    sourceFor: () => ({ name: 'mymobase' }),
+    urlFor: (a2v) => `https://example.invalid/p/${a2v}`,
+    scrapeMany: async (tasks) => new Map(tasks.map(t => [t.id, { A2V: t.id, Status: 'HTTP-Parser', ...web[t.id] }]))
+  };
+}
+
+// MARA-Export wie in diff.test.js (Material, Kurztext, Werkstoff, Gewicht, Einheit, A2V; übrige Spalten leer),
+// dazu ein Legendenblatt ohne Produktnummern
+function buildInput(rows, { legend = true } = {}) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  const names = ['Material', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Gewichtseinheit', 'Länge', 'Breite', 'Höhe', 'Produkt-ID'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = names[i]; });
+  rows.forEach(([material, kurztext, werkstoff, gewicht, einheit, a2v], r) => {
+    const values = [material, kurztext, null, null, werkstoff, gewicht, einheit, null, null, null, a2v];
+    cols.forEach((c, i) => { ws.getCell(`${c}${r + 4}`).value = values[i]; });
+  });
+  if (legend) {
+    const info = wb.addWorksheet('Legende');
+    info.getCell('A1').value = 'Farben';
+    info.getCell('A2').value = 'grün = Web-Wert stimmt überein';
+  }
+  return wb;
+}
+
+const ROWS = [
+  ['100001', 'Halter', 'Stahl', 1, 'KG', 'A2V00000000001'],
+  ['100002', 'Schraube', 'Edelstahl', 2, 'KG', 'A2V00000000002']
+];
+const WEB = {
+  A2V00000000001: { Produkttitel: 'Halter', Werkstoff: 'Stahl', Gewicht: '1 kg' },
+  A2V00000000002: { Produkttitel: 'Schraube', Werkstoff: 'Messing', Gewicht: '2 kg' }
+};
+
+async function run(options = {}, rows = ROWS) {
+  const result = await processWorkbook(buildInput(rows), { scraper: fakeScraper(WEB), profile, ...options });
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(result.buffer);
+  return { ...result, wb };
+}
+
+const text = (cell) => cell.value?.result ?? cell.value?.text ?? cell.value;
+
+test('resolveLayout: Anfrage vor Profil vor side-by-side, unbekannte Layouts werfen', () => {
+  assert.equal(resolveLayout(profile), 'side-by-side');
+  assert.equal(resolveLayout({ ...profile, layout: 'long' }), 'long');
+  assert.equal(resolveLayout({ ...profile, layout: 'long' }, 'separate'), 'separate');
+  assert.throws(() => resolveLayout(profile, 'quer'), /Unbekanntes Layout "quer"/);
+});
+
+test('resolveBanners: Vorgabe des Profils, Überschreiben, ungültige Bereiche', () => {
+  assert.equal(resolveBanners(profile).length, 3);
+  assert.deepEqual(resolveBanners(profile, []), []);
+  assert.deepEqual(resolveBanners(profile, [{ range: 'b1:d1', text: 'Stammdaten' }]), [{ range: 'B1:D1', text: 'Stammdaten' }]);
+  assert.deepEqual(resolveBanners({ ...profile, banners: undefined }), []);
+  assert.throws(() => resolveBanners(profile, [{ range: 'B1-D1', text: 'x' }]), /ungültig/);
+  assert.throws(() => resolveBanners(profile, [{ range: 'B1:D2', text: 'x' }]), /über Zeile 2/);
+  assert.throws(() => resolveBanners(profile, [{ range: 'B1:D1', text: 'x' }, { range: 'D1:F1', text: 'y' }]), /überschneidet/);
+});
+
+test('placeBanners: Bereiche der Eingabe wachsen um die eingefügten Web-Spalten', () => {
+  // Web-Spalten rechts neben C und E → Eingabe D steht in der Ausgabe in E, E in F (Web-Spalte G), F in H
+  const shift = (c) => c + [3, 5].filter(i => i < c).length;
+  assert.deepEqual(placeBanners([{ range: 'A1', text: 'a' }, { range: 'B1:D1', text: 'b' }, { range: 'E1', text: 'c' }, { range: 'F1:G1', text: 'd' }], shift), [
+    { range: 'A1', text: 'a' }, { range: 'B1:E1', text: 'b' }, { range: 'F1:G1', text: 'c' }, { range: 'H1:I1', text: 'd' }
+  ]);
+});
+
+test('side-by-side: Banner des Profils folgen den Spalten der Eingabe', async () => {
+  const ws = (await run()).wb.getWorksheet('MARA');
+  assert.deepEqual(ws.model.merges.filter(m => /^[A-Z]+1:/.test(m)).sort(), ['AH1:AJ1', 'B1:AF1']);
+  assert.match(ws.getCell('AG1').value, /SAP Klassifizierung/);
+
+  // eine Spalte mehr vor den Daten: Banner und Paare rücken gemeinsam nach rechts
+  const input = buildInput(ROWS);
+  input.getWorksheet('MARA').spliceColumns(2, 0, [null]);
+  const shifted = (await processWorkbook(input, { scraper: fakeScraper(WEB), profile, banners: [{ range: 'C1:Y1', text: 'Stammdaten' }] })).buffer;
+  const out = new ExcelJS.Workbook();
+  await out.xlsx.load(shifted);
+  assert.deepEqual(out.getWorksheet('MARA').model.merges.filter(m => /^[A-Z]+1:/.test(m)), ['C1:AG1']);
+});
+
+test('side-by-side: Banner aus der Anfrage ersetzen die des Profils', async () => {
+  const { wb } = await run({ banners: [{ range: 'B1:D1', text: 'Export Mai' }] });
+  const ws = wb.getWorksheet('MARA');
+  assert.equal(ws.getCell('B1').value, 'Export Mai');
+  assert.deepEqual(ws.model.merges.filter(m => /^[A-Z]+1:/.test(m)), ['B1:E1']); // Web-Spalte zu C
+  assert.equal(wb.getWorksheet(COMPARE_SHEET), undefined);
+});
+
+test('separate: Original unverändert, DB/Web-Paare im Blatt "Web-Vergleich"', async () => {
+  const { wb, rows } = await run({ layout: 'separate' });
+  const original = wb.getWorksheet('MARA');
+  assert.equal(original.getCell('C3').value, 'Materialkurztext');
+  assert.equal(original.getCell('D3').value, null);
+  assert.equal(original.getCell('Z4').value, 'A2V00000000001');
+
+  const ws = wb.getWorksheet(COMPARE_SHEET);
+  assert.equal(wb.worksheets[0].name, COMPARE_SHEET);
+  const header = ws.getRow(3).values.map(v => v?.result ?? v);
+  assert.equal(header[1], 'Blatt');
+  assert.equal(header[2], 'Zeile');
+  assert.equal(header.filter(v => v === 'Materialkurztext').length, 2); // DB- und Web-Spalte
+  assert.equal(text(ws.getCell('A5')), 'MARA');
+  assert.equal(text(ws.getCell('B5')), 4);
+  assert.deepEqual(rows.map(r => [r.sheet, r.row]), [['MARA', 4], ['MARA', 5]]);
+  assert.equal(rows[1].fields.werkstoff, 'mismatch');
+});
+
+test('long: eine Zeile je Produktzeile und Feld mit Status', async () => {
+  const { wb, rows } = await run({ layout: 'long' });
+  const ws = wb.getWorksheet(COMPARE_SHEET);
+  assert.deepEqual(ws.getRow(1).values.slice(1), LONG_HEADERS);
+  const lines = [];
+  ws.eachRow((row, n) => { if (n > 1) lines.push(row.values.slice(1).map(v => v?.result ?? v?.text ?? v)); });
+  const werkstoff = lines.filter(l => l[4] === 'Werkstoff');
+  assert.deepEqual(werkstoff.map(l => [l[0], l[1], l[2], l[6], l[7]]), [
+    ['MARA', 4, 'A2V00000000001', 'Stahl', 'Stahl'],
+    ['MARA', 5, 'A2V00000000002', 'Edelstahl', 'Messing']
+  ]);
+  assert.notEqual(werkstoff[0][8], werkstoff[1][8]);
+  assert.equal(lines.length, rows.length * new Set(lines.map(l => l[4])).size);
+  assert.equal(wb.getWorksheet('MARA').getCell('D3').value, null);
+});
+
+test('readRun liest alle Layouts gleich', async () => {
+  const base = readRun((await run()).wb, profile);
+  for (const layout of ['separate', 'long']) {
+    const other = readRun((await run({ layout })).wb, profile);
+    assert.deepEqual(other.sheets.MARA.map(r => r.key), base.sheets.MARA.map(r => r.key), layout);
+    assert.deepEqual(other.sheets.MARA[1].fields.werkstoff, base.sheets.MARA[1].fields.werkstoff, layout);
+  }
+});
+
+test('Blätter ohne Produktnummern werden übersprungen, ohne jedes Blatt gibt es einen Mapping-Fehler', async () => {
+  const mapping = mapWorkbook(buildInput(ROWS), profile);
+  assert.deepEqual(mapping.sheets.map(s => s.sheet), ['MARA']);
+  assert.deepEqual(mapping.skipped, ['Legende']);
+  const { wb } = await run();
+  assert.equal(wb.getWorksheet('Legende').getCell('B3').value, null);
+
+  const empty = buildInput(ROWS.map(r => [...r.slice(0, 5), null]), { legend: false });
+  assert.throws(() => mapWorkbook(empty, profile), (e) => e instanceof MappingError && /Kein Blatt mit Produktnummern/.test(e.message));
+});
+
+test('Materialnummer nur über exakten Header oder MATNR, nicht über "Materialart"/"Materialkurztext"', () => {
+  const wb = buildInput(ROWS, { legend: false });
+  const ws = wb.getWorksheet('MARA');
+  ws.getCell('A2').value = null;
+  ws.getCell('A3').value = 'Materialart';
+  const { columns } = detectColumns(ws, profile);
+  assert.equal(columns.material, undefined);
+  assert.equal(columns.kurztext, 'C');
+
+  ws.getCell('A2').value = 'MATNR';
+  assert.equal(detectColumns(ws, profile).columns.material, 'A');
+});
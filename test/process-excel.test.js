@@ -0,0 +1,273 @@
+// test/process-excel.test.js - Ende-zu-Ende: Upload → Job → Ergebnis-Workbook über /api/process-excel,
+// MyMobase als lokaler Stub-Server mit den HTML-Fixtures. Verglichen werden Zellwerte, Füllfarben und
+// verbundene Bereiche mit test/fixtures/golden/process-excel.json (neu schreiben: UPDATE_GOLDEN=1 npm test).
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const ExcelJS = require('exceljs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const GOLDEN = path.join(FIXTURES, 'golden', 'process-excel.json');
+
+// Produktnummer → Fixture; alle anderen Nummern liefern 404
+const PAGES = {
+  A2V00001234567: 'initialdata-product.html',
+  A2V00007654321: 'initialdata-localizations.html',
+  A2V00000000101: 'table.html',
+  A2V00000000102: 'dl.html',
+  A2V00000000104: 'broken-json.html'
+};
+
+// Zeilen des Eingabeblatts: Material, Kurztext, Her.-Artikelnr., Prüfhinweis, Werkstoff, Gewicht, Einheit, L, B, H, A2V
+const INPUT_ROWS = [
+  ['100001', 'Halter verzinkt', 'ABC-123', 'OHNE/N/N/N/N', 'Stahl', 0.162, 'KG', 42, 40, 40, 'A2V00001234567'],
+  ['100002', 'Schraube', 'XYZ 9', 'OHNE/N/N/N/N', 'Edelstahl', 162, 'G', null, 20, 31, 'A2V00007654321'],
+  ['100003', 'Dichtung', 'DI-77-4', '', 'EPDM', 0.013, 'KG', 10.5, 20, 3, 'A2V00000000101'],
+  ['100004', 'Kabelbinder', 'KB-200', '', 'PA66', 4, '', 200, null, null, 'A2V00000000102'],
+  ['100005', 'Lager', '', '', '100Cr6', 1.25, 'KG', null, null, null, 'A2V00000000104'],
+  ['100006', 'Unbekannt', 'X-1', '', 'Stahl', 1, 'KG', 1, 2, 3, 'A2V00000009999'],
+  ['100007', 'Ohne Produktnummer', '', '', '', null, '', null, null, null, null]
+];
+
+let stub, server, baseUrl, stubUrl, cacheDir, app;
+
+function listen(srv) {
+  return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${srv.address().port}`)));
+}
+
+async function buildInput() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  const names = ['Material', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Gewichtseinheit', 'Länge', 'Breite', 'Höhe', 'Produkt-ID'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = names[i]; });
+  INPUT_ROWS.forEach((values, r) => cols.forEach((c, i) => { ws.getCell(`${c}${r + 4}`).value = values[i]; }));
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// Workbook → { Blatt: { merges, cells: { A1: { value, fill } } } }; Stub-URL und Zeitstempel werden ersetzt
+async function snapshot(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const out = {};
+  wb.eachSheet(ws => {
+    const cells = {};
+    ws.eachRow(row => row.eachCell(cell => {
+      const fill = cell.fill?.type === 'pattern' ? cell.fill.fgColor?.argb || null : null;
+      cells[cell.address] = { value: cell.value, ...(fill ? { fill } : {}) };
+    }));
+    const zeit = Object.keys(cells).find(a => cells[a].value === 'Zeitpunkt');
+    if (zeit) cells[zeit.replace(/^A/, 'B')].value = '<Zeitpunkt>';
+    out[ws.name] = { merges: [...(ws.model.merges || [])].sort(), cells };
+  });
+  return JSON.parse(JSON.stringify(out).split(stubUrl).join('<mymobase>'));
+}
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    const m = /^\/(\w+)\/p\/([^/?]+)/.exec(req.url);
+    const file = m && PAGES[m[2]];
+    if (!file) { res.writeHead(404); return res.end('not found'); }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(path.join(FIXTURES, 'mymobase', file)).pipe(res);
+  });
+  stubUrl = await listen(stub);
+
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'produktcheck-test-'));
+  process.env.MYMOBASE_BASE_URL = stubUrl;
+  process.env.MYMOBASE_LOCALES = 'de';
+  process.env.CACHE_FILE = path.join(cacheDir, 'cache.jsonl');
+  process.env.DECISIONS_FILE = path.join(cacheDir, 'decisions.jsonl');
+  process.env.TMP_DIR = path.join(cacheDir, 'tmp');
+  process.env.RUNS_DIR = path.join(cacheDir, 'runs');
+  process.env.DISABLE_PLAYWRIGHT = '1';
+  process.env.SCRAPE_RPS = '0';
+  mock.method(console, 'log', () => {});
+  ({ app } = require('../server'));
+  server = http.createServer(app);
+  baseUrl = await listen(server);
+});
+
+after(async () => {
+  await require('../server').scraper.close();
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => stub.close(resolve));
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// info.jobId wird gesetzt, falls der Aufrufer den Job danach abfragen will
+async function runJob(input, fields = {}, info = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  form.append('file', new Blob([input]), 'eingabe.xlsx');
+  const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+  assert.equal(resp.status, 202);
+  const { jobId, statusUrl, resultUrl } = await resp.json();
+  info.jobId = jobId;
+  for (let i = 0; i < 200; i++) {
+    const job = await (await fetch(baseUrl + statusUrl)).json();
+    if (job.state === 'done') break;
+    assert.ok(!['failed', 'cancelled'].includes(job.state), `Job ${job.state}: ${job.error}`);
+    await new Promise(r => setTimeout(r, 50));
+  }
+  const result = await fetch(baseUrl + resultUrl);
+  assert.equal(result.status, 200);
+  return Buffer.from(await result.arrayBuffer());
+}
+
+test('/api/process-excel: Ergebnis entspricht der Golden-Datei', async () => {
+  const actual = await snapshot(await runJob(await buildInput()));
+  if (process.env.UPDATE_GOLDEN === '1') {
+    fs.mkdirSync(path.dirname(GOLDEN), { recursive: true });
+    fs.writeFileSync(GOLDEN, JSON.stringify(actual, null, 2) + '\n');
+  }
+  const golden = JSON.parse(fs.readFileSync(GOLDEN, 'utf8'));
+  assert.deepEqual(Object.keys(actual), Object.keys(golden));
+  for (const sheet of Object.keys(golden)) {
+    assert.deepEqual(actual[sheet].merges, golden[sheet].merges, `verbundene Bereiche in "${sheet}"`);
+    assert.deepEqual(actual[sheet].cells, golden[sheet].cells, `Zellen in "${sheet}"`);
+  }
+});
+
+test('/api/process-excel im Streaming-Modus: gleiche Zellen, keine Zeilenergebnisse', async () => {
+  const info = {};
+  const actual = await snapshot(await runJob(await buildInput(), { streaming: '1' }, info));
+  const golden = JSON.parse(fs.readFileSync(GOLDEN, 'utf8'));
+  // A2V-Links als HYPERLINK-Formel; leere Texte schreibt der Streaming-Writer nicht;
+  // die Abrufzähler hängen vom Cache der vorigen Tests ab
+  const normalize = (cells) => Object.fromEntries(Object.entries(cells).filter(([addr, c]) =>
+    c.value !== '' && cells[addr.replace(/^B/, 'A')]?.value !== 'Web-Abrufe').map(([addr, c]) => {
+    const link = /^HYPERLINK\("(.*)","(.*)"\)$/.exec(c.value?.formula || '');
+    return [addr, link ? { ...c, value: { text: link[2], hyperlink: link[1] } } : c];
+  }));
+  assert.deepEqual(Object.keys(actual), Object.keys(golden));
+  for (const sheet of Object.keys(golden)) {
+    assert.deepEqual(actual[sheet].merges, golden[sheet].merges, `verbundene Bereiche in "${sheet}"`);
+    assert.deepEqual(normalize(actual[sheet].cells), normalize(golden[sheet].cells), `Zellen in "${sheet}"`);
+  }
+
+  const job = await (await fetch(`${baseUrl}/api/jobs/${info.jobId}`)).json();
+  assert.equal(job.streaming, true);
+  assert.equal(job.counts.rows, 6);
+  assert.equal((await fetch(`${baseUrl}/api/jobs/${info.jobId}/rows`)).status, 409);
+  assert.equal((await fetch(`${baseUrl}/api/jobs/${info.jobId}/corrections`)).status, 409);
+  const form = new FormData();
+  form.append('streaming', '1');
+  form.append('file', new Blob([await buildInput()]), 'eingabe.xlsx');
+  form.append('previous', new Blob([await buildInput()]), 'vorher.xlsx');
+  assert.equal((await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form })).status, 400);
+});
+
+test('/api/process-excel: fehlende Pflichtspalten → 422 mit Bericht', async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet('MARA').getCell('A2').value = 'MATNR';
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from(await wb.xlsx.writeBuffer())]), 'leer.xlsx');
+  const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+  assert.equal(resp.status, 422);
+  assert.ok((await resp.json()).report);
+});
+
+test('/api/process-excel: unbekannte Sprache → 400', async () => {
+  const form = new FormData();
+  form.append('locale', 'fr');
+  form.append('file', new Blob([await buildInput()]), 'eingabe.xlsx');
+  const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+  assert.equal(resp.status, 400);
+});
+
+test('/api/process-excel mit vorherigem Ergebnis und /api/diff', async () => {
+  const first = await runJob(await buildInput());
+  const form = new FormData();
+  form.append('file', new Blob([await buildInput()]), 'eingabe.xlsx');
+  form.append('previous', new Blob([first]), 'vorher.xlsx');
+  const resp = await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form });
+  assert.equal(resp.status, 202);
+  const { jobId } = await resp.json();
+  let job;
+  for (let i = 0; i < 200 && job?.state !== 'done'; i++) {
+    await new Promise(r => setTimeout(r, 50));
+    job = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+  }
+  assert.deepEqual(job.changes.rows, { previous: 7, current: 7, added: 0, removed: 0, changed: 0 });
+  assert.equal((await (await fetch(`${baseUrl}/api/jobs/${jobId}/changes`)).json()).changed.length, 0);
+
+  const diff = new FormData();
+  diff.append('previous', new Blob([first]), 'vorher.xlsx');
+  diff.append('current', new Blob([await buildInput()]), 'eingabe.xlsx');
+  const rejected = await fetch(`${baseUrl}/api/diff`, { method: 'POST', body: diff });
+  assert.equal(rejected.status, 422);
+});
+
+test('Laufhistorie: gespeicherte Läufe auflisten, herunterladen und als vorheriges Ergebnis verwenden', async () => {
+  const input = await buildInput();
+  const info = {};
+  const output = await runJob(input, { tolerances: JSON.stringify({ gewicht: { pct: 5 } }) }, info);
+  const list = await (await fetch(`${baseUrl}/api/runs`)).json();
+  const entry = list.runs.find(r => r.id === info.jobId);
+  assert.ok(entry, 'Lauf in der Historie');
+  assert.equal(entry.filename, 'eingabe.xlsx');
+  assert.equal(entry.settings.tolerances.gewicht.pct, 5);
+  assert.equal(entry.settings.mapping.sheets[0].columns.a2v, 'Z');
+  assert.equal(entry.counts.rows, 6);
+  assert.ok(entry.statuses.mismatch > 0);
+  assert.equal(entry.stats, undefined);
+  assert.ok((await (await fetch(`${baseUrl}/api/runs/${info.jobId}`)).json()).stats.fields.gewicht);
+
+  assert.deepEqual(Buffer.from(await (await fetch(baseUrl + entry.inputUrl)).arrayBuffer()), input);
+  assert.deepEqual(Buffer.from(await (await fetch(baseUrl + entry.outputUrl)).arrayBuffer()), output);
+  assert.equal((await fetch(`${baseUrl}/api/runs/unbekannt/output`)).status, 404);
+
+  const info2 = {};
+  await runJob(input, { previousRun: info.jobId }, info2);
+  const job = await (await fetch(`${baseUrl}/api/jobs/${info2.jobId}`)).json();
+  assert.deepEqual(job.changes.rows, { previous: 7, current: 7, added: 0, removed: 0, changed: 0 });
+  const form = new FormData();
+  form.append('previousRun', 'unbekannt');
+  form.append('file', new Blob([input]), 'eingabe.xlsx');
+  assert.equal((await fetch(`${baseUrl}/api/process-excel`, { method: 'POST', body: form })).status, 404);
+});
+
+test('Ergebnisansicht: Zeilen filtern, Prüfentscheidung speichern und im nächsten Lauf übernehmen', async () => {
+  const first = {};
+  await runJob(await buildInput(), {}, first);
+  assert.equal((await fetch(`${baseUrl}/api/jobs/latest/rows`)).status, 404, 'kein Alias auf den letzten Lauf');
+  const rows = await (await fetch(`${baseUrl}/api/jobs/${first.jobId}/rows?status=mismatch&field=gewicht`)).json();
+  const item = rows.items.find(i => i.a2v === 'A2V00000000101');
+  assert.ok(item, 'rote Gewichtszeile der Dichtung');
+  assert.ok(rows.items.every(i => i.status === 'mismatch' && i.field === 'gewicht'));
+  assert.match(item.url, /\/p\/A2V00000000101/);
+  assert.equal(item.decision, null);
+  assert.equal((await fetch(`${baseUrl}/api/jobs/${first.jobId}/rows?status=rot`)).status, 400);
+
+  const put = (body) => fetch(`${baseUrl}/api/decisions`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.equal((await put({ ...item, decision: 'vielleicht' })).status, 400);
+  const saved = await (await put({ a2v: item.a2v, field: item.field, db: item.db, web: item.web, decision: 'web', comment: 'Datenblatt prüfen' })).json();
+  assert.equal(saved.decision, 'web');
+
+  // sofort in der Ansicht sichtbar, im nächsten Lauf im Kommentar und in der Statistik
+  const again = await (await fetch(`${baseUrl}/api/jobs/${first.jobId}/rows?field=gewicht&source=${encodeURIComponent(item.source)}`)).json();
+  assert.equal(again.items.find(i => i.a2v === item.a2v).decision.comment, 'Datenblatt prüfen');
+  const corrections = await fetch(`${baseUrl}/api/jobs/${first.jobId}/corrections?format=csv&fields=gewicht`);
+  assert.equal(JSON.parse(corrections.headers.get('x-corrections-skipped')).decision, 1);
+
+  const wb = new ExcelJS.Workbook();
+  const second = {};
+  await wb.xlsx.load(await runJob(await buildInput(), {}, second));
+  const latest = await (await fetch(`${baseUrl}/api/jobs/${second.jobId}`)).json();
+  assert.equal(latest.stats.decisions.web, 1);
+  const note = wb.getWorksheet('MARA').getCell(`X${item.row}`).note;
+  assert.match(typeof note === 'string' ? note : note.texts.map(t => t.text).join(''), /Prüfentscheidung: Web falsch – Datenblatt prüfen/);
+  // im neuen Lauf geklärt (grau) statt rot
+  const decided = await (await fetch(`${baseUrl}/api/jobs/${second.jobId}/rows?status=decided&field=gewicht`)).json();
+  assert.deepEqual(decided.items.map(i => i.a2v), [item.a2v]);
+  assert.equal(latest.stats.fields.gewicht.decided, 1);
+
+  assert.equal((await fetch(`${baseUrl}/api/decisions/${encodeURIComponent(saved.id)}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await (await fetch(`${baseUrl}/api/decisions`)).json()).total, 0);
+});
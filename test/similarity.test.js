@@ -0,0 +1,75 @@
+// test/similarity.test.js - Text-Ähnlichkeit und Status "ähnlich" für Kurztext/Werkstoff
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { textSimilarity, foldText, applySynonyms } = require('../similarity');
+const { compareRecord, resolveTolerances } = require('../compare');
+
+test('foldText: Umlaute, ß, Satzzeichen, Dezimaltrenner', () => {
+  assert.equal(foldText('Stahl, verzinkt – Ø 20'), 'stahl verzinkt 20');
+  assert.equal(foldText('Größe/Maß'), 'groesse mass');
+  assert.equal(foldText('Café'), 'cafe');
+  assert.equal(foldText('PA 6,6 (1.4301)'), 'pa 6.6 1.4301');
+});
+
+test('textSimilarity: normalisiert, Synonyme, Präfix, Wortreihenfolge', () => {
+  assert.deepEqual(textSimilarity('Stahl verzinkt', 'Stahl, verzinkt').method, 'normalisiert');
+  assert.equal(textSimilarity('Stahl verzinkt', 'verzinkter Stahl').score, 1);
+  assert.equal(textSimilarity('Edelstahl', '1.4301').score, 1);
+  assert.equal(textSimilarity('1.4571', 'Stainless Steel').method, 'Oberbegriff');
+  assert.equal(textSimilarity('PA 6.6', 'Polyamid 66').score, 1);
+
+  // auf 40 Zeichen gekürzter SAP-Kurztext
+  const truncated = textSimilarity('HALTEWINKEL VERZINKT FUER DACHLEITUNG 40', 'Haltewinkel verzinkt für Dachleitung 40x40 mm, Ausführung B');
+  assert.equal(truncated.method, 'Präfix');
+  assert.ok(truncated.score >= 0.9);
+
+  assert.equal(textSimilarity('Dichtung EPDM', 'EPDM Dichtung').method, 'Wörter');
+  assert.ok(textSimilarity('Schraube', 'Mutter').score < 0.5);
+  assert.ok(textSimilarity('Stahl', 'Edelstahl').score < 0.85);
+  assert.equal(textSimilarity('', 'Stahl').score, 0);
+});
+
+test('Oberbegriffe: Werkstoffnummern passen zu "Edelstahl", aber nicht zueinander', () => {
+  assert.ok(textSimilarity('1.4301', '1.4571').score < 0.85);
+  assert.ok(textSimilarity('V2A', 'V4A').score < 0.85);
+  assert.ok(textSimilarity('Edelstahl 1.4301', 'Edelstahl 1.4404').score < 1);
+  const r = compareRecord({ werkstoff: '1.4301' }, { Werkstoff: '1.4571' }, { keys: ['werkstoff'] });
+  assert.equal(r.werkstoff.status, 'mismatch');
+});
+
+test('applySynonyms: längste Wortfolge zuerst, nur ganze Wörter', () => {
+  const synonyms = [['stahl verzinkt', 'stahl verzinkt'], ['verzinkter stahl', 'stahl verzinkt'], ['stahl', 'stahl'], ['steel', 'stahl']];
+  assert.equal(applySynonyms('verzinkter stahl blech', synonyms), 'stahl verzinkt blech');
+  assert.equal(applySynonyms('edelsteel', synonyms), 'edelsteel');
+});
+
+test('compareRecord: Status "similar" mit Score, Schwelle konfigurierbar', () => {
+  const web = { Produkttitel: 'Haltewinkel verzinkt für Dachleitung 40x40 mm', Werkstoff: 'Stahl, verzinkt' };
+  const db = { kurztext: 'Haltewinkel verzinkt fuer Dachleitung', werkstoff: 'Stahl verzinkt' };
+
+  const r = compareRecord(db, web, { keys: ['kurztext', 'werkstoff'], tolerances: resolveTolerances() });
+  assert.equal(r.kurztext.status, 'similar');
+  assert.ok(r.kurztext.score > 0.9);
+  assert.match(r.kurztext.extra, /Ähnlichkeit: \d+ % \(Präfix\)/);
+  assert.equal(r.werkstoff.status, 'similar');
+  assert.equal(r.werkstoff.score, 1);
+
+  const exact = compareRecord({ werkstoff: 'stahl  verzinkt' }, web, { keys: ['werkstoff'], tolerances: resolveTolerances(null, { werkstoff: { sim: 0.9 } }) });
+  assert.equal(exact.werkstoff.status, 'similar');
+  const off = compareRecord(db, web, { keys: ['kurztext', 'werkstoff'], tolerances: resolveTolerances(null, { kurztext: { sim: 0 }, werkstoff: { sim: 0 } }) });
+  assert.equal(off.kurztext.status, 'mismatch');
+  assert.equal(off.kurztext.score, null);
+
+  const strict = compareRecord({ kurztext: 'Schraube' }, { Produkttitel: 'Mutter' }, { keys: ['kurztext'] });
+  assert.equal(strict.kurztext.status, 'mismatch');
+  assert.ok(strict.kurztext.score < 0.5);
+});
+
+test('resolveTolerances: sim nur für Textfelder und zwischen 0 und 1', () => {
+  assert.equal(resolveTolerances(null, { kurztext: { sim: '0.7' } }).kurztext.sim, 0.7);
+  assert.throws(() => resolveTolerances(null, { kurztext: { sim: 1.5 } }), /Ungültige Toleranz/);
+  assert.throws(() => resolveTolerances(null, { kurztext: { pct: 5 } }), /Toleranzart/);
+  assert.throws(() => resolveTolerances(null, { gewicht: { sim: 0.5 } }), /Toleranzart/);
+});
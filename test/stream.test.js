@@ -0,0 +1,174 @@
+// test/stream.test.js - Streaming-Pfad (stream.js): gleiche Ausgabe wie processWorkbook, Abfragen in Blöcken,
+// Spaltenerkennung vorab mit scanWorkbook.
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { processWorkbook } = require('../workbook');
+const { processWorkbookStream, scanWorkbook } = require('../stream');
+const { MappingError } = require('../mapping');
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'produktcheck-stream-'));
+  mock.method(console, 'log', () => {});
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Scraper-Ersatz: feste Web-Daten je Nummer, merkt sich die Abfrageblöcke
+function fakeScraper(pages) {
+  return {
+    calls: [],
+    sources: { resolve: (id) => /^A2V/.test(id) ? 'mymobase' : null },
+    sourceFor(id) { return this.sources.resolve(id); },
+    urlFor: (id) => `https://example.test/p/${id}`,
+    async scrapeMany(tasks, concurrency, { force, onProgress } = {}) {
+      const ids = [...new Set(tasks.map(t => t.id))];
+      this.calls.push({ ids, force: !!force });
+      const out = new Map();
+      for (const id of ids) {
+        const web = pages[id] || { Status: 'Fehler: HTTP 404', Produkttitel: 'Nicht gefunden' };
+        out.set(id, web);
+        onProgress?.({ a2v: id, result: web, cached: false });
+      }
+      return out;
+    }
+  };
+}
+
+const PAGES = {
+  A2V00000000001: { Status: 'MyMobase', Produkttitel: 'Halter verzinkt', Werkstoff: 'Stahl', Gewicht: '162 g', Abmessung: '42 x 40 x 40 mm', 'Weitere Artikelnummer': 'ABC-123' },
+  A2V00000000002: { Status: 'MyMobase', Produkttitel: 'Schraube M6', Werkstoff: 'Edelstahl A2', Gewicht: '0,2 kg', Materialklassifizierung: 'Nicht relevant' },
+  A2V00000000003: { Status: 'MyMobase', Produkttitel: 'Dichtung', Gewicht: '13 g', Abmessung: '10,5 x 20 x 3 mm' }
+};
+
+// Eingabe wie in process-excel.test.js; die Nummern wiederholen sich über mehrere Blöcke
+async function buildInput(file, rows = 9) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('MARA');
+  const cols = ['A', 'C', 'E', 'N', 'P', 'S', 'T', 'U', 'V', 'W', 'Z'];
+  const codes = ['MATNR', 'MAKTX', 'MFRPN', 'FERTH', 'WRKST', 'NTGEW', 'GEWEI', 'LAENG', 'BREIT', 'HOEHE', 'ZA2V'];
+  const names = ['Material', 'Materialkurztext', 'Her.-Artikelnummer', 'Fert./Prüfhinweis', 'Werkstoff', 'Nettogewicht', 'Gewichtseinheit', 'Länge', 'Breite', 'Höhe', 'Produkt-ID'];
+  cols.forEach((c, i) => { ws.getCell(`${c}2`).value = codes[i]; ws.getCell(`${c}3`).value = names[i]; });
+  ws.getCell('C3').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } };
+  // Verbindungen und Breiten der Eingabe: über, zwischen und rechts der Paare
+  ws.getCell('F1').value = 'Gruppe';
+  ws.mergeCells('F1:H1');
+  ws.mergeCells('AA4:AB4');
+  ws.getColumn('C').width = 30;
+  ws.getColumn('F').width = 12;
+  ws.getColumn('Z').width = 20;
+  const ids = [...Object.keys(PAGES), 'A2V00000009999', null];
+  for (let i = 0; i < rows; i++) {
+    const values = [`10000${i}`, i % 2 ? 'Schraube' : 'Halter verzinkt', 'ABC-123', 'OHNE/N/N/N/N', 'Stahl', 0.162, 'KG', 42, 40, 40, ids[i % ids.length]];
+    cols.forEach((c, j) => { ws.getCell(`${c}${i + 4}`).value = values[j]; });
+  }
+  const info = wb.addWorksheet('Leer'); // Hinweisblatt ohne Produktnummern
+  info.getCell('A1').value = 'Hinweise';
+  info.mergeCells('A1:B2');
+  info.getColumn(1).width = 40;
+  await wb.xlsx.writeFile(file);
+}
+
+// Zellwerte, Füllfarben, Kommentare, Verbindungen und Spaltenbreiten je Blatt (Zeitpunkt der Zusammenfassung
+// ausgenommen; leere Texte schreibt der WorkbookWriter nicht; HYPERLINK-Formeln wie Zell-Hyperlinks)
+async function snapshot(file) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(file);
+  const out = {};
+  wb.eachSheet(ws => {
+    const cells = {};
+    ws.eachRow(row => row.eachCell(cell => {
+      if (cell.value === 'Zeitpunkt' || cell.value === '') return;
+      if (ws.getCell(`A${cell.row}`).value === 'Zeitpunkt') return;
+      const link = /^HYPERLINK\("(.*)","(.*)"\)$/.exec(cell.value?.formula || '');
+      const value = link ? { text: link[2], hyperlink: link[1] } : cell.value;
+      const note = typeof cell.note === 'string' ? cell.note : cell.note?.texts?.map(t => t.text).join('');
+      cells[cell.address] = { value, fill: cell.fill?.fgColor?.argb || null, note: note || null };
+    }));
+    const widths = Object.fromEntries((ws.columns || []).filter(c => c.width).map(c => [c.letter, c.width]));
+    out[ws.name] = { merges: [...(ws.model.merges || [])].sort(), widths, cells };
+  });
+  return out;
+}
+
+test('Streaming-Ausgabe entspricht processWorkbook', async () => {
+  const input = path.join(dir, 'eingabe.xlsx');
+  await buildInput(input);
+
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(input);
+  const memory = await processWorkbook(wb, { scraper: fakeScraper(PAGES), filename: 'eingabe.xlsx' });
+  fs.writeFileSync(path.join(dir, 'speicher.xlsx'), memory.buffer);
+
+  const scraper = fakeScraper(PAGES);
+  const streamed = await processWorkbookStream(input, path.join(dir, 'stream.xlsx'), { scraper, filename: 'eingabe.xlsx', batchSize: 4 });
+
+  const expected = await snapshot(path.join(dir, 'speicher.xlsx'));
+  const actual = await snapshot(path.join(dir, 'stream.xlsx'));
+  assert.deepEqual(Object.keys(actual), Object.keys(expected));
+  for (const sheet of Object.keys(expected)) {
+    assert.deepEqual(actual[sheet].merges, expected[sheet].merges, `verbundene Bereiche in "${sheet}"`);
+    assert.deepEqual(actual[sheet].widths, expected[sheet].widths, `Spaltenbreiten in "${sheet}"`);
+    assert.deepEqual(actual[sheet].cells, expected[sheet].cells, `Zellen in "${sheet}"`);
+  }
+  assert.deepEqual(streamed.stats.fields, memory.stats.fields);
+  assert.deepEqual(streamed.codes, memory.codes);
+  assert.equal(streamed.rows, null);
+});
+
+test('Streaming-Ausgabe entspricht processWorkbook auch in den Layouts separate und long', async () => {
+  const input = path.join(dir, 'layouts.xlsx');
+  await buildInput(input);
+  for (const layout of ['separate', 'long']) {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.readFile(input);
+    const memory = await processWorkbook(wb, { scraper: fakeScraper(PAGES), filename: 'layouts.xlsx', layout });
+    fs.writeFileSync(path.join(dir, `${layout}-speicher.xlsx`), memory.buffer);
+    const streamed = await processWorkbookStream(input, path.join(dir, `${layout}-stream.xlsx`), {
+      scraper: fakeScraper(PAGES), filename: 'layouts.xlsx', batchSize: 4, layout
+    });
+    const expected = await snapshot(path.join(dir, `${layout}-speicher.xlsx`));
+    const actual = await snapshot(path.join(dir, `${layout}-stream.xlsx`));
+    assert.deepEqual(Object.keys(actual), Object.keys(expected), layout);
+    for (const sheet of Object.keys(expected)) {
+      assert.deepEqual(actual[sheet].merges, expected[sheet].merges, `${layout}: verbundene Bereiche in "${sheet}"`);
+      assert.deepEqual(actual[sheet].widths, expected[sheet].widths, `${layout}: Spaltenbreiten in "${sheet}"`);
+      assert.deepEqual(actual[sheet].cells, expected[sheet].cells, `${layout}: Zellen in "${sheet}"`);
+    }
+    assert.deepEqual(streamed.stats.fields, memory.stats.fields, layout);
+  }
+});
+
+test('Abfragen in Blöcken: force nur beim ersten Abruf einer Nummer', async () => {
+  const input = path.join(dir, 'bloecke.xlsx');
+  await buildInput(input, 10);
+  const scraper = fakeScraper(PAGES);
+  const progress = [];
+  await processWorkbookStream(input, path.join(dir, 'bloecke-out.xlsx'), {
+    scraper, force: true, batchSize: 3, onProgress: (p) => progress.push(p.a2v)
+  });
+  // 10 Datenzeilen in Blöcken zu 3 → 4 Blöcke; wiederholte Nummern ohne force
+  assert.equal(scraper.calls.filter(c => c.force).length, 4);
+  assert.ok(scraper.calls.filter(c => !c.force).every(c => c.ids.length));
+  assert.ok(scraper.calls.every(c => c.ids.length <= 3));
+  assert.deepEqual(progress.sort(), [...Object.keys(PAGES), 'A2V00000009999'].sort());
+});
+
+test('scanWorkbook: Spalten erkennen, Produktzeilen zählen, fehlende Pflichtspalten melden', async () => {
+  const input = path.join(dir, 'scan.xlsx');
+  await buildInput(input, 10);
+  const { mapping, rows, total } = await scanWorkbook(input, { sources: fakeScraper(PAGES).sources, sampleRows: 3 });
+  assert.deepEqual(mapping.sheets.map(s => s.sheet), ['MARA']);
+  assert.equal(mapping.sheets[0].columns.a2v, 'Z');
+  assert.equal(rows, 8);
+  assert.equal(total, 4);
+
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet('MARA').getCell('A2').value = 'MATNR';
+  await wb.xlsx.writeFile(path.join(dir, 'kaputt.xlsx'));
+  await assert.rejects(scanWorkbook(path.join(dir, 'kaputt.xlsx')), MappingError);
+});
@@ -0,0 +1,80 @@
+// test/utils.test.js - Normalisierung: Maße, Gewichte, Herstellartikelnummern, Materialklassifizierung
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDimensionsToLBH, matchDimensions, parseWeight, weightToKg, mapMaterialClassificationToExcel, parsePartNumbers } = require('../utils');
+const { compareRecord } = require('../compare');
+
+mock.method(console, 'log', () => {});
+
+const DIMENSIONS = [
+  // Eingabe, erwartet { L, B, H, D, shape, explicitDiameter }
+  ['42 x 40 x 40 mm',     { L: 42, B: 40, H: 40, D: null, shape: 'cuboid', explicitDiameter: false }],
+  ['40X40X42',            { L: 40, B: 40, H: 42, D: null, shape: 'cuboid', explicitDiameter: false }],
+  ['10,5 × 20 × 3 mm',    { L: 10.5, B: 20, H: 3, D: null, shape: 'cuboid', explicitDiameter: false }],
+  ['1*2*3 cm',            { L: 10, B: 20, H: 30, D: null, shape: 'cuboid', explicitDiameter: false }],
+  ['0,5/0,25/0,1 m',      { L: 500, B: 250, H: 100, D: null, shape: 'cuboid', explicitDiameter: false }],
+  ['30 x 20 mm',          { L: null, B: 30, H: 20, D: 30, shape: 'cylinder', explicitDiameter: false }],
+  ['Ø20x30',              { L: null, B: 20, H: 30, D: 20, shape: 'cylinder', explicitDiameter: true }],
+  ['⌀ 20 x 30 mm',        { L: null, B: 20, H: 30, D: 20, shape: 'cylinder', explicitDiameter: true }],
+  ['D=20 H=30',           { L: null, B: 20, H: 30, D: 20, shape: 'cylinder', explicitDiameter: true }],
+  ['Durchmesser 20',      { L: null, B: 20, H: null, D: 20, shape: 'cylinder', explicitDiameter: true }],
+  ['200 mm',              { L: null, B: null, H: null, D: null, shape: null, explicitDiameter: false }],
+  ['',                    { L: null, B: null, H: null, D: null, shape: null, explicitDiameter: false }]
+];
+
+for (const [input, expected] of DIMENSIONS) {
+  test(`parseDimensionsToLBH: "${input}"`, () => {
+    assert.deepEqual(parseDimensionsToLBH(input), expected);
+  });
+}
+
+test('matchDimensions: Zuordnung unabhängig von der Reihenfolge', () => {
+  const m = matchDimensions({ L: 40, B: 42, H: 40 }, '42 x 40 x 40 mm');
+  assert.deepEqual([m.L.value, m.B.value, m.H.value], [40, 42, 40]);
+  assert.equal(m.B.label, '1. Zahl');
+});
+
+test('matchDimensions: Zylinder mit Ø zählt als Ø × Ø × H', () => {
+  const m = matchDimensions({ L: 20, B: 20, H: 30 }, 'Ø20x30');
+  assert.deepEqual([m.L.label, m.B.label, m.H.label], ['Ø', 'Ø', 'Höhe']);
+});
+
+test('parseWeight / weightToKg', () => {
+  assert.deepEqual(parseWeight('0,162 kg'), { value: 0.162, unit: 'kg' });
+  assert.deepEqual(parseWeight('162 g'), { value: 162, unit: 'g' });
+  assert.equal(weightToKg(162, 'g'), 0.162);
+  assert.equal(weightToKg(2, 't'), 2000);
+});
+
+test('parsePartNumbers: Array, Trennzeichen, Duplikate', () => {
+  assert.deepEqual(parsePartNumbers('ABC-1, XYZ 9;DI-77/4'), ['ABC-1', 'XYZ 9', 'DI-77/4']);
+  assert.deepEqual(parsePartNumbers(['ABC-1', ['abc 1', 'K2'], null, { code: 'x' }]), ['ABC-1', 'K2']);
+  assert.deepEqual(parsePartNumbers(null), []);
+  assert.deepEqual(parsePartNumbers(' ; '), []);
+});
+
+test('Herstellartikelnummer: Treffer in der Web-Liste, kein A2V als Ersatz', () => {
+  const cmp = (db, web) => compareRecord({ artikelnummer: db }, { 'Weitere Artikelnummer': web }, { keys: ['artikelnummer'] }).artikelnummer;
+  const hit = cmp('xyz-9', 'ABC-1, XYZ 9');
+  assert.equal(hit.status, 'match');
+  assert.equal(hit.matched, 'XYZ 9');
+  assert.deepEqual(hit.partNumbers, ['ABC-1', 'XYZ 9']);
+  assert.equal(hit.webValue, 'ABC-1, XYZ 9');
+  assert.match(hit.extra, /Treffer: XYZ 9/);
+
+  assert.equal(cmp('K-7', 'ABC-1, XYZ 9').status, 'mismatch');
+  const none = cmp('ABC-1', 'Nicht gefunden');
+  assert.equal(none.status, 'missing');
+  assert.equal(none.webValue, null);
+  assert.equal(cmp('', 'ABC-1').status, 'missing');
+});
+
+test('mapMaterialClassificationToExcel: deutsche und englische Formulierung', () => {
+  assert.equal(mapMaterialClassificationToExcel('Nicht Schweiß-/Guss-/Klebe-/Schmiedeteil relevant'), 'OHNE/N/N/N/N');
+  assert.equal(mapMaterialClassificationToExcel('Not welding/casting/bonding/forging relevant'), 'OHNE/N/N/N/N');
+  assert.equal(mapMaterialClassificationToExcel('Schweißteil relevant'), 'MIT/J/N/N/N');
+  assert.equal(mapMaterialClassificationToExcel('Sonderprüfung erforderlich'), '');
+  assert.equal(mapMaterialClassificationToExcel(null), '');
+});
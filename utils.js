@@ -1,5 +1,7 @@
 // utils.js - Normalisierung & Mapping (aktualisiert)
 
+const { classifyMaterial } = require('./classification');
+
 function a2vUrl(a2v) {
   const id = (a2v || '').toString().trim();
   return `https://www.mymobase.com/de/p/${id}`;
@@ -33,6 +35,13 @@ function parseWeight(value) {
   return { value: num, unit };
 }
 
+// SAP-Gewichtseinheit (GEWEI) → Einheit für weightToKg; unbekannt/leer → ''
+function normWeightUnit(u) {
+  const s = String(u ?? '').trim().toUpperCase();
+  const map = { KG: 'kg', G: 'g', GR: 'g', GRM: 'g', MG: 'mg', T: 't', TO: 't', TNE: 't' };
+  return map[s] || '';
+}
+
 // Für Vergleich: in kg umrechnen
 function weightToKg(value, unit) {
   if (value == null) return null;
@@ -44,79 +53,163 @@ function weightToKg(value, unit) {
   return value;
 }
 
+function toMm(n, scale) {
+  return Math.round(n * scale * 1000) / 1000;
+}
+
 /**
  * Dimensions-Parser:
  * - akzeptiert "L×B×H", "LxBxH", "40X40X42", "30x20x10 mm", etc.
  * - Standard-Reihenfolge: Länge × Breite × Höhe (L×B×H)
- * - unterstützt auch Zylinder-Formate: "D×H", "DxH", "20x30 mm" (Durchmesser x Höhe)
- * - Ergebnis in mm (falls Einheiten erkennbar), sonst roh.
+ * - Zylinder mit ausdrücklichem Durchmesser: "Ø20x30", "⌀ 20 x 30 mm", "D=20 H=30", "Durchmesser 20"
+ * - zwei Zahlen ohne Kennzeichnung ("20x30 mm") werden weiterhin als Durchmesser x Höhe geraten
+ * - Ergebnis in mm (falls Einheiten erkennbar), sonst roh; Nachkommastellen bleiben erhalten
+ *   (Rundung auf 0,001 nur gegen Gleitkomma-Rauschen), Toleranzen regelt der Vergleich.
+ * Liefert { L, B, H, D, shape: 'cuboid'|'cylinder'|null, explicitDiameter }; beim Zylinder gilt B = D.
  */
 function parseDimensionsToLBH(text) {
-  if (!text) return { L: null, B: null, H: null };
+  const result = { L: null, B: null, H: null, D: null, shape: null, explicitDiameter: false };
+  if (!text) return result;
   const raw = String(text).trim();
 
-  // 1) Einheit in mm|cm|m erkennen, aber entfernen
+  // 1) Normalisieren: Dezimalkomma → Punkt, Trenner (×, X, *, /, ;) → x
+  const s = raw.toLowerCase()
+               .replace(/(\d),(\d)/g, '$1.$2')
+               .replace(/⌀/g, 'ø')
+               .replace(/[×*\/;]/g, 'x');
+
+  // 2) Einheit erkennen: cm → 10, m → 1000, sonst mm ("mm" darf nicht als "m" zählen)
   let scale = 1;
-  let s = raw.toLowerCase()
-             .replace(/[,;]/g, '.')          // Komma oder Semikolon → Punkt
-             .replace(/\s+/g, '')            // Leerzeichen killen
-             .replace(/[×xX*/]/g, 'x');      // *, ×, X, / → x
-
-  if (/cm\b/.test(s)) { scale = 10;  s = s.replace(/cm\b/g, ''); }
-  if (/(^|\D)m\b/.test(s)) { scale = 1000; s = s.replace(/m\b/g, ''); }
-
-  // 2) Bis zu 3 Zahlen extrahieren - verbesserte Regex für verschiedene Formate
-  const nums = (s.match(/-?\d+(?:\.\d+)?/g) || []).map(parseFloat);
-  
-  let L, B, H;
-  
+  if (/(\d|\s)cm\b/.test(s)) scale = 10;
+  else if (/(\d|\s)m\b/.test(s)) scale = 1000;
+
+  // 3) Zahlen mit Position extrahieren
+  const nums = [...s.matchAll(/-?\d+(?:\.\d+)?/g)].map(m => ({ value: parseFloat(m[0]), index: m.index }));
+
+  // 4) Ausdrücklicher Durchmesser
+  const dm = /(ø|durchmesser|(?:^|[^a-z])d)\s*[=:]?\s*(?=-?\d)/.exec(s);
+  if (dm) {
+    const dIndex = dm.index + dm[0].length;
+    const d = nums.find(n => n.index === dIndex);
+    const h = nums.find(n => n !== d);
+    if (d) {
+      result.D = result.B = toMm(d.value, scale);
+      result.H = h ? toMm(h.value, scale) : null;
+      result.shape = 'cylinder';
+      result.explicitDiameter = true;
+      return result;
+    }
+  }
+
   if (nums.length === 2) {
     // Zylinder-Format: Durchmesser x Höhe
     // Durchmesser = Breite (B), Höhe = Höhe (H), Länge = null
-    L = null;
-    B = nums[0] != null ? Math.round(nums[0] * scale) : null;
-    H = nums[1] != null ? Math.round(nums[1] * scale) : null;
-    console.log(`Parsed cylinder dimensions: "${raw}" -> Durchmesser:${B}, Höhe:${H}`);
+    result.D = result.B = toMm(nums[0].value, scale);
+    result.H = toMm(nums[1].value, scale);
+    result.shape = 'cylinder';
+    console.log(`Parsed cylinder dimensions: "${raw}" -> Durchmesser:${result.B}, Höhe:${result.H}`);
   } else if (nums.length === 3) {
     // Quader-Format: Länge x Breite x Höhe (Standard-Reihenfolge)
-    [L, B, H] = nums.map(n => n != null ? Math.round(n * scale) : null);
-    console.log(`Parsed cuboid dimensions: "${raw}" -> Länge:${L}, Breite:${B}, Höhe:${H}`);
+    [result.L, result.B, result.H] = nums.map(n => toMm(n.value, scale));
+    result.shape = 'cuboid';
+    console.log(`Parsed cuboid dimensions: "${raw}" -> Länge:${result.L}, Breite:${result.B}, Höhe:${result.H}`);
   } else {
     // Unbekanntes Format
-    L = B = H = null;
     console.log(`Unknown dimension format: "${raw}"`);
   }
 
-  return { L, B, H };
+  return result;
 }
 
+/**
+ * Reihenfolge-unabhängige Zuordnung der Web-Maße zu den DB-Maßen { L, B, H }.
+ * Ein Zylinder zählt als Ø × Ø × H (Hüllquader). Gewählt wird die Zuordnung mit der
+ * kleinsten Summe der Abweichungen; DB-Maße ohne Wert erhalten übrig gebliebene Web-Zahlen.
+ * Liefert { L, B, H } mit je { value, label } oder null, label z.B. "2. Zahl" oder "Ø".
+ */
+function matchDimensions(db, webText) {
+  const d = parseDimensionsToLBH(webText);
+  let items;
+  if (d.shape === 'cylinder') {
+    items = d.explicitDiameter
+      ? [{ value: d.D, label: 'Ø' }, { value: d.D, label: 'Ø' }, { value: d.H, label: 'Höhe' }]
+      : [{ value: d.B, label: '1. Zahl' }, { value: d.H, label: '2. Zahl' }];
+  } else if (d.shape === 'cuboid') {
+    items = [d.L, d.B, d.H].map((value, i) => ({ value, label: `${i + 1}. Zahl` }));
+  } else {
+    items = [];
+  }
+  items = items.filter(it => it.value != null);
+
+  const dims = ['L', 'B', 'H'];
+  const withDb = dims.filter(k => db[k] != null);
+  let best = null, bestCost = Infinity;
+  const search = (i, used, picked, cost) => {
+    if (cost >= bestCost) return;
+    if (i === withDb.length) { best = picked.slice(); bestCost = cost; return; }
+    let any = false;
+    for (let j = 0; j < items.length; j++) {
+      if (used.has(j)) continue;
+      any = true;
+      used.add(j); picked.push(j);
+      search(i + 1, used, picked, cost + Math.abs(db[withDb[i]] - items[j].value));
+      used.delete(j); picked.pop();
+    }
+    if (!any) { picked.push(-1); search(i + 1, used, picked, cost); picked.pop(); }
+  };
+  search(0, new Set(), [], 0);
+
+  const out = { L: null, B: null, H: null };
+  const used = new Set();
+  withDb.forEach((k, i) => {
+    const j = best ? best[i] : -1;
+    if (j >= 0) { out[k] = items[j]; used.add(j); }
+  });
+  const rest = items.filter((_, j) => !used.has(j));
+  for (const k of dims) if (db[k] == null && rest.length) out[k] = rest.shift();
+  return out;
+}
 
 function normPartNo(s) {
   if (!s) return '';
   return String(s).toUpperCase().replace(/[\s\-\/_]+/g, '');
 }
 
+// Herstellartikelnummern als Liste: Array (auch verschachtelt) oder Text mit ",", ";", "|" bzw. Zeilenumbruch;
+// Duplikate (nach normPartNo) entfernt, Reihenfolge bleibt – "ABC-1, XYZ 9" → ['ABC-1', 'XYZ 9']
+function parsePartNumbers(value) {
+  const list = Array.isArray(value) ? value.flat(Infinity) : [value];
+  const seen = new Set();
+  const out = [];
+  for (const item of list) {
+    if (item == null || typeof item === 'object') continue;
+    for (const part of String(item).split(/[,;|\n]+/)) {
+      const p = part.trim();
+      if (!p || seen.has(normPartNo(p))) continue;
+      seen.add(normPartNo(p));
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+// Toleranz { abs, pct }: erlaubt ist die größere der beiden Abweichungen (pct bezogen auf den DB-Wert)
+function withinTolerance(dbVal, webVal, { abs = 0, pct = 0 } = {}) {
+  if (dbVal == null || webVal == null) return false;
+  const diff = Math.abs(dbVal - webVal);
+  const tol = Math.max(Number(abs) || 0, Math.abs(dbVal) * ((Number(pct) || 0) / 100));
+  if (tol <= 0) return diff < 1e-9; // streng
+  return diff <= tol + 1e-9;
+}
+
 function withinToleranceKG(exKg, wbKg, tolPct) {
-  if (exKg == null || wbKg == null) return false;
-  const diff = Math.abs(exKg - wbKg);
-  if (!tolPct || tolPct <= 0) return diff < 1e-9; // streng
-  const tol = Math.abs(exKg) * (tolPct / 100);
-  return diff <= tol;
+  return withinTolerance(exKg, wbKg, { pct: tolPct });
 }
 
+// deutsche und englische Formulierung (MyMobase /de/ bzw. /en/) → Code, '' wenn nicht zuordenbar;
+// Zuordnung und Bericht unbekannter Formulierungen siehe classification.js
 function mapMaterialClassificationToExcel(text) {
-  if (!text) return '';
-  const s = String(text).toLowerCase();
-  const hasNicht = /nicht/.test(s);
-  const hasSchweiss = /schwei|schweiß|schweiss/.test(s);
-  const hasGuss = /guss/.test(s);
-  const hasKlebe = /klebe/.test(s);
-  const hasSchmiede = /schmiede/.test(s);
-  const hasRelevant = /relev/.test(s);
-  if (hasNicht && (hasSchweiss || hasGuss || hasKlebe || hasSchmiede) && hasRelevant) {
-    return 'OHNE/N/N/N/N';
-  }
-  return '';
+  return classifyMaterial(text).code;
 }
 
 // „OHNE/N  /N  /N/N “ -> "OHNE/N/N/N/N"
@@ -130,9 +223,13 @@ module.exports = {
   cleanNumberString,
   toNumber,
   parseWeight,
+  normWeightUnit,
   weightToKg,
   parseDimensionsToLBH,
+  matchDimensions,
   normPartNo,
+  parsePartNumbers,
+  withinTolerance,
   withinToleranceKG,
   mapMaterialClassificationToExcel,
   normalizeNCode
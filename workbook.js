@@ -0,0 +1,561 @@
+// workbook.js - Umbau einer SAP-Exportmappe zur DB/Web-Vergleichstabelle.
+// Gemeinsam genutzt vom Server (POST /api/process-excel) und vom Kommandozeilenwerkzeug (cli.js).
+
+const {
+  FIELDS,
+  STATUSES,
+  STATUS_COLORS,
+  FILL_COLORS,
+  compareRecord,
+  buildComparisonNote,
+  resolveTolerances,
+  resolveDimensionMode
+} = require('./compare');
+const { loadProfile, mapWorkbook, cellText } = require('./mapping');
+const { addSummarySheet, uniqueSheetName, STATUS_HEADERS } = require('./summary');
+const { readRun, diffRuns, addChangesSheet } = require('./diff');
+const { proposeValue } = require('./corrections');
+const { formatDecision, DECISIONS } = require('./decisions');
+const { newFetchStats } = require('./sources/http');
+const { FIELD_BY_KEY } = require('./fields');
+const {
+  COMPARE_SHEET, LONG_HEADERS, resolveLayout, resolveBanners, placeBanners, applyBanners, parseRange, overlaps, separateColumns,
+  getColumnLetter, getColumnIndex
+} = require('./layout');
+
+const SCRAPE_CONCURRENCY = Number(process.env.SCRAPE_CONCURRENCY || 4);
+// Maße stehen in der DB in mm (siehe compare.js)
+const LENGTH_UNIT = 'MM';
+// Statustext im Langformat, z.B. "Rot (ungleich)"
+const STATUS_LABELS = Object.fromEntries(STATUS_HEADERS);
+
+// -------- Layout-Berechnung / Struktur ----------
+// mapping.columns: { key: Originalbuchstabe } aus detectColumns(); lastCol = letzte belegte Spalte der Eingabe
+function calculateNewColumnStructure(lastCol, mapping) {
+  const newStructure = { pairs: [], otherCols: new Map(), totalInsertedCols: 0 };
+  const present = FIELDS
+    .filter(p => mapping.columns[p.key])
+    .map(p => ({ ...p, original: mapping.columns[p.key] }))
+    .sort((a, b) => getColumnIndex(a.original) - getColumnIndex(b.original));
+  let insertedCols = 0;
+
+  // Für jedes DB/Web-Paar fügen wir rechts daneben 1 Spalte ein
+  for (const pair of present) {
+    const originalIndex = getColumnIndex(pair.original);
+    const adjustedOriginalIndex = originalIndex + insertedCols;
+    newStructure.pairs.push({
+      ...pair,
+      dbCol: getColumnLetter(adjustedOriginalIndex),
+      webCol: getColumnLetter(adjustedOriginalIndex + 1)
+    });
+    insertedCols++;
+  }
+  newStructure.totalInsertedCols = insertedCols;
+
+  // Andere Spalten passend verschieben (Mapping alt → neu)
+  for (let colIndex = 1; colIndex <= lastCol; colIndex++) {
+    const originalLetter = getColumnLetter(colIndex);
+    const isPairColumn = present.some(p => p.original === originalLetter);
+    if (!isPairColumn) {
+      const insertedBefore = present.filter(p => getColumnIndex(p.original) < colIndex).length;
+      const newLetter = getColumnLetter(colIndex + insertedBefore);
+      newStructure.otherCols.set(originalLetter, newLetter);
+    }
+  }
+  // Spaltennummer der Eingabe → Spaltennummer der Ausgabe (auch rechts von lastCol)
+  const originals = present.map(p => getColumnIndex(p.original));
+  newStructure.shift = (colIndex) => colIndex + originals.filter(i => i < colIndex).length;
+  return newStructure;
+}
+
+// -------- Formatierungen ----------
+// Mehrere Herstellartikelnummern als Rich Text, die zur DB-Nummer passende fett hervorgehoben
+function highlightPart(numbers, matched) {
+  return {
+    richText: numbers.flatMap((n, i) => [
+      ...(i ? [{ text: ', ' }] : []),
+      n === matched ? { font: { bold: true, underline: true }, text: n } : { text: n }
+    ])
+  };
+}
+
+function fillColor(ws, addr, color) {
+  if (!color) return;
+  ws.getCell(addr).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: FILL_COLORS[color] || FILL_COLORS.green } };
+}
+function copyColumnFormatting(ws, fromCol, toCol, rowStart, rowEnd) {
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const fromCell = ws.getCell(`${fromCol}${row}`);
+    const toCell   = ws.getCell(`${toCol}${row}`);
+    if (fromCell.fill)      toCell.fill = fromCell.fill;
+    if (fromCell.font)      toCell.font = fromCell.font;
+    if (fromCell.border)    toCell.border = fromCell.border;
+    if (fromCell.alignment) toCell.alignment = fromCell.alignment;
+    if (fromCell.style)     Object.assign(toCell.style, fromCell.style);
+  }
+}
+function applyLabelCellFormatting(ws, addr, isWebCell = false) {
+  const cell = ws.getCell(addr);
+  fillColor(ws, addr, isWebCell ? 'webBlue' : 'dbBlue');
+  cell.border = { top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'} };
+  cell.font = { bold: true, size: 10 };
+  cell.alignment = { horizontal: 'center', vertical: 'middle' };
+}
+
+// -------- Header-Zeilen (Code + Spaltenname) pro DB/Web-Paar zusammenfassen --------
+function mergePairHeaders(ws, pairs, { codeRow = 2, headerRow = 3 } = {}) {
+  for (const pair of pairs) {
+    const dbCol  = pair.dbCol;   // Buchstabe, z.B. "C"
+    const webCol = pair.webCol;  // Buchstabe, z.B. "D"
+    if (!dbCol || !webCol) continue;
+
+    for (const row of [codeRow, headerRow]) {
+      // Vorhandene Merges lösen (falls schon gemergt)
+      try { ws.unMergeCells(`${dbCol}${row}:${webCol}${row}`); } catch {}
+
+      // Wert aus DB-Header holen (wir verwenden bewusst die DB-Seite als Quelle)
+      const src = ws.getCell(`${dbCol}${row}`);
+      const { value, fill, font, border } = src;
+
+      // Merge durchführen, Wert und Optik oben links der Merge-Range setzen
+      ws.mergeCells(`${dbCol}${row}:${webCol}${row}`);
+      const top = ws.getCell(`${dbCol}${row}`);
+      top.value = value;
+      top.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+      if (fill)   top.fill   = fill;
+      if (font)   top.font   = font;
+      if (border) top.border = border;
+    }
+  }
+}
+
+/**
+ * Kompletter Umbau eines geladenen Workbooks: Produktnummern einsammeln, abfragen,
+ * DB/Web-Spalten einfügen und Web-Werte vergleichen.
+ * Optionen: scraper (SiemensProductScraper), concurrency (parallele Abfragen),
+ *           profile (Mapping-Profil), mapping (Ergebnis von mapWorkbook, sonst hier ermittelt),
+ *           tolerances (Ergebnis von resolveTolerances), dimensionMode ('ordered' | 'sorted'),
+ *           signal (Abbruch), force (Cache ignorieren), cacheOnly (nur Cache, nichts abrufen),
+ *           locales (Sprachkette für MyMobase, z.B. ['en', 'de']),
+ *           filename (für die Zusammenfassung), previous (readRun() einer früheren Ausgabe → Blatt "Änderungen"),
+ *           decisions (DecisionStore – gespeicherte Prüfentscheidungen werden übernommen),
+ *           layout ('side-by-side' | 'separate' | 'long', siehe layout.js), banners (Ergebnis von resolveBanners)
+ * hooks: onPhase(phase), onRows({ rows, total }), onProgress(...) – siehe scraper.scrapeMany
+ * Liefert { buffer, stats, rows, codes, changes } mit stats.fields[key] = { match, tolerance, mismatch, missing, unit },
+ * stats.fetch = Abrufzähler (Anfragen, Wiederholungen, Fehlschläge, Zeitüberschreitungen, Circuit Breaker),
+ * stats.classification = { Klassifizierungstext: Anzahl } für nicht (vollständig) zuordenbare Texte (classification.js),
+ * stats.decisions = { db, web, accepted } übernommene Prüfentscheidungen,
+ * rows = [{ sheet, row, a2v, url, material, source, fields: { key: status }, values: { key: { db, web, proposed, unit, decision } } }]
+ * je Produktzeile (proposed = Korrekturvorschlag, siehe corrections.js; sheet/row = Zeile im Originalblatt bzw. bei
+ * side-by-side in der umgebauten Tabelle), codes = { Blatt: { key: Feldcode aus der Code-Zeile } }
+ * und changes = Änderungsbericht (nur mit previous).
+ */
+async function processWorkbook(wb, { scraper, concurrency = SCRAPE_CONCURRENCY, profile, mapping, tolerances, dimensionMode, signal, force = false, cacheOnly = false, locales, filename, previous, decisions, layout, banners, ...hooks } = {}) {
+  profile = profile || loadProfile();
+  mapping = mapping || mapWorkbook(wb, profile);
+  tolerances = tolerances || resolveTolerances(profile);
+  dimensionMode = dimensionMode || resolveDimensionMode(profile);
+  layout = layout || resolveLayout(profile);
+  banners = banners || resolveBanners(profile);
+  const fields = mappedFields(mapping);
+  const stats = newRunStats(tolerances, dimensionMode, fields);
+  const { code: codeRow, header: headerRow, firstData } = profile.rows;
+  const labelRow = headerRow + 1; // neu eingefügte Zeile "DB-Wert" / "Web-Wert"
+  const rowResults = [];
+
+  // 1) Produktnummern (und ggf. Quellangabe) einsammeln, bevor wir umbauen;
+  //    Zeilen ohne Quellangabe, deren Nummer zu keiner Quelle passt, werden übersprungen
+  const tasks = []; // { id, source }
+  const sheets = []; // { ws, columns, rows: [{ row, source }, ...] }
+  const codes = {};  // Blatt → { key: SAP-Feldcode }
+  for (const sheetMapping of mapping.sheets) {
+    const ws = wb.getWorksheet(sheetMapping.sheet);
+    const { a2v: idCol, quelle: sourceCol } = sheetMapping.columns;
+    const indices = [];
+    const last = ws.lastRow?.number || 0;
+    for (let r = firstData; r <= last; r++) {
+      const id = cellText(ws.getCell(`${idCol}${r}`).value).trim().toUpperCase();
+      const source = sourceCol ? cellText(ws.getCell(`${sourceCol}${r}`).value).trim() || null : null;
+      if (id && (source || scraper.sourceFor(id))) { indices.push({ row: r, source }); tasks.push({ id, source }); }
+    }
+    sheets.push({ ws, columns: sheetMapping.columns, rows: indices });
+    codes[ws.name] = fieldCodes(sheetMapping.columns, (letter) => cellText(ws.getCell(`${letter}${codeRow}`).value));
+  }
+
+  hooks.onRows?.({ rows: tasks.length, total: new Set(tasks.map(t => t.id)).size });
+
+  // 2) Scrapen
+  hooks.onPhase?.('scraping');
+  stats.fetch = newFetchStats();
+  const resultsMap = await scraper.scrapeMany(tasks, concurrency, { signal, force, cacheOnly, locales, stats: stats.fetch, onProgress: hooks.onProgress });
+
+  hooks.onPhase?.('writing');
+
+  // 3) Umbau pro Worksheet – oder Originale unverändert lassen und das Blatt "Web-Vergleich" schreiben
+  const options = { scraper, locales, tolerances, dimensionMode, profile, decisions, stats };
+  if (layout === 'side-by-side') {
+    for (const { ws, columns, rows: prodRows } of sheets) {
+      // 3.1 Spaltenstruktur berechnen; verbundene Bereiche vor dem Einfügen lösen (ExcelJS verschiebt sie nicht mit)
+      const structure = calculateNewColumnStructure(ws.lastColumn?.number || ws.columnCount || 0, { columns });
+      const merges = ws.hasMerges ? ws.model.merges : [];
+      for (const range of merges) ws.unMergeCells(range);
+
+      // 3.2 Spalten einfügen (von rechts nach links)
+      for (const pair of [...structure.pairs].reverse()) {
+        const insertPos = getColumnIndex(pair.original) + 1; // rechts neben der Originalspalte
+        ws.spliceColumns(insertPos, 0, [null]);
+      }
+
+      // 3.3 Label-Zeile unter dem Header einfügen
+      ws.spliceRows(labelRow, 0, [null]);
+
+      // 3.4–3.6 Header der DB/Web-Paare und Banner, danach die Verbindungen der Eingabe an ihrer neuen Position
+      const placed = placeBanners(banners, structure.shift);
+      writePairHeaders(ws, structure, profile.rows, placed);
+      for (const m of shiftMerges(merges, structure, profile.rows, placed)) ws.mergeCells(m.r1, m.c1, m.r2, m.c2);
+
+      // 3.7 Web-Daten eintragen / vergleichen
+      const context = rowContext(columns, structure, options);
+      for (const { row: originalRow, source } of prodRows) {
+        const currentRow = originalRow + 1; // wegen eingefügter Label-Zeile
+        const a2v = cellText(ws.getCell(`${context.idCol}${currentRow}`).value).trim().toUpperCase();
+        rowResults.push(compareRow(ws, currentRow, { web: resultsMap.get(a2v) || {}, source }, context));
+      }
+    }
+  } else {
+    const view = new CompareSheet(addCompareSheet(wb), layout, { mapping, profile, codes, options });
+    if (sheets.length) view.writeHeader(sheets[0].ws, sheets[0].columns);
+    for (const { ws, columns, rows: prodRows } of sheets) {
+      for (const { row, source } of prodRows) {
+        const a2v = cellText(ws.getCell(`${columns.a2v}${row}`).value).trim().toUpperCase();
+        rowResults.push(view.add(ws, row, columns, { web: resultsMap.get(a2v) || {}, source }).rowResult);
+      }
+    }
+  }
+
+  // 4) Zusammenfassung als eigenes Blatt
+  addSummarySheet(wb, {
+    fields,
+    rows: rowResults,
+    results: resultsMap,
+    classification: stats.classification,
+    meta: runMeta({ filename, profile, tolerances, dimensionMode, layout, skipped: mapping.skipped, force, cacheOnly, locales, stats })
+  }, { fill: fillColor, colors: STATUS_COLORS });
+
+  // 5) Optional: Änderungen gegenüber einem früheren Lauf (previous = readRun() der alten Ausgabe)
+  let changes = null;
+  if (previous) {
+    changes = diffRuns(previous, readRun(wb, profile));
+    addChangesSheet(wb, changes, { fill: fillColor });
+  }
+
+  signal?.throwIfAborted();
+  const out = await wb.xlsx.writeBuffer();
+  return { buffer: Buffer.from(out), stats, rows: rowResults, codes, changes };
+}
+
+// Felder mit Spalte in mindestens einem Blatt – nur diese erscheinen in Statistik und Zusammenfassung
+function mappedFields(mapping) {
+  return FIELDS.filter(f => mapping.sheets.some(s => s.columns[f.key]));
+}
+
+// Leere Statistik eines Laufs (siehe processWorkbook)
+function newRunStats(tolerances, dimensionMode, fields = FIELDS) {
+  const stats = { tolerances, dimensionMode, fields: {}, classification: {}, decisions: Object.fromEntries(Object.keys(DECISIONS).map(d => [d, 0])) };
+  for (const { key } of fields) stats.fields[key] = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  return stats;
+}
+
+// Laufdaten für das Blatt "Zusammenfassung"
+function runMeta({ filename, profile, tolerances, dimensionMode, layout, skipped, force, cacheOnly, locales, stats }) {
+  return { filename, profile: profile.name, tolerances, dimensionMode, layout, skipped, force, cacheOnly, locales, fetch: stats.fetch, decisions: stats.decisions };
+}
+
+// SAP-Feldcodes aus der Code-Zeile: { key: Code } (getCode(letter) liefert den Zellinhalt)
+function fieldCodes(columns, getCode) {
+  return Object.fromEntries(FIELDS.filter(f => columns[f.key]).map(f => [f.key, getCode(columns[f.key]).trim() || null]));
+}
+
+// Code- & Header-Zeile in die Web-Spalten spiegeln, Labels "DB-Wert"/"Web-Wert", Banner (placeBanners, also schon an
+// Ausgabepositionen) und Paar-Merges.
+// Erwartet die Header bereits an den Ausgabepositionen (nach dem Einfügen der Spalten und der Label-Zeile).
+function writePairHeaders(ws, structure, { code: codeRow, header: headerRow }, banners = []) {
+  const labelRow = headerRow + 1;
+  for (const pair of structure.pairs) {
+    // Inhalte spiegeln
+    const dbTech = ws.getCell(`${pair.dbCol}${codeRow}`).value;
+    const dbName = ws.getCell(`${pair.dbCol}${headerRow}`).value;
+    ws.getCell(`${pair.webCol}${codeRow}`).value = dbTech;
+    ws.getCell(`${pair.webCol}${headerRow}`).value = dbName;
+    copyColumnFormatting(ws, pair.dbCol, pair.webCol, 1, headerRow);
+
+    // Labels
+    ws.getCell(`${pair.dbCol}${labelRow}`).value  = 'DB-Wert';
+    ws.getCell(`${pair.webCol}${labelRow}`).value = 'Web-Wert';
+    applyLabelCellFormatting(ws, `${pair.dbCol}${labelRow}`, false);
+    applyLabelCellFormatting(ws, `${pair.webCol}${labelRow}`, true);
+  }
+
+  // Banner über den Header-Zeilen
+  applyBanners(ws, banners);
+
+  // Code- und Header-Zeile pro Paar zusammenfassen (C2:D2, C3:D3, F2:G2, F3:G3, ...)
+  mergePairHeaders(ws, structure.pairs, { codeRow, headerRow });
+}
+
+// Verbundene Bereiche der Eingabe (z.B. "F1:H1") an der Ausgabeposition: Spalten über structure.shift, Zeilen unter
+// dem Header wegen der Label-Zeile eine weiter. Bereiche, die einen Banner oder den Header eines DB/Web-Paars
+// überdecken würden, entfallen – dort gelten die Verbindungen der Ausgabe. Liefert [{ c1, r1, c2, r2 }].
+function shiftMerges(merges, structure, { code: codeRow, header: headerRow }, banners = []) {
+  const [top, bottom] = [Math.min(codeRow, headerRow), Math.max(codeRow, headerRow)];
+  const reserved = [
+    ...banners.map(b => parseRange(b.range)),
+    ...structure.pairs.map(p => parseRange(`${p.dbCol}${top}:${p.webCol}${bottom}`))
+  ];
+  const row = (r) => r > headerRow ? r + 1 : r;
+  return merges.map(parseRange).filter(Boolean)
+    .map(a => ({ c1: structure.shift(a.c1), r1: row(a.r1), c2: structure.shift(a.c2), r2: row(a.r2) }))
+    .filter(out => !reserved.some(r => overlaps(r, out)));
+}
+
+// Spalten der Ausgabe für compareRow
+function rowContext(columns, structure, options) {
+  const out = (letter) => letter ? structure.otherCols.get(letter) || null : null;
+  return {
+    ...options,
+    structure,
+    idCol: out(columns.a2v) || columns.a2v, // ID-Spalte nach dem Einfügen
+    unitCol: out(columns.gewichtseinheit),
+    materialCol: out(columns.material)
+  };
+}
+
+// Link als HYPERLINK-Formel (steht in der Zelle selbst, der Streaming-Writer muss sich nichts merken)
+function linkFormula(url, text) {
+  const q = (s) => `"${String(s).replace(/"/g, '""')}"`;
+  return { formula: `HYPERLINK(${q(url)},${q(text)})`, result: text };
+}
+
+/**
+ * Eine Produktzeile vergleichen, ohne Web-Werte zu schreiben: DB-Werte aus ws (Spalten der Paare in
+ * context.structure), Prüfentscheidungen und Statistik (context.stats) fortschreiben.
+ * Liefert { rowResult, cells: [{ pair, result, note }], db } – rowResult siehe processWorkbook.
+ */
+function evaluateRow(ws, currentRow, { web, source }, context) {
+  const { structure, idCol, unitCol, materialCol, scraper, locales, tolerances, dimensionMode, profile, decisions, stats } = context;
+  const a2v = cellText(ws.getCell(`${idCol}${currentRow}`).value).trim().toUpperCase();
+  const url = web.URL || scraper.urlFor(a2v, source, { locales });
+  const material = materialCol ? cellText(ws.getCell(`${materialCol}${currentRow}`).value).trim() || null : null;
+  const rowResult = { sheet: ws.name, row: currentRow, a2v, url: url || null, material, source: web.Status || null, fields: {}, values: {} };
+
+  // DB-Werte der Zeile einsammeln und gemeinsam vergleichen (compare.js)
+  const db = {};
+  for (const pair of structure.pairs) db[pair.key] = ws.getCell(`${pair.dbCol}${currentRow}`).value;
+  if (unitCol) db.gewichtseinheit = cellText(ws.getCell(`${unitCol}${currentRow}`).value);
+  const results = compareRecord(db, web, {
+    keys: structure.pairs.map(p => p.key),
+    tolerances,
+    dimensionMode,
+    weightUnit: profile.weightUnit
+  });
+
+  const cells = [];
+  for (const pair of structure.pairs) {
+    const result = results[pair.key];
+    if (!result.status) continue;
+
+    const dbText = cellText(db[pair.key]);
+    const webText = result.hasWeb ? String(result.webValue) : '';
+    const decision = decisions?.lookup(a2v, pair.key, dbText, webText) || null;
+    if (decision) stats.decisions[decision.decision]++;
+    // "Web falsch" und "akzeptierte Abweichung" klären das Feld (Status 'decided', grau); "DB falsch" bleibt eine
+    // offene Abweichung, die über die Korrekturdatei behoben wird
+    const status = decision && decision.decision !== 'db' && result.status !== 'match' ? 'decided' : result.status;
+    stats.fields[pair.key][status]++;
+    if (result.unknown) {
+      const text = String(result.raw).trim();
+      stats.classification[text] = (stats.classification[text] || 0) + 1;
+    }
+    rowResult.fields[pair.key] = status;
+    const { type } = FIELD_BY_KEY[pair.key];
+    const unit = type === 'weight' ? (db.gewichtseinheit || profile.weightUnit || '').toUpperCase() : type === 'length' ? LENGTH_UNIT : null;
+    rowResult.values[pair.key] = {
+      db: dbText,
+      web: webText,
+      proposed: proposeValue(pair.key, result, { unit }),
+      unit,
+      decision
+    };
+    cells.push({ pair, result: { ...result, status }, note: buildComparisonNote(result) + (decision ? `\n${formatDecision(decision)}` : '') });
+  }
+  return { rowResult, cells, db };
+}
+
+// Web-Zelle: Wert (mehrere Artikelnummern mit Hervorhebung), Zahlenformat, Kommentar und Statusfarbe
+function writeWebCell(ws, addr, result, note) {
+  const cell = ws.getCell(addr);
+  if (result.hasWeb) {
+    cell.value = result.matched && result.partNumbers.length > 1 ? highlightPart(result.partNumbers, result.matched) : result.webValue;
+    if (result.numFmt) cell.numFmt = result.numFmt;
+  }
+  cell.note = note;
+  fillColor(ws, addr, STATUS_COLORS[result.status]);
+}
+
+// Produkt-ID als Link auf die Produktseite
+function linkId(cell, url, asFormula) {
+  if (!url) return;
+  cell.value = asFormula ? linkFormula(url, cellText(cell.value)) : { text: cellText(cell.value), hyperlink: url };
+  cell.font = { ...(cell.font || {}), color: { argb: 'FF0563C1' }, underline: true };
+}
+
+/**
+ * Eine Produktzeile an ihrer Ausgabeposition vergleichen: A2V verlinken, Web-Werte mit Farbe und Kommentar
+ * eintragen, Statistik (context.stats) fortschreiben. Liefert das Zeilenergebnis (siehe processWorkbook).
+ * context.linkFormula: A2V-Link als HYPERLINK-Formel statt als Zell-Hyperlink (Streaming-Pfad)
+ */
+function compareRow(ws, currentRow, input, context) {
+  const { rowResult, cells } = evaluateRow(ws, currentRow, input, context);
+  linkId(ws.getCell(`${context.idCol}${currentRow}`), rowResult.url, context.linkFormula);
+  for (const { pair, result, note } of cells) writeWebCell(ws, `${pair.webCol}${currentRow}`, result, note);
+  return rowResult;
+}
+
+// -------- Blatt "Web-Vergleich" (Layouts separate und long, siehe layout.js) ----------
+// Blatt anlegen und vor alle anderen Blätter stellen (der Streaming-Writer legt es als erstes an)
+function addCompareSheet(wb) {
+  const others = wb.worksheets || [];
+  const ws = wb.addWorksheet(uniqueSheetName(wb, COMPARE_SHEET));
+  if (others.length && 'orderNo' in ws) ws.orderNo = Math.min(...others.map(o => o.orderNo)) - 1;
+  return ws;
+}
+
+// Formeln der Eingabe als Ergebnis übernehmen – im Vergleichsblatt stimmen ihre Bezüge nicht mehr
+function plainValue(value) {
+  return value && typeof value === 'object' && ('formula' in value || 'sharedFormula' in value) ? value.result ?? null : value;
+}
+
+/**
+ * Schreibt die Vergleichszeilen ins Blatt "Web-Vergleich"; die Originalblätter bleiben unverändert.
+ *   separate: A = Blatt, B = Zeile, erkannte Spalten (layout.separateColumns) mit DB/Web-Paaren wie side-by-side
+ *   long:     Zeile 1 = LONG_HEADERS, je Produktzeile und Feld eine Zeile
+ * options wie rowContext (scraper, locales, tolerances, …, linkFormula); codes: Blatt → Feldcodes (für long).
+ */
+class CompareSheet {
+  constructor(ws, layout, { mapping, profile, codes, options }) {
+    this.ws = ws;
+    this.layout = layout;
+    this.profile = profile;
+    this.codes = codes;
+    this.options = options;
+    this.contexts = new Map(); // long: Blattname → rowContext
+    if (layout === 'separate') {
+      const { keys, columns } = separateColumns(mapping, profile);
+      this.keys = keys;
+      this.structure = calculateNewColumnStructure(2 + keys.length, { columns });
+      this.context = rowContext(columns, this.structure, options);
+      this.next = profile.rows.header + 2; // unter der Label-Zeile
+    } else {
+      ws.columns = [{ width: 16 }, { width: 8 }, { width: 18 }, { width: 14 }, { width: 22 }, { width: 10 }, { width: 24 }, { width: 24 }, { width: 16 }];
+      this.next = 2;
+    }
+  }
+
+  /**
+   * Kopfzeilen schreiben. separate: Code- und Header-Zeile aus dem ersten Blatt (sourceWs, Spalten columns),
+   * Felder ohne Spalte dort mit der Bezeichnung aus dem Profil. Liefert die letzte geschriebene Zeile.
+   */
+  writeHeader(sourceWs, columns) {
+    const { ws } = this;
+    if (this.layout === 'long') {
+      LONG_HEADERS.forEach((h, i) => {
+        const cell = ws.getRow(1).getCell(i + 1);
+        cell.value = h;
+        cell.font = { bold: true };
+        if (h === 'DB-Wert' || h === 'Web-Wert') applyLabelCellFormatting(ws, cell.address, h === 'Web-Wert');
+      });
+      ws.autoFilter = `A1:${getColumnLetter(LONG_HEADERS.length)}1`;
+      return 1;
+    }
+    const { code: codeRow, header: headerRow } = this.profile.rows;
+    for (const [col, text] of [['A', 'Blatt'], ['B', 'Zeile']]) {
+      ws.getCell(`${col}${headerRow}`).value = text;
+      ws.getCell(`${col}${headerRow}`).font = { bold: true };
+    }
+    this.keys.forEach((key, i) => {
+      const col = getColumnLetter(this.structure.shift(i + 3));
+      for (const row of [codeRow, headerRow]) {
+        const target = ws.getCell(`${col}${row}`);
+        if (columns[key]) {
+          const src = sourceWs.getCell(`${columns[key]}${row}`);
+          target.value = plainValue(src.value);
+          if (src.style) target.style = { ...src.style };
+        } else if (row === headerRow) {
+          target.value = this.profile.columns[key]?.label || key;
+        }
+      }
+    });
+    writePairHeaders(ws, this.structure, this.profile.rows);
+    return headerRow + 1;
+  }
+
+  /**
+   * Produktzeile row aus sourceWs (Originalblatt, Spalten columns) vergleichen und eintragen.
+   * Liefert { rowResult, rows } – rowResult mit Blatt und Zeile des Originals, rows = geschriebene Zeilennummern.
+   */
+  add(sourceWs, row, columns, input) {
+    return this.layout === 'long' ? this._addLong(sourceWs, row, columns, input) : this._addSeparate(sourceWs, row, columns, input);
+  }
+
+  _addSeparate(sourceWs, row, columns, input) {
+    const { ws } = this;
+    const r = this.next++;
+    ws.getCell(`A${r}`).value = sourceWs.name;
+    ws.getCell(`B${r}`).value = row;
+    this.keys.forEach((key, i) => {
+      if (!columns[key]) return;
+      const src = sourceWs.getCell(`${columns[key]}${row}`);
+      const target = ws.getCell(`${getColumnLetter(this.structure.shift(i + 3))}${r}`);
+      target.value = plainValue(src.value);
+      if (src.style) target.style = { ...src.style };
+    });
+    const rowResult = compareRow(ws, r, input, this.context);
+    return { rowResult: { ...rowResult, sheet: sourceWs.name, row }, rows: [r] };
+  }
+
+  _addLong(sourceWs, row, columns, input) {
+    const { ws } = this;
+    let context = this.contexts.get(sourceWs.name);
+    if (!context) {
+      context = rowContext(columns, originalStructure(columns), this.options);
+      this.contexts.set(sourceWs.name, context);
+    }
+    const { rowResult, cells, db } = evaluateRow(sourceWs, row, input, context);
+    const codes = this.codes[sourceWs.name] || {};
+    const rows = [];
+    for (const { pair, result, note } of cells) {
+      const r = this.next++;
+      const line = ws.getRow(r);
+      [sourceWs.name, row, rowResult.a2v, rowResult.material, pair.label, codes[pair.key] || null, plainValue(db[pair.key]) ?? null]
+        .forEach((value, i) => { line.getCell(i + 1).value = value; });
+      linkId(line.getCell(3), rowResult.url, this.options.linkFormula);
+      writeWebCell(ws, `H${r}`, result, note);
+      line.getCell(9).value = STATUS_LABELS[result.status] || result.status;
+      rows.push(r);
+    }
+    return { rowResult, rows };
+  }
+}
+
+// Spalten der Eingabe ohne Umbau (Layout long): DB-Werte stehen an der Originalposition, keine Web-Spalten
+function originalStructure(columns) {
+  const pairs = FIELDS.filter(f => columns[f.key]).map(f => ({ ...f, original: columns[f.key], dbCol: columns[f.key], webCol: null }));
+  return { pairs, otherCols: new Map(Object.values(columns).map(l => [l, l])), shift: (c) => c };
+}
+
+module.exports = {
+  processWorkbook, fillColor, STATUS_COLORS, SCRAPE_CONCURRENCY,
+  // für den Streaming-Pfad (stream.js)
+  calculateNewColumnStructure, writePairHeaders, shiftMerges, rowContext, compareRow,
+  newRunStats, runMeta, fieldCodes, mappedFields, CompareSheet, addCompareSheet
+};